@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * AffiliateDisclosure Component
+ *
+ * FTC disclosure shown at the top of the hero (above the article text in
+ * focus mode), before any affiliate link, whenever the article has product
+ * or materials shop links
+ *
+ * @returns {JSX.Element} The disclosure banner
+ */
+const AffiliateDisclosure = () => {
+  const { t } = useI18n();
+
+  return (
+    <p className="affiliate-disclosure alert alert-light border small d-flex gap-2 mb-4" role="note">
+      <i className="bi bi-info-circle" aria-hidden="true"></i>
+      <span>{t('affiliateDisclosure')}</span>
+    </p>
+  );
+};
+
+export default AffiliateDisclosure;
@@ -1,217 +1,183 @@
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
-import { useParams } from 'react-router-dom';
-import { Helmet } from 'react-helmet-async';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import RichText from './RichText';
+import ArticleSeo from './ArticleSeo';
+import ResponsiveImage from './ResponsiveImage';
+import VideoEmbed from './VideoEmbed';
+import PreviewBanner from './PreviewBanner';
+import PageError from './PageError';
+import ErrorBoundary from './ErrorBoundary';
+import LanguageSwitcher from './LanguageSwitcher';
+import SeriesNavigator from './SeriesNavigator';
+import ArticleNavigation from './ArticleNavigation';
+import Comments from './Comments';
+import BookmarkButton from './BookmarkButton';
+import ResumeReadingPrompt from './ResumeReadingPrompt';
+import SaveToBoard from './SaveToBoard';
+import PinItButton from './PinItButton';
+import ShareBar from './ShareBar';
+import QuoteShare from './QuoteShare';
+import TableOfContents from './TableOfContents';
+import ProductHotspots from './ProductHotspots';
+import ProductList from './ProductList';
+import AffiliateDisclosure from './AffiliateDisclosure';
+import ReaderSettings from './ReaderSettings';
+import PaletteStrip from './PaletteStrip';
+import { getSectionComponent, usesTextLayout } from './sectionComponents';
+import ImageLightbox from './ImageLightbox';
+import useArticle from './useArticle';
+import usePreviewMode from './usePreviewMode';
+import useScrollSpy from './useScrollSpy';
+import useGallery from './useGallery';
+import useArticleNavigation from './useArticleNavigation';
+import useOfflineArticle from './useOfflineArticle';
+import useReadingAnalytics from './useReadingAnalytics';
+import usePalettes from './usePalettes';
+import useReaderSettings from './useReaderSettings';
+import { useI18n } from './i18n';
+import { estimateReadingTime } from './readingTime';
+import { buildTableOfContents, SCROLL_OFFSET } from './articleOutline';
+import { buildGallery } from './gallery';
+import { collectArticleProducts } from './products';
+import { getImageSources, getMediaUrl } from './media';
+import { getScrollBehavior, getReaderStyle } from './readerSettingsStore';
+import { getReadingListState, getReadingProgress, saveReadingProgress, clearReadingProgress } from './readingListStore';
+import { getArticlePath, getReadingListPath, getMoodBoardsPath } from './paths';
+import { SITE_URL } from './config';
+
+// Reading positions are saved at most this often while scrolling
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+// Positions near the top aren't worth resuming, and readers near the end have finished
+const MIN_SAVED_PERCENT = 5;
+const FINISHED_PERCENT = 95;
 
 /**
  * Article Component
  * 
  * A comprehensive article display component for a dynamic blog platform that:
- * - Fetches article data from a headless CMS API
+ * - Fetches article data from the configured content source (Strapi, Markdown files or fixtures)
  * - Handles rich content including images, videos, and structured sections
  * - Features responsive design with accessibility considerations
- * - Includes reading progress bar, TOC, and social sharing
+ * - Includes reading progress bar, TOC, photo gallery, and social sharing
+ *   (sticky share bar, per-photo pins, highlighted quotes)
+ * - Links to series parts, neighbouring and related articles
+ * - Hosts threaded reader comments
+ * - Remembers bookmarks and the reading position
+ * - Reports anonymous reading analytics (read depth, time per section)
+ * - Stays readable offline once visited or saved
+ * - Follows the reader's settings: text size, line spacing, font, light,
+ *   dark or sepia theme, reduced motion and a distraction-free focus mode
  * - Implements SEO optimization techniques
  * 
  * @returns {JSX.Element} The rendered article page
  */
 const Article = () => {
   const { slug } = useParams();
-  const [article, setArticle] = useState(null);
-  const [sections, setSections] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [activeSection, setActiveSection] = useState(null);
+  const location = useLocation();
+  const { locale, t, formatDate, formatNumber } = useI18n();
+  const { previewSecret, isPreview, exitPreview } = usePreviewMode(slug, locale);
+  const { article, sections, loading, error, retry } = useArticle(slug, { previewSecret, locale });
+  const navigation = useArticleNavigation(article, { locale });
+  const { settings: readerSettings, theme, reduceMotion } = useReaderSettings();
+  const { focusMode } = readerSettings;
   const heroRef = useRef(null);
-  
-  // API configuration - using environment variables for security
-  const API_URL = process.env.REACT_APP_API_URL;
-  const API_TOKEN = process.env.REACT_APP_API_TOKEN;
-  
-  /**
-   * Calculates the estimated reading time based on word count
-   * @param {Object} article - The article object
-   * @returns {string} Formatted reading time
-   */
-  const calculateReadingTime = (article) => {
-    if (!article) return "5 min read";
-    const wordsPerMinute = 200;
-    let totalWords = 0;
-
-    // Process main content
-    if (article.content) {
-      article.content.forEach(contentBlock => {
-        if (contentBlock.children) {
-          contentBlock.children.forEach(child => {
-            if (child.text) {
-              totalWords += child.text.split(/\s+/).length;
-            }
-          });
-        }
-      });
-    }
+  const contentRef = useRef(null);
 
-    // Process sections
-    if (sections && sections.length) {
-      sections.forEach(section => {
-        if (section.Text) {
-          section.Text.forEach(textBlock => {
-            if (textBlock.children) {
-              textBlock.children.forEach(child => {
-                if (child.text) {
-                  totalWords += child.text.split(/\s+/).length;
-                }
-              });
-            }
-          });
-        }
-      });
-    }
+  // Table of contents with stable, text-based anchors
+  const toc = useMemo(
+    () => buildTableOfContents({ content: article?.content, sections }),
+    [article, sections]
+  );
+  const activeAnchor = useScrollSpy(toc.ids, { offset: SCROLL_OFFSET });
 
-    // Process conclusion
-    if (article.conclusion) {
-      totalWords += article.conclusion.split(/\s+/).length;
-    }
+  // Time is attributed to the enclosing section, not to sub-headings
+  const activeSection = toc.sectionIds.includes(activeAnchor) ? activeAnchor : null;
+  useReadingAnalytics({ slug: article?.slug, locale, activeSection, enabled: Boolean(article) && !isPreview });
 
-    const minutes = Math.ceil(totalWords / wordsPerMinute);
-    return `${minutes} min read (${totalWords} words)`;
-  };
-  
-  /**
-   * Renders rich text content by extracting text from structured content blocks
-   * @param {Object} richTextBlock - A rich text content block
-   * @returns {string} Plain text content
-   */
-  const renderRichText = (richTextBlock) => {
-    if (!richTextBlock) return '';
-    if (typeof richTextBlock === 'string') return richTextBlock;
-    if (!richTextBlock.children) return '';
-    
-    return richTextBlock.children.map(child => child.text || '').join(' ');
-  };
-  
-  /**
-   * Processes media URLs to ensure proper formatting
-   * @param {Object} resource - Media resource object
-   * @param {string} externalUrl - Optional external URL
-   * @returns {string|null} Formatted URL
-   */
-  const getMediaUrl = (resource, externalUrl) => {
-    // Handle external URL if provided
-    if (externalUrl) {
-      // Security check for valid URLs
-      try {
-        const url = new URL(externalUrl);
-        return url.toString();
-      } catch (e) {
-        console.error("Invalid URL:", externalUrl);
-        return null;
-      }
-    }
-    
-    // Handle resource object from CMS
-    if (!resource) return null;
-    
-    // Handle different CMS response formats
-    if (resource.data?.attributes?.url) {
-      return new URL(resource.data.attributes.url, API_URL).toString();
-    }
-    
-    if (resource.url) {
-      return new URL(resource.url, API_URL).toString();
-    }
-    
-    return null;
-  };
-  
-  /**
-   * Checks if a URL is from YouTube
-   * @param {string} url - URL to check
-   * @returns {boolean} True if YouTube URL
-   */
-  const isYouTubeUrl = (url) => {
-    return url && (
-      url.includes('youtube.com') || 
-      url.includes('youtu.be')
-    );
-  };
+  // Every article photo, viewable full screen from the hero or a section
+  const gallery = useMemo(() => buildGallery(article, sections), [article, sections]);
+  const products = useMemo(() => collectArticleProducts(article, sections), [article, sections]);
+  const lightbox = useGallery(gallery.items);
 
-  /**
-   * Extracts YouTube video ID from different URL formats
-   * @param {string} url - YouTube URL
-   * @returns {string|null} YouTube video ID
-   */
-  const getYouTubeId = (url) => {
-    if (!url) return null;
-    
-    try {
-      // Handle youtu.be format
-      if (url.includes('youtu.be/')) {
-        return url.split('youtu.be/')[1].split('?')[0];
-      }
-      
-      // Handle youtube.com format
-      if (url.includes('youtube.com/watch')) {
-        const urlParams = new URLSearchParams(new URL(url).search);
-        return urlParams.get('v');
-      }
-    } catch (e) {
-      console.error("Error parsing YouTube URL:", e);
-    }
-    
-    return null;
-  };
-  
-  // Fetch article data on component mount or slug change
-  useEffect(() => {
-    const fetchArticleData = async () => {
-      setLoading(true);
-      if (!slug) return;
-
-      try {
-        // First API call to get article data with images and video
-        const response = await axios.get(`${API_URL}/articles`, {
-          params: {
-            populate: ['images', 'video'],
-            'filters[slug][$eq]': slug
-          },
-          headers: { Authorization: `Bearer ${API_TOKEN}` }
+  // Colour palettes of the hero and section photos, keyed like product
+  // placements; editors' swatches (with paint names) apply to the image they
+  // were entered for. Nothing is extracted when the article hides palettes.
+  const showPalettes = article?.showPalettes !== false;
+  const paletteImages = useMemo(() => {
+    if (!showPalettes) return [];
+    const hero = gallery.items[gallery.heroIndex];
+    const images = hero ? [{ key: 'hero', resource: hero.resource, externalUrl: hero.externalUrl, palette: article?.palette }] : [];
+    sections.forEach((section, index) => {
+      const ownImage = usesTextLayout(section) && (section.image || section.imageUrl);
+      gallery.sectionPhotos[index].forEach((photoIndex, position) => {
+        const photo = gallery.items[photoIndex];
+        if (!photo) return;
+        images.push({
+          key: `section-${index + 1}-${position}`,
+          resource: photo.resource,
+          externalUrl: photo.externalUrl,
+          palette: ownImage ? section.palette : undefined
         });
+      });
+    });
+    return images;
+  }, [article, sections, gallery, showPalettes]);
+  const palettes = usePalettes(paletteImages);
 
-        if (response.data.data.length > 0) {
-          const articleData = response.data.data[0];
-          setArticle(articleData);
-          
-          // Second API call to get sections data
-          const sectionsResponse = await axios.get(`${API_URL}/articles`, {
-            params: {
-              'populate[Sections][populate]': '*',
-              'filters[slug][$eq]': slug
-            },
-            headers: { Authorization: `Bearer ${API_TOKEN}` }
-          });
-
-          if (sectionsResponse.data.data.length > 0) {
-            const sectionsData = sectionsResponse.data.data[0].Sections || [];
-            setSections(sectionsData);
-          }
-        } else {
-          setError("Article not found");
-        }
-      } catch (error) {
-        console.error("Error loading article:", error);
-        setError(`Error loading article: ${error.message}`);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Colour family related articles are filtered by, picked from a palette
+  const [colorFilter, setColorFilter] = useState(null);
+  useEffect(() => {
+    setColorFilter(null);
+  }, [slug, locale]);
+  const filterRelatedByColor = (family) => {
+    setColorFilter(family);
+    document.getElementById('related-articles-title')?.scrollIntoView({ behavior: getScrollBehavior() });
+  };
 
-    fetchArticleData();
-  }, [slug, API_URL, API_TOKEN]);
+  // Keep the article, including photos further down, readable offline (never drafts)
+  const galleryImageUrls = useMemo(
+    () => gallery.items.map(item => getImageSources(item.resource, item.externalUrl)?.src).filter(Boolean),
+    [gallery]
+  );
+  const offline = useOfflineArticle(article && !isPreview ? slug : null, locale, galleryImageUrls);
 
-  // Handle scroll events for reading progress and table of contents
+  // Where the reader stopped last time, captured before this visit overwrites it
+  const [resumePosition, setResumePosition] = useState(null);
+  const loadedSlug = article?.slug;
+  useEffect(() => {
+    if (!loadedSlug || isPreview) return;
+    const saved = getReadingProgress(getReadingListState(), slug, locale);
+    // A link to a specific anchor takes precedence over the saved position
+    setResumePosition(saved && !window.location.hash ? saved : null);
+  }, [loadedSlug, slug, locale, isPreview]);
+  
+  // Handle scroll events for reading progress
   useEffect(() => {
     if (!article) return;
+    let lastSavedAt = 0;
+    let unsavedPercent = null;
+
+    // Remembers the position and the section being read; finishing the article forgets it
+    const savePosition = (percent) => {
+      unsavedPercent = null;
+      if (percent >= FINISHED_PERCENT) {
+        clearReadingProgress(slug, locale);
+        return;
+      }
+      if (percent < MIN_SAVED_PERCENT) return;
+
+      const sectionIndex = toc.sectionIds.reduce((current, id, index) => {
+        const element = document.getElementById(id);
+        return element && element.getBoundingClientRect().top <= SCROLL_OFFSET + 1 ? index : current;
+      }, -1);
+      saveReadingProgress(slug, locale, {
+        percent,
+        anchor: toc.sectionIds[sectionIndex] || null,
+        sectionIndex,
+        sectionTitle: sections[sectionIndex]?.title || null
+      });
+    };
     
     const handleScroll = () => {
       // Update reading progress bar
@@ -224,24 +190,51 @@ const Article = () => {
         progressBar.style.width = scrolled + "%";
         progressBar.setAttribute('aria-valuenow', scrolled);
       }
-      
-      // Update active section in TOC
-      if (sections?.length > 0) {
-        const scrollPosition = window.scrollY + 200;
-        
-        for (let i = sections.length - 1; i >= 0; i--) {
-          const section = document.getElementById(`section-${i}`);
-          if (section && section.offsetTop <= scrollPosition) {
-            setActiveSection(`section-${i}`);
-            break;
-          }
-        }
+
+      // Save the position at most once per interval (never for drafts)
+      if (isPreview) return;
+      if (Date.now() - lastSavedAt > PROGRESS_SAVE_INTERVAL_MS) {
+        lastSavedAt = Date.now();
+        savePosition(scrolled);
+      } else {
+        unsavedPercent = scrolled;
       }
     };
     
     window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, [article, sections]);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (unsavedPercent !== null) savePosition(unsavedPercent);
+    };
+  }, [article, sections, toc, slug, locale, isPreview]);
+
+  // Jumps to the saved position and hides the prompt
+  const resumeReading = () => {
+    const target = resumePosition.anchor && document.getElementById(resumePosition.anchor);
+    if (target) {
+      target.scrollIntoView({ behavior: getScrollBehavior() });
+    } else {
+      const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+      window.scrollTo({ top: (height * resumePosition.percent) / 100, behavior: getScrollBehavior() });
+    }
+    setResumePosition(null);
+  };
+
+  // Jump to the anchor in the URL once the article has rendered. Links shared
+  // before anchors were text-based (#section-2) are mapped to the new anchor.
+  useEffect(() => {
+    if (!article || !location.hash) return;
+
+    let anchor = decodeURIComponent(location.hash.slice(1));
+    const legacyMatch = anchor.match(/^section-(\d+)$/);
+    if (legacyMatch && !document.getElementById(anchor) && toc.sectionIds[Number(legacyMatch[1])]) {
+      anchor = toc.sectionIds[Number(legacyMatch[1])];
+      window.history.replaceState(null, '', `#${anchor}`);
+    }
+
+    const target = document.getElementById(anchor);
+    if (target) target.scrollIntoView();
+  }, [article, location.hash, toc]);
 
   // Back to top button visibility logic
   useEffect(() => {
@@ -264,16 +257,17 @@ const Article = () => {
 
   // Loading state UI
   if (loading) {
+    const skeletonAnimation = reduceMotion ? "none" : "pulse 1.5s infinite";
     return (
       <div className="container" style={{ marginTop: "80px" }}>
         <div className="row">
           <div className="col-12 mb-4">
-            <div className="skeleton-loader rounded" style={{ height: "60vh", backgroundColor: "#f0f0f0", animation: "pulse 1.5s infinite" }}></div>
+            <div className="skeleton-loader rounded" style={{ height: "60vh", backgroundColor: "#f0f0f0", animation: skeletonAnimation }}></div>
           </div>
           <div className="col-lg-8 mx-auto">
-            <div className="skeleton-loader rounded mb-4" style={{ height: "3rem", width: "80%", backgroundColor: "#f0f0f0", animation: "pulse 1.5s infinite" }}></div>
-            <div className="skeleton-loader rounded mb-4" style={{ height: "2rem", width: "60%", backgroundColor: "#f0f0f0", animation: "pulse 1.5s infinite" }}></div>
-            <div className="skeleton-loader rounded mb-4" style={{ height: "1rem", width: "100%", backgroundColor: "#f0f0f0", animation: "pulse 1.5s infinite" }}></div>
+            <div className="skeleton-loader rounded mb-4" style={{ height: "3rem", width: "80%", backgroundColor: "#f0f0f0", animation: skeletonAnimation }}></div>
+            <div className="skeleton-loader rounded mb-4" style={{ height: "2rem", width: "60%", backgroundColor: "#f0f0f0", animation: skeletonAnimation }}></div>
+            <div className="skeleton-loader rounded mb-4" style={{ height: "1rem", width: "100%", backgroundColor: "#f0f0f0", animation: skeletonAnimation }}></div>
           </div>
         </div>
         <style>{`
@@ -287,127 +281,193 @@ const Article = () => {
     );
   }
 
-  // Error state UI
-  if (error) {
-    return (
-      <div className="container text-center my-5" style={{ marginTop: "80px" }}>
-        <div className="alert shadow-sm border-0 p-5" style={{ backgroundColor: "#fff0f0", borderLeft: "4px solid #ff5555" }}>
-          <h3 className="mb-3 fw-bold">Oops!</h3>
-          <p className="mb-3">{error}</p>
-          <button className="btn btn-outline-danger" onClick={() => window.history.back()}>Go Back</button>
-        </div>
-      </div>
-    );
-  }
-
-  // Article not found UI
-  if (!article) {
+  // Error, offline and not found states
+  if (error || !article) {
     return (
       <div className="container text-center my-5" style={{ marginTop: "80px" }}>
-        <div className="alert shadow-sm border-0 p-5" style={{ backgroundColor: "#fffdf0", borderLeft: "4px solid #ffc107" }}>
-          <h3 className="mb-3 fw-bold">Article Not Found</h3>
-          <p className="mb-3">The article you are looking for doesn't exist or has been removed.</p>
-          <button className="btn btn-outline-warning" onClick={() => window.history.back()}>Browse Other Articles</button>
-        </div>
+        {isPreview && <PreviewBanner onExit={exitPreview} />}
+        <PageError error={error} onRetry={retry} isPreview={isPreview} />
       </div>
     );
   }
 
   // Process article data
   const { title, content } = article;
-  const readingTime = calculateReadingTime(article);
+  // Built from the article rather than the router location, so shares, pins
+  // and structured data always name the canonical URL (no query string)
+  const articlePath = getArticlePath(article.slug, locale);
+  const pageUrl = `${SITE_URL}${articlePath}`;
+  const { minutes, words, characters } = estimateReadingTime(article, { sections, locale });
+  // Chinese and Japanese text is measured in characters rather than words
+  const readingTime = characters > words
+    ? t('readingTimeCharacters', { minutes: formatNumber(minutes), characters: formatNumber(characters) })
+    : t('readingTime', { minutes: formatNumber(minutes), words: formatNumber(words) });
+  const publishedDate = article.publishedAt ? formatDate(article.publishedAt) : t('recentlyPublished');
   
   // Media processing
   const images = article.images || [];
   const hasHeroImage = images?.length > 0;
   const heroImage = hasHeroImage ? images[0] : null;
+  const photoCount = gallery.items.length;
+  const heroPhoto = gallery.items[gallery.heroIndex];
+  const heroPhotoUrl = heroPhoto ? getMediaUrl(heroPhoto.resource, heroPhoto.externalUrl) : undefined;
   
   const videos = article.video || [];
   const hasMainVideo = videos?.length > 0;
   const mainVideo = hasMainVideo ? videos[0] : null;
 
   return (
-    <div className="article-container" style={{ position: "relative" }}>
+    <div
+      className={`article-container reader-theme-${theme}`}
+      data-bs-theme={theme === 'dark' ? 'dark' : 'light'}
+      style={{ position: "relative", ...getReaderStyle(readerSettings) }}
+    >
+      {/* Draft preview indicator */}
+      {isPreview && <PreviewBanner onExit={exitPreview} />}
+
       {/* SEO Optimization */}
-      <Helmet>
-        <title>{title} | Great House Ideas</title>
-        <meta name="description" content={content?.[0] ? renderRichText(content[0]).substring(0, 155) : ''} />
-        <meta property="og:title" content={title} />
-        <meta property="og:type" content="article" />
-        <meta property="og:url" content={window.location.href} />
-        {hasHeroImage && <meta property="og:image" content={getMediaUrl(heroImage, article.imageUrl)} />}
-      </Helmet>
-
-      {/* Hero Section with Image Overlay */}
-      <div className="position-relative mb-5 hero-section">
-        {hasHeroImage || article.imageUrl ? (
-          <div className="position-relative overflow-hidden">
-            <img
-              src={getMediaUrl(heroImage, article.imageUrl)}
-              alt={title}
-              className="img-fluid w-100"
-              style={{ maxHeight: "600px", objectFit: "cover", borderRadius: "var(--border-radius)" }}
-              ref={heroRef}
-              loading="eager" // Critical above-the-fold image
-            />
-            <div
-              className="position-absolute bottom-0 start-0 w-100 p-4 p-md-5"
-              style={{
-                background: "linear-gradient(to top, rgba(0,0,0,0.95), rgba(0,0,0,0.7), rgba(0,0,0,0.2))",
-                borderRadius: "0 0 var(--border-radius) var(--border-radius)"
-              }}
-            >
-              <div className="container">
-                <div className="row">
-                  <div className="col-lg-10 mx-auto">
-                    <h1 className="text-white mb-3 display-4" style={{ 
-                      fontFamily: "'Dancing Script', cursive", 
-                      textShadow: "2px 2px 4px rgba(0,0,0,0.5)"
-                    }}>
-                      {title}
-                    </h1>
-                    <p className="text-white-50 mb-0">{article.category?.category || "Featured"}</p>
-                    <div className="d-flex align-items-center mt-3">
-                      <span className="text-white-50 me-4">
-                        <i className="bi bi-clock me-1"></i> {readingTime}
-                      </span>
-                      <span className="text-white-50">
-                        <i className="bi bi-calendar3 me-1"></i> {article.publishedAt ? new Date(article.publishedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }) : 'Recently published'}
-                      </span>
+      <ArticleSeo article={article} sections={sections} path={articlePath} />
+
+      {/* Hero Section with Image Overlay - hidden in focus mode */}
+      {!focusMode && (
+        <div className="position-relative mb-5 hero-section">
+          {/* Affiliate disclosure, ahead of the hero product hotspots */}
+          {products.length > 0 && <AffiliateDisclosure />}
+
+          {hasHeroImage || article.imageUrl ? (
+            <div className="position-relative overflow-hidden">
+              <button
+                type="button"
+                className="gallery-trigger d-block w-100 p-0 border-0 bg-transparent"
+                onClick={() => lightbox.open(gallery.heroIndex)}
+                aria-label={t('viewPhoto', { title })}
+                style={{ cursor: "zoom-in" }}
+              >
+                <ResponsiveImage
+                  resource={heroImage}
+                  externalUrl={article.imageUrl}
+                  alt={title}
+                  sizes="100vw"
+                  className="img-fluid w-100"
+                  style={{ maxHeight: "600px", objectFit: "cover", borderRadius: "var(--border-radius)" }}
+                  imgRef={heroRef}
+                  priority // Critical above-the-fold image
+                />
+              </button>
+              {heroPhoto && (
+                <>
+                  <PinItButton
+                    photo={heroPhoto}
+                    pageUrl={pageUrl}
+                    articleTitle={title}
+                    className="position-absolute top-0 start-0 m-3"
+                  />
+                  <SaveToBoard photo={heroPhoto} article={article} className="position-absolute top-0 end-0 m-3" />
+                </>
+              )}
+              <ProductHotspots products={article.products} placement="hero" articleSlug={article.slug} />
+              <div
+                className="position-absolute bottom-0 start-0 w-100 p-4 p-md-5"
+                style={{
+                  background: "linear-gradient(to top, rgba(0,0,0,0.95), rgba(0,0,0,0.7), rgba(0,0,0,0.2))",
+                  borderRadius: "0 0 var(--border-radius) var(--border-radius)"
+                }}
+              >
+                <div className="container">
+                  <div className="row">
+                    <div className="col-lg-10 mx-auto">
+                      <h1 className="text-white mb-3 display-4" style={{ 
+                        fontFamily: "var(--reader-font, 'Dancing Script', cursive)", 
+                        textShadow: "2px 2px 4px rgba(0,0,0,0.5)"
+                      }}>
+                        {title}
+                      </h1>
+                      <p className="text-white-50 mb-0">{article.category?.category || t('featured')}</p>
+                      <div className="d-flex align-items-center mt-3">
+                        <span className="text-white-50 me-4">
+                          <i className="bi bi-clock me-1"></i> {readingTime}
+                        </span>
+                        <span className="text-white-50">
+                          <i className="bi bi-calendar3 me-1"></i> {publishedDate}
+                        </span>
+                        {photoCount > 1 && (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-outline-light ms-auto"
+                            onClick={() => lightbox.open(gallery.heroIndex)}
+                          >
+                            <i className="bi bi-images me-1" aria-hidden="true"></i>
+                            {t('viewAllPhotos', { count: formatNumber(photoCount) })}
+                          </button>
+                        )}
+                      </div>
                     </div>
                   </div>
                 </div>
               </div>
             </div>
-          </div>
-        ) : (
-          <div className="bg-primary bg-gradient text-center p-5 rounded">
-            <div className="py-5">
-              <h1 className="display-4 text-white" style={{ 
-                fontFamily: "'Dancing Script', cursive",
-                textShadow: "2px 2px 4px rgba(0,0,0,0.3)"
-              }}>
-                {title}
-              </h1>
-              <p className="text-white-50 mb-0">{article.category?.category || "Featured"}</p>
-              <div className="d-flex justify-content-center mt-3">
-                <span className="text-white-50 me-4">
-                  <i className="bi bi-clock me-1"></i> {readingTime}
-                </span>
-                <span className="text-white-50">
-                  <i className="bi bi-calendar3 me-1"></i> {article.publishedAt ? new Date(article.publishedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }) : 'Recently published'}
-                </span>
+          ) : (
+            <div className="bg-primary bg-gradient text-center p-5 rounded">
+              <div className="py-5">
+                <h1 className="display-4 text-white" style={{ 
+                  fontFamily: "var(--reader-font, 'Dancing Script', cursive)",
+                  textShadow: "2px 2px 4px rgba(0,0,0,0.3)"
+                }}>
+                  {title}
+                </h1>
+                <p className="text-white-50 mb-0">{article.category?.category || t('featured')}</p>
+                <div className="d-flex justify-content-center mt-3">
+                  <span className="text-white-50 me-4">
+                    <i className="bi bi-clock me-1"></i> {readingTime}
+                  </span>
+                  <span className="text-white-50">
+                    <i className="bi bi-calendar3 me-1"></i> {publishedDate}
+                  </span>
+                </div>
               </div>
             </div>
+          )}
+        </div>
+      )}
+
+      {/* Colours of the hero photo */}
+      {showPalettes && palettes.hero && !focusMode && (
+        <div className="container">
+          <div className="row">
+            <div className="col-lg-8 mx-auto">
+              <PaletteStrip swatches={palettes.hero} onFilter={filterRelatedByColor} className="mb-4" />
+            </div>
           </div>
-        )}
-      </div>
+        </div>
+      )}
 
       <div className="container my-5">
+        <style>{`
+          .article-container [id] { scroll-margin-top: ${SCROLL_OFFSET}px; }
+          .article-container[data-bs-theme] { background-color: var(--bs-body-bg); color: var(--bs-body-color); }
+          .article-container.reader-theme-sepia {
+            --bs-body-bg: #f4ecd8;
+            --bs-body-color: #433422;
+            --bs-secondary-bg: #ebdfc3;
+            --bs-tertiary-bg: #efe5cd;
+            --bs-border-color: #d9caa8;
+          }
+          .article-body {
+            font-family: var(--reader-font, inherit);
+            font-size: calc(1rem * var(--reader-text-scale, 1));
+            line-height: calc(1.5 * var(--reader-line-scale, 1));
+          }
+        `}</style>
         <div className="row">
-          <div className="col-lg-8 mx-auto">
+          {/* Sticky table of contents sidebar on wide screens */}
+          {toc.items.length > 0 && !focusMode && (
+            <aside className="col-xl-3 order-xl-2 d-none d-xl-block">
+              <TableOfContents items={toc.items} activeId={activeAnchor} variant="sidebar" offset={SCROLL_OFFSET} />
+            </aside>
+          )}
+          <div className="col-lg-8 mx-auto article-body" ref={contentRef}>
             {/* Reading progress bar - accessibly implemented */}
-            <div className="progress reading-progress" role="progressbar" aria-label="Reading progress">
+            <div className="progress reading-progress" role="progressbar" aria-label={t('readingProgress')}>
               <div 
                 className="progress-bar reading-bar"
                 style={{ width: "0%" }}
@@ -417,42 +477,67 @@ const Article = () => {
                 id="reading-progress-bar"
               ></div>
             </div>
+
+            {/* Text size, theme and focus mode */}
+            <ReaderSettings className="my-3" />
+
+            {/* Focus mode replaces the hero with a plain title */}
+            {focusMode && (
+              <header className="mb-4">
+                <h1 className="display-6 mb-2">{title}</h1>
+                <p className="text-muted small mb-0">{readingTime} · {publishedDate}</p>
+              </header>
+            )}
             
-            {/* Table of Contents */}
-            {sections && sections.length > 0 && (
-              <div className="card shadow-sm mb-5 toc-card">
-                <div className="card-body">
-                  <h2 className="card-title h5 mb-3 d-flex align-items-center">
-                    <i className="bi bi-list-ul me-2 text-primary" aria-hidden="true"></i>
-                    In This Article
-                  </h2>
-                  <nav aria-label="Table of contents">
-                    <div className="toc-links">
-                      {sections.map((section, index) => (
-                        <a 
-                          key={index} 
-                          href={`#section-${index}`} 
-                          className={`toc-link ${activeSection === `section-${index}` ? 'active' : ''}`}
-                          aria-current={activeSection === `section-${index}` ? 'true' : 'false'}
-                        >
-                          <span className="badge toc-badge">{index + 1}</span>
-                          <span>{section.Title}</span>
-                        </a>
-                      ))}
-                    </div>
-                  </nav>
-                </div>
+            {/* Affiliate disclosure, in place of the hidden hero's */}
+            {focusMode && products.length > 0 && <AffiliateDisclosure />}
+
+            {/* Other translations of this article */}
+            <LanguageSwitcher article={article} />
+
+            {/* Offer to pick up where the reader left off */}
+            {resumePosition && (
+              <ResumeReadingPrompt
+                position={resumePosition}
+                onResume={resumeReading}
+                onDismiss={() => setResumePosition(null)}
+              />
+            )}
+
+            {/* Reading list */}
+            {!isPreview && (
+              <div className="d-flex align-items-center gap-3 mb-4">
+                <BookmarkButton article={article} />
+                <Link to={getReadingListPath(locale)} className="small">{t('viewReadingList')}</Link>
+                <Link to={getMoodBoardsPath(locale)} className="small">{t('viewMoodBoards')}</Link>
+                {offline.availableOffline && (
+                  <span className="small text-success ms-auto" title={offline.isOnline ? undefined : t('readingOfflineCopy')}>
+                    <i className="bi bi-cloud-check me-1" aria-hidden="true"></i>
+                    {t('availableOffline')}
+                  </span>
+                )}
+              </div>
+            )}
+
+            {/* Position within a multi-part series */}
+            <SeriesNavigator article={article} parts={navigation.series} />
+
+            {/* Table of Contents - inline below xl, sidebar above */}
+            {!focusMode && (
+              <div className="d-xl-none">
+                <TableOfContents items={toc.items} activeId={activeAnchor} />
               </div>
             )}
             
             {/* Introduction - Showing the content field since there's no introduction field */}
             {content && content.length > 0 && (
               <div id="introduction" className="lead-paragraph mb-5">
-                {content.map((contentBlock, index) => (
-                  <p key={index} className="lead" style={{ fontSize: "1.2rem", lineHeight: "1.8" }}>
-                    {renderRichText(contentBlock)}
-                  </p>
-                ))}
+                <RichText
+                  blocks={content}
+                  paragraphClassName="lead"
+                  paragraphStyle={{ fontSize: "calc(1.2rem * var(--reader-text-scale, 1))", lineHeight: "calc(1.8 * var(--reader-line-scale, 1))" }}
+                  getHeadingId={(node) => toc.headingIds.get(node)}
+                />
               </div>
             )}
             
@@ -461,117 +546,61 @@ const Article = () => {
               <div className="video-featured mb-5 p-3">
                 <h2 className="h4 mb-3 border-bottom pb-2">
                   <i className="bi bi-play-circle-fill me-2 text-primary" aria-hidden="true"></i>
-                  Article Overview
+                  {t('articleOverview')}
                 </h2>
-                <div className="ratio ratio-16x9 my-4 rounded overflow-hidden shadow-sm">
-                  {article.videoUrl && isYouTubeUrl(article.videoUrl) ? (
-                    <iframe
-                      src={`https://www.youtube.com/embed/${getYouTubeId(article.videoUrl)}`}
-                      title="YouTube video player"
-                      frameBorder="0"
-                      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                      allowFullScreen
-                      loading="lazy"
-                    ></iframe>
-                  ) : (
-                    <video 
-                      controls 
-                      className="w-100"
-                      src={getMediaUrl(mainVideo, article.videoUrl)}
-                      preload="metadata"
-                    >
-                      <track kind="captions" src="" label="English" />
-                      Your browser does not support the video tag.
-                    </video>
-                  )}
-                </div>
+                <VideoEmbed
+                  video={mainVideo}
+                  videoUrl={article.videoUrl}
+                  captions={article.videoCaptions}
+                  title={t('videoTitle', { title })}
+                />
               </div>
             )}
   
-            {/* Article sections - Dynamically rendered based on CMS data */}
+            {/* Article sections - each rendered by the component of its type */}
             {sections && sections.length > 0 &&
               sections.map((section, index) => {
-                const isEven = index % 2 === 0;
-                
-                // Distribute additional images to sections
-                let sectionImage = null;
-                if (images && images.length > 1) {
-                  // Skip the hero image, cycle through remaining images
-                  const availableImagesCount = images.length - 1;
-                  if (availableImagesCount > 0) {
-                    const imageIndex = (index % availableImagesCount) + 1;
-                    sectionImage = images[imageIndex];
-                  }
-                }
+                const SectionComponent = getSectionComponent(section);
+                const sectionTitle = section.title || t('sectionFallbackTitle', { number: index + 1 });
                 
-                // Try to get section's own image if exists
-                const hasSectionImage = section.Image;
-                const sectionImageUrl = hasSectionImage ? 
-                  getMediaUrl(section.Image, section.imageUrl) : 
-                  (sectionImage ? getMediaUrl(sectionImage) : null);
+                // The section's own images, or one of the article images cycled through text sections
+                const photoIndexes = gallery.sectionPhotos[index];
                 
+                // A section that fails to render is left out rather than taking the page down
                 return (
-                  <section id={`section-${index}`} key={index} className="py-5 border-bottom">
-                    <div className="row align-items-center g-5">
-                      <div className={`col-lg-6 ${!isEven ? 'order-lg-2' : ''}`}>
-                        <div className="pe-lg-4">
-                          <h2 className="mb-4 d-flex align-items-center" style={{ fontFamily: "'Playfair Display', serif" }}>
-                            <span className="badge toc-badge me-2">{index + 1}</span>
-                            {section.Title}
-                          </h2>
-                          {section.Text && section.Text.map((textBlock, textIndex) => (
-                            <p key={textIndex} className="mb-3">
-                              {renderRichText(textBlock)}
-                            </p>
-                          ))}
-                        </div>
-                      </div>
-                      <div className={`col-lg-6 ${!isEven ? 'order-lg-1' : ''}`}>
-                        {sectionImageUrl && (
-                          <div className="position-relative">
-                            <img
-                              src={sectionImageUrl}
-                              alt={section.Title || `Section ${index + 1}`}
-                              className="img-fluid rounded shadow"
-                              style={{ width: "100%", objectFit: "cover" }}
-                              loading="lazy"
-                            />
-                            {section.ImageCaption && (
-                              <p className="text-muted small mt-2 fst-italic">{section.ImageCaption}</p>
-                            )}
-                          </div>
-                        )}
-                      </div>
-                    </div>
+                  <ErrorBoundary
+                    key={toc.sectionIds[index]}
+                    name="article section"
+                    context={{ slug, locale, section: index, type: section.type }}
+                  >
+                    <section id={toc.sectionIds[index]} className={`py-5 border-bottom section-${section.type || 'text'}`}>
+                      <SectionComponent
+                        section={section}
+                        index={index}
+                        title={sectionTitle}
+                        photo={gallery.items[photoIndexes[0]]}
+                        photos={photoIndexes.map(photoIndex => gallery.items[photoIndex])}
+                        onOpenPhoto={(position = 0) => lightbox.open(photoIndexes[position])}
+                        article={article}
+                        pageUrl={pageUrl}
+                        getHeadingId={(node) => toc.headingIds.get(node)}
+                        palettes={showPalettes ? photoIndexes.map((photoIndex, position) => palettes[`section-${index + 1}-${position}`]) : []}
+                        onFilterColor={filterRelatedByColor}
+                      />
                     
-                    {/* Section video - conditionally rendered */}
-                    {(section.video || section.videoUrl) && (
-                      <div className="mt-4 pt-3">
-                        <div className="ratio ratio-16x9 my-4 rounded overflow-hidden shadow-sm">
-                          {section.videoUrl && isYouTubeUrl(section.videoUrl) ? (
-                            <iframe
-                              src={`https://www.youtube.com/embed/${getYouTubeId(section.videoUrl)}`}
-                              title={`${section.Title || 'Section'} video`}
-                              frameBorder="0"
-                              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                              allowFullScreen
-                              loading="lazy"
-                            ></iframe>
-                          ) : (
-                            <video 
-                              controls 
-                              className="w-100"
-                              src={getMediaUrl(section.video, section.videoUrl)}
-                              preload="metadata"
-                            >
-                              <track kind="captions" src="" label="English" />
-                              Your browser does not support the video tag.
-                            </video>
-                          )}
+                      {/* Section video - conditionally rendered */}
+                      {(section.video || section.videoUrl) && (
+                        <div className="mt-4 pt-3">
+                          <VideoEmbed
+                            video={section.video}
+                            videoUrl={section.videoUrl}
+                            captions={section.videoCaptions}
+                            title={t('videoTitle', { title: sectionTitle })}
+                          />
                         </div>
-                      </div>
-                    )}
-                  </section>
+                      )}
+                    </section>
+                  </ErrorBoundary>
                 );
               })
             }
@@ -579,56 +608,66 @@ const Article = () => {
             {/* Conclusion section */}
             {article.conclusion && (
               <div id="conclusion" className="conclusion-section mt-5 pt-3">
-                <h2 className="h3 mb-4 conclusion-title">In Conclusion</h2>
-                <p style={{ fontSize: "1.1rem", lineHeight: "1.7" }}>{article.conclusion}</p>
-                
-                {/* Social sharing buttons - with proper security attributes */}
-                <div className="social-share-container mt-4 pt-3 border-top">
-                  <p className="social-share-title mb-2">Share this article:</p>
-                  <div className="d-flex gap-2">
-                    <a 
-                      href={`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(window.location.href)}`} 
-                      target="_blank" 
-                      rel="noopener noreferrer" 
-                      className="btn social-btn social-btn-fb"
-                      aria-label="Share on Facebook"
-                    >
-                      <i className="bi bi-facebook" aria-hidden="true"></i>
-                    </a>
-                    <a 
-                      href={`https://twitter.com/intent/tweet?url=${encodeURIComponent(window.location.href)}&text=${encodeURIComponent(title)}`} 
-                      target="_blank" 
-                      rel="noopener noreferrer" 
-                      className="btn social-btn social-btn-tw"
-                      aria-label="Share on Twitter"
-                    >
-                      <i className="bi bi-twitter" aria-hidden="true"></i>
-                    </a>
-                    <a 
-                      href={`mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent('Check out this article: ' + window.location.href)}`} 
-                      className="btn social-btn social-btn-em"
-                      aria-label="Share via Email"
-                    >
-                      <i className="bi bi-envelope" aria-hidden="true"></i>
-                    </a>
-                  </div>
-                </div>
+                <h2 className="h3 mb-4 conclusion-title">{t('inConclusion')}</h2>
+                <RichText
+                  blocks={article.conclusion}
+                  paragraphStyle={{ fontSize: "calc(1.1rem * var(--reader-text-scale, 1))", lineHeight: "calc(1.7 * var(--reader-line-scale, 1))" }}
+                />
               </div>
             )}
             
+            {/* Every product tagged on the article photos */}
+            <ProductList items={products} articleSlug={article.slug} />
+
+            {/* Share bar - stays at the bottom of the screen until the end of the article */}
+            {!focusMode && (
+              <ShareBar
+                url={pageUrl}
+                title={title}
+                media={heroPhotoUrl}
+                className="bg-body border-top py-2 mt-5"
+                style={{ position: "sticky", bottom: 0, zIndex: 1020 }}
+              />
+            )}
+
+            {/* Share highlighted text as a quote */}
+            <QuoteShare containerRef={contentRef} url={pageUrl} title={title} />
+
+            {/* Reader discussion - drafts aren't open for comments */}
+            {!isPreview && <Comments articleSlug={article.slug || slug} />}
+
+            {/* Where to go next */}
+            <ArticleNavigation
+              previous={navigation.previous}
+              next={navigation.next}
+              related={navigation.related}
+              colorFilter={colorFilter}
+              onColorFilterChange={setColorFilter}
+            />
+
             {/* Back to top button - with accessibility features */}
             <button 
-              onClick={() => window.scrollTo({top: 0, behavior: 'smooth'})} 
+              onClick={() => window.scrollTo({top: 0, behavior: getScrollBehavior()})} 
               className="back-to-top"
               id="backToTopBtn"
-              aria-label="Back to top"
+              aria-label={t('backToTop')}
             >
               <i className="bi bi-arrow-up" aria-hidden="true"></i>
-              <span className="visually-hidden">Back to top</span>
+              <span className="visually-hidden">{t('backToTop')}</span>
             </button>
           </div>
         </div>
       </div>
+
+      {/* Full-screen photo gallery */}
+      {lightbox.isOpen && (
+        <ImageLightbox
+          items={gallery.items}
+          index={lightbox.activeIndex}
+          onNavigate={lightbox.goTo}
+          onClose={lightbox.close}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import ResponsiveImage from './ResponsiveImage';
+import usePalettes from './usePalettes';
+import { useI18n } from './i18n';
+import { getArticlePath } from './paths';
+import { COLOR_FAMILIES, COLOR_FAMILIES_IN_TEXT, getPaletteFamilies } from './colorPalette';
+import { trackEvent } from './analytics';
+
+// Related articles shown when no colour is selected
+const RELATED_SHOWN = 3;
+
+/**
+ * ArticleNavigation Component
+ *
+ * Closes an article page with links to the previous and next articles in
+ * its category and a grid of related articles, so readers don't reach a
+ * dead end. Related articles can be filtered by a colour of their cover
+ * photo; cover palettes are only extracted once the filter is opened (or a
+ * colour is picked elsewhere). Renders nothing until there is somewhere to go.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.previous - Article published before this one in the category
+ * @param {Object|null} props.next - Article published after this one in the category
+ * @param {Array} props.related - Related articles, best match first
+ * @param {string|null} [props.colorFilter] - Colour family (see COLOR_FAMILIES) to filter related articles by
+ * @param {Function} [props.onColorFilterChange] - Called with the selected colour family, or null for all
+ * @returns {JSX.Element|null} The navigation block
+ */
+const ArticleNavigation = ({ previous, next, related, colorFilter = null, onColorFilterChange }) => {
+  const { locale, t, formatDate } = useI18n();
+  const [filterOpen, setFilterOpen] = useState(false);
+  const filtering = filterOpen || Boolean(colorFilter);
+
+  // A new article starts with the filter closed
+  useEffect(() => {
+    setFilterOpen(false);
+  }, [related]);
+
+  // Cover photo colours of the related articles, and the families they cover
+  const coverImages = useMemo(
+    () => (filtering ? related.map(item => ({ key: item.slug, resource: item.images?.[0], palette: item.palette })) : []),
+    [related, filtering]
+  );
+  const palettes = usePalettes(coverImages);
+  const familiesBySlug = useMemo(
+    () => new Map(related.map(item => [item.slug, getPaletteFamilies(palettes[item.slug])])),
+    [related, palettes]
+  );
+  const families = Object.keys(COLOR_FAMILIES).filter(family =>
+    [...familiesBySlug.values()].some(itemFamilies => itemFamilies.has(family))
+  );
+
+  if (!previous && !next && related.length === 0) return null;
+
+  const shownRelated = colorFilter
+    ? related.filter(item => familiesBySlug.get(item.slug)?.has(colorFilter))
+    : related.slice(0, RELATED_SHOWN);
+
+  const selectColor = (family) => {
+    if (family) trackEvent('palette_filter', { color: family });
+    onColorFilterChange(family);
+  };
+
+  return (
+    <div className="article-navigation mt-5 pt-4 border-top">
+      {/* Previous/next within the category */}
+      {(previous || next) && (
+        <nav className="row g-3 mb-5" aria-label={t('moreInCategory')}>
+          <div className="col-sm-6">
+            {previous && (
+              <Link to={getArticlePath(previous.slug, locale)} className="d-block text-decoration-none" rel="prev">
+                <span className="d-block text-muted small">
+                  <i className="bi bi-arrow-left me-1" aria-hidden="true"></i>
+                  {t('previousArticle')}
+                </span>
+                <span className="fw-semibold">{previous.title}</span>
+              </Link>
+            )}
+          </div>
+          <div className="col-sm-6 text-sm-end">
+            {next && (
+              <Link to={getArticlePath(next.slug, locale)} className="d-block text-decoration-none" rel="next">
+                <span className="d-block text-muted small">
+                  {t('nextArticle')}
+                  <i className="bi bi-arrow-right ms-1" aria-hidden="true"></i>
+                </span>
+                <span className="fw-semibold">{next.title}</span>
+              </Link>
+            )}
+          </div>
+        </nav>
+      )}
+
+      {/* Related articles */}
+      {related.length > 0 && (
+        <section aria-labelledby="related-articles-title">
+          <h2 id="related-articles-title" className="h4 mb-4">{t('relatedArticles')}</h2>
+
+          {/* Colour filter, opened on demand since it extracts every cover's palette */}
+          {onColorFilterChange && !filtering && (
+            <button type="button" className="btn btn-sm btn-outline-secondary rounded-pill mb-4" onClick={() => setFilterOpen(true)}>
+              <i className="bi bi-palette me-1" aria-hidden="true"></i>
+              {t('filterByColor')}
+            </button>
+          )}
+          {onColorFilterChange && filtering && (
+            <div className="d-flex flex-wrap align-items-center gap-2 mb-4" role="group" aria-label={t('filterByColor')}>
+              <button
+                type="button"
+                className={`btn btn-sm rounded-pill ${colorFilter ? 'btn-outline-secondary' : 'btn-secondary'}`}
+                onClick={() => selectColor(null)}
+                aria-pressed={!colorFilter}
+              >
+                {t('allColors')}
+              </button>
+              {families.map(family => (
+                <button
+                  key={family}
+                  type="button"
+                  className={`btn btn-sm rounded-pill ${colorFilter === family ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                  onClick={() => selectColor(colorFilter === family ? null : family)}
+                  aria-pressed={colorFilter === family}
+                >
+                  {t(COLOR_FAMILIES[family])}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {shownRelated.length === 0 && (
+            <p className="text-muted">{t('noRelatedInColor', { color: t(COLOR_FAMILIES_IN_TEXT[colorFilter]) })}</p>
+          )}
+          <div className="row g-4">
+            {shownRelated.map(item => (
+              <div key={item.slug} className="col-md-4">
+                <div className="card h-100 shadow-sm border-0">
+                  <ResponsiveImage
+                    resource={item.images?.[0]}
+                    alt={item.title}
+                    sizes="(min-width: 768px) 240px, 100vw"
+                    className="card-img-top"
+                    style={{ aspectRatio: "4 / 3", objectFit: "cover" }}
+                  />
+                  <div className="card-body">
+                    {item.category?.category && (
+                      <p className="text-muted small mb-1">{item.category.category}</p>
+                    )}
+                    <h3 className="h6 card-title mb-2">
+                      <Link to={getArticlePath(item.slug, locale)} className="stretched-link text-reset text-decoration-none">
+                        {item.title}
+                      </Link>
+                    </h3>
+                    {item.publishedAt && (
+                      <p className="text-muted small mb-0">{formatDate(item.publishedAt)}</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ArticleNavigation;
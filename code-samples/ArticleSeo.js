@@ -0,0 +1,270 @@
+import React from 'react';
+import { Helmet } from 'react-helmet-async';
+import { blocksToPlainText } from './RichText';
+import { useI18n } from './i18n';
+import { getTranslations } from './LanguageSwitcher';
+import { SITE_URL, SITE_NAME, TWITTER_HANDLE, DEFAULT_LOCALE } from './config';
+import { getMediaUrl } from './media';
+import { resolveVideo } from './videoProviders';
+import { getArticlePath, getCategoryPath } from './paths';
+
+const DESCRIPTION_LENGTH = 155;
+
+/**
+ * Shortens text to a meta description, cutting at a word boundary
+ * @param {string} text - Source text
+ * @returns {string} Description of at most DESCRIPTION_LENGTH characters
+ */
+const toDescription = (text) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= DESCRIPTION_LENGTH) return clean;
+
+  const cut = clean.substring(0, DESCRIPTION_LENGTH - 1);
+  return `${cut.substring(0, cut.lastIndexOf(' ')) || cut}…`;
+};
+
+/**
+ * Serializes JSON-LD for a script tag, escaping `<` so content can't close it
+ * @param {Object} data - Structured data
+ * @returns {string} JSON string
+ */
+const toJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+/**
+ * Describes an image for Open Graph and structured data
+ * @param {Object} resource - Media resource object
+ * @param {string} [externalUrl] - Optional external URL
+ * @returns {{url: string, width: number, height: number, alt: string}|null} Image details
+ */
+const describeImage = (resource, externalUrl) => {
+  const url = getMediaUrl(resource, externalUrl);
+  if (!url) return null;
+
+  // Dimensions are only known for CMS uploads
+  const attributes = externalUrl ? null : resource;
+  return {
+    url,
+    width: attributes?.width,
+    height: attributes?.height,
+    alt: attributes?.alternativeText
+  };
+};
+
+/**
+ * Builds a schema.org VideoObject for a CMS or third-party video
+ * @param {Object} options
+ * @param {Object} [options.video] - Video resource from the CMS
+ * @param {string} [options.videoUrl] - External video URL
+ * @param {string} options.name - Video title
+ * @param {string} options.description - Video description
+ * @param {string} [options.uploadDate] - ISO upload date
+ * @param {string} [options.thumbnailUrl] - Fallback thumbnail
+ * @returns {Object|null} VideoObject, or null if there is no usable video
+ */
+export const buildVideoObject = ({ video, videoUrl, name, description, uploadDate, thumbnailUrl }) => {
+  const resolved = resolveVideo(video, videoUrl);
+  if (!resolved) return null;
+
+  const { provider, data, url, poster } = resolved;
+  const videoObject = {
+    '@type': 'VideoObject',
+    name,
+    description,
+    uploadDate,
+    thumbnailUrl: poster || thumbnailUrl
+  };
+
+  if (provider.kind === 'iframe') {
+    return { ...videoObject, embedUrl: provider.getEmbedUrl(data) };
+  }
+
+  return { ...videoObject, contentUrl: url };
+};
+
+/**
+ * Builds the JSON-LD graph for an article page
+ * @param {Object} options
+ * @param {Object} options.article - The article object
+ * @param {Array} options.sections - Article sections
+ * @param {string} options.canonicalUrl - Canonical page URL
+ * @param {string} options.description - Meta description
+ * @param {Array} options.images - Described article images
+ * @param {string} options.locale - Article locale
+ * @returns {Object} JSON-LD document
+ */
+export const buildArticleJsonLd = ({ article, sections, canonicalUrl, description, images, locale }) => {
+  const { title, category, author } = article;
+  const datePublished = article.publishedAt;
+  const dateModified = article.updatedAt || article.publishedAt;
+  const thumbnailUrl = images[0]?.url;
+  const graph = [];
+
+  const blogPosting = {
+    '@type': 'BlogPosting',
+    '@id': `${canonicalUrl}#article`,
+    headline: title,
+    description,
+    inLanguage: locale,
+    mainEntityOfPage: canonicalUrl,
+    image: images.map(image => image.url),
+    datePublished,
+    dateModified,
+    author: author?.name
+      ? { '@type': 'Person', name: author.name }
+      : { '@type': 'Organization', name: SITE_NAME, url: SITE_URL },
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: SITE_URL },
+    articleSection: category?.category
+  };
+
+  const videos = [
+    buildVideoObject({
+      video: article.video?.[0],
+      videoUrl: article.videoUrl,
+      name: title,
+      description,
+      uploadDate: datePublished,
+      thumbnailUrl
+    }),
+    ...sections.map(section => (section.video || section.videoUrl) && buildVideoObject({
+      video: section.video,
+      videoUrl: section.videoUrl,
+      name: section.title || title,
+      description: toDescription(blocksToPlainText(section.text)) || description,
+      uploadDate: datePublished,
+      thumbnailUrl
+    }))
+  ].filter(Boolean);
+
+  if (videos.length > 0) {
+    blogPosting.video = videos;
+  }
+  graph.push(blogPosting);
+
+  if (category?.category) {
+    graph.push({
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, name: SITE_NAME, item: SITE_URL },
+        { '@type': 'ListItem', position: 2, name: category.category, item: `${SITE_URL}${getCategoryPath(category, locale)}` },
+        { '@type': 'ListItem', position: 3, name: title }
+      ]
+    });
+  }
+
+  return { '@context': 'https://schema.org', '@graph': graph };
+};
+
+/**
+ * Turns the CMS `structuredData` field into nodes of the JSON-LD graph, so
+ * it is added next to the generated ones rather than merged into the root
+ * @param {Object} [structuredData] - A schema.org node, or a document with an `@graph`
+ * @returns {Array<Object>} Graph nodes
+ */
+const getStructuredDataNodes = (structuredData) => {
+  if (!structuredData || typeof structuredData !== 'object') return [];
+  if (Array.isArray(structuredData['@graph'])) return structuredData['@graph'];
+
+  // The graph root carries the schema.org context
+  const node = { ...structuredData };
+  delete node['@context'];
+  return [node];
+};
+
+/**
+ * ArticleSeo Component
+ *
+ * Emits the page title, description, canonical link, Open Graph, Twitter
+ * card, article meta and JSON-LD for an article. Values from the article's
+ * CMS `seo` component (metaTitle, metaDescription, metaImage, canonicalURL,
+ * metaRobots, metaSocial) override the generated ones; its structuredData
+ * is added to the generated JSON-LD graph.
+ * Translations are announced with hreflang alternate links.
+ *
+ * @param {Object} props
+ * @param {Object} props.article - The article object
+ * @param {Array} props.sections - Article sections
+ * @param {string} props.path - Canonical page path, see getArticlePath
+ * @returns {JSX.Element} Helmet head tags
+ */
+const ArticleSeo = ({ article, sections, path }) => {
+  const { locale, t } = useI18n();
+  const seo = article.seo || {};
+  const twitterOverrides = seo.metaSocial?.find(social => social.socialNetwork === 'Twitter') || {};
+  const facebookOverrides = seo.metaSocial?.find(social => social.socialNetwork === 'Facebook') || {};
+
+  const title = seo.metaTitle || article.title;
+  const description = seo.metaDescription || toDescription(blocksToPlainText(article.content));
+  const canonicalUrl = seo.canonicalURL || `${SITE_URL}${path}`;
+
+  const images = [
+    describeImage(article.images?.[0], article.imageUrl),
+    ...(article.images || []).slice(1).map(image => describeImage(image))
+  ].filter(Boolean);
+  const shareImage = (seo.metaImage && describeImage(seo.metaImage)) || images[0];
+  const facebookImage = (facebookOverrides.image && describeImage(facebookOverrides.image)) || shareImage;
+  const twitterImage = (twitterOverrides.image && describeImage(twitterOverrides.image)) || shareImage;
+  const category = article.category?.category;
+
+  // The current article plus every published translation, for hreflang
+  const alternates = [{ locale, slug: article.slug }, ...getTranslations(article)];
+  const defaultAlternate = alternates.find(alternate => alternate.locale === DEFAULT_LOCALE);
+
+  const generatedJsonLd = buildArticleJsonLd({ article, sections, canonicalUrl, description, images, locale });
+  const jsonLd = {
+    ...generatedJsonLd,
+    '@graph': [...generatedJsonLd['@graph'], ...getStructuredDataNodes(seo.structuredData)]
+  };
+
+  return (
+    <Helmet htmlAttributes={{ lang: locale }}>
+      <title>{t('pageTitle', { title, siteName: SITE_NAME })}</title>
+      <meta name="description" content={description} />
+      <link rel="canonical" href={canonicalUrl} />
+
+      {/* Translations */}
+      {alternates.length > 1 && alternates.map(alternate => (
+        <link
+          key={alternate.locale}
+          rel="alternate"
+          hrefLang={alternate.locale}
+          href={`${SITE_URL}${getArticlePath(alternate.slug, alternate.locale)}`}
+        />
+      ))}
+      {alternates.length > 1 && defaultAlternate && (
+        <link rel="alternate" hrefLang="x-default" href={`${SITE_URL}${getArticlePath(defaultAlternate.slug, DEFAULT_LOCALE)}`} />
+      )}
+      {seo.metaRobots && <meta name="robots" content={seo.metaRobots} />}
+      {seo.keywords && <meta name="keywords" content={seo.keywords} />}
+
+      {/* Open Graph */}
+      <meta property="og:site_name" content={SITE_NAME} />
+      <meta property="og:title" content={facebookOverrides.title || title} />
+      <meta property="og:description" content={facebookOverrides.description || description} />
+      <meta property="og:type" content="article" />
+      <meta property="og:locale" content={locale.replace('-', '_')} />
+      <meta property="og:url" content={canonicalUrl} />
+      {facebookImage && <meta property="og:image" content={facebookImage.url} />}
+      {facebookImage?.width && <meta property="og:image:width" content={String(facebookImage.width)} />}
+      {facebookImage?.height && <meta property="og:image:height" content={String(facebookImage.height)} />}
+      {facebookImage?.alt && <meta property="og:image:alt" content={facebookImage.alt} />}
+
+      {/* Article meta */}
+      {article.publishedAt && <meta property="article:published_time" content={article.publishedAt} />}
+      {article.updatedAt && <meta property="article:modified_time" content={article.updatedAt} />}
+      {category && <meta property="article:section" content={category} />}
+
+      {/* Twitter card */}
+      <meta name="twitter:card" content={twitterImage ? 'summary_large_image' : 'summary'} />
+      <meta name="twitter:title" content={twitterOverrides.title || title} />
+      <meta name="twitter:description" content={twitterOverrides.description || description} />
+      {twitterImage && <meta name="twitter:image" content={twitterImage.url} />}
+      {twitterImage?.alt && <meta name="twitter:image:alt" content={twitterImage.alt} />}
+      {TWITTER_HANDLE && <meta name="twitter:site" content={TWITTER_HANDLE} />}
+
+      {/* Structured data */}
+      <script type="application/ld+json">{toJsonLd(jsonLd)}</script>
+    </Helmet>
+  );
+};
+
+export default ArticleSeo;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import RichText from './RichText';
+import ResponsiveImage from './ResponsiveImage';
+import SectionHeading from './SectionHeading';
+import PhotoActions from './PhotoActions';
+import PaletteStrip from './PaletteStrip';
+import { useI18n } from './i18n';
+
+// Where the divider starts, as a percentage of the width
+const INITIAL_POSITION = 50;
+
+/**
+ * BeforeAfterSection Component
+ *
+ * Before/after comparison: the "before" photo is laid over the "after" one
+ * and revealed up to a divider the reader drags (or moves with the arrow
+ * keys, since the handle is a range input). The "after" photo can be
+ * enlarged, pinned or saved, and its colour palette is shown below.
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element|null} The comparison slider
+ */
+const BeforeAfterSection = ({ section, index, title, photos = [], onOpenPhoto, article, pageUrl, getHeadingId, palettes, onFilterColor }) => {
+  const { t } = useI18n();
+  const [position, setPosition] = useState(INITIAL_POSITION);
+  if (!section.before?.url || !section.after?.url) return null;
+
+  const beforeLabel = section.beforeLabel || t('sectionBefore');
+  const afterLabel = section.afterLabel || t('sectionAfter');
+
+  return (
+    <>
+      {section.title && <SectionHeading index={index}>{section.title}</SectionHeading>}
+      {section.text && <RichText blocks={section.text} getHeadingId={getHeadingId} />}
+
+      <figure className="mb-0">
+        <div className="before-after position-relative overflow-hidden rounded shadow" style={{ userSelect: "none" }}>
+          <ResponsiveImage
+            resource={section.after}
+            alt={`${afterLabel}: ${title}`}
+            sizes="(min-width: 992px) 880px, 100vw"
+            className="d-block w-100"
+          />
+          <div
+            className="position-absolute top-0 start-0 w-100 h-100"
+            style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+          >
+            <ResponsiveImage
+              resource={section.before}
+              alt={`${beforeLabel}: ${title}`}
+              sizes="(min-width: 992px) 880px, 100vw"
+              className="d-block w-100 h-100"
+              style={{ objectFit: "cover" }}
+            />
+          </div>
+
+          <span className="badge bg-dark bg-opacity-75 position-absolute top-0 start-0 m-2">{beforeLabel}</span>
+          <span className="badge bg-dark bg-opacity-75 position-absolute top-0 end-0 m-2">{afterLabel}</span>
+
+          {/* Divider line, positioned by the slider below */}
+          <div
+            className="position-absolute top-0 h-100 bg-white shadow"
+            style={{ left: `${position}%`, width: "3px", transform: "translateX(-50%)", pointerEvents: "none" }}
+            aria-hidden="true"
+          ></div>
+
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            className="position-absolute top-0 start-0 w-100 h-100 m-0"
+            style={{ opacity: 0, cursor: "ew-resize" }}
+            aria-label={t('compareBeforeAfter')}
+            aria-valuetext={`${beforeLabel} ${position}%`}
+          />
+
+          {/* Above the slider, which covers the whole comparison */}
+          <PhotoActions
+            photo={photos[1]}
+            article={article}
+            pageUrl={pageUrl}
+            onOpen={() => onOpenPhoto(1)}
+            className="bottom-0 end-0 m-2"
+          />
+        </div>
+        {section.caption && (
+          <figcaption className="text-muted small mt-2 fst-italic">{section.caption}</figcaption>
+        )}
+      </figure>
+      <PaletteStrip swatches={palettes?.[1]} onFilter={onFilterColor} className="mt-2" />
+    </>
+  );
+};
+
+export default BeforeAfterSection;
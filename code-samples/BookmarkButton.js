@@ -0,0 +1,34 @@
+import React from 'react';
+import useReadingList from './useReadingList';
+import { useI18n } from './i18n';
+import { isBookmarked, toggleBookmark } from './readingListStore';
+
+/**
+ * BookmarkButton Component
+ *
+ * Adds the article to the reader's reading list, or takes it off again.
+ *
+ * @param {Object} props
+ * @param {Object} props.article - The article object
+ * @param {string} [props.className] - Extra classes for the button
+ * @returns {JSX.Element} The bookmark toggle
+ */
+const BookmarkButton = ({ article, className = '' }) => {
+  const { locale, t } = useI18n();
+  const readingList = useReadingList();
+  const saved = isBookmarked(readingList, article.slug, locale);
+
+  return (
+    <button
+      type="button"
+      className={`btn btn-sm ${saved ? 'btn-primary' : 'btn-outline-primary'} ${className}`}
+      onClick={() => toggleBookmark(article, locale)}
+      aria-pressed={saved}
+    >
+      <i className={`bi ${saved ? 'bi-bookmark-check-fill' : 'bi-bookmark'} me-1`} aria-hidden="true"></i>
+      {saved ? t('savedToReadingList') : t('saveToReadingList')}
+    </button>
+  );
+};
+
+export default BookmarkButton;
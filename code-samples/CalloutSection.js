@@ -0,0 +1,35 @@
+import React from 'react';
+import RichText from './RichText';
+import { useI18n } from './i18n';
+
+// Bootstrap alert style, icon and default heading of each callout variant
+const CALLOUT_VARIANTS = {
+  tip: { className: 'alert-success', icon: 'bi-lightbulb', label: 'calloutTip' },
+  note: { className: 'alert-info', icon: 'bi-info-circle', label: 'calloutNote' },
+  warning: { className: 'alert-warning', icon: 'bi-exclamation-triangle', label: 'calloutWarning' }
+};
+
+/**
+ * CalloutSection Component
+ *
+ * Boxed tip, note or warning set apart from the article text
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element} The callout
+ */
+const CalloutSection = ({ section, getHeadingId }) => {
+  const { t } = useI18n();
+  const variant = CALLOUT_VARIANTS[section.variant] || CALLOUT_VARIANTS.tip;
+
+  return (
+    <aside className={`alert ${variant.className} d-flex gap-3 mb-0`} role="note">
+      <i className={`bi ${variant.icon} fs-4`} aria-hidden="true"></i>
+      <div>
+        <p className="h5 mb-2">{section.title || t(variant.label)}</p>
+        <RichText blocks={section.text} getHeadingId={getHeadingId} paragraphClassName="mb-2" />
+      </div>
+    </aside>
+  );
+};
+
+export default CalloutSection;
@@ -0,0 +1,122 @@
+import React, { useState, useId } from 'react';
+import { useI18n } from './i18n';
+import {
+  validateComment,
+  getRateLimitDelay,
+  getSavedAuthor,
+  MAX_AUTHOR_LENGTH,
+  MAX_BODY_LENGTH
+} from './commentsService';
+import { reportError } from './logger';
+
+/**
+ * CommentForm Component
+ *
+ * Form for writing, replying to or editing a comment. Input is validated
+ * before it is sent and posting is throttled per browser; the text is kept
+ * if the service rejects it so nothing the reader wrote is lost.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with {author, body}; may return a promise
+ * @param {Function} [props.onCancel] - Shows a cancel button when provided
+ * @param {string} [props.initialBody] - Text to start from when editing
+ * @param {boolean} [props.isEdit] - Edits an existing comment: no name field, no rate limit
+ * @param {string} props.submitLabel - Label of the submit button
+ * @param {boolean} [props.autoFocus] - Focuses the text field on mount
+ * @returns {JSX.Element} The form
+ */
+const CommentForm = ({ onSubmit, onCancel, initialBody = '', isEdit = false, submitLabel, autoFocus = false }) => {
+  const { t } = useI18n();
+  const fieldId = useId();
+  const [author, setAuthor] = useState(() => (isEdit ? '' : getSavedAuthor()));
+  const [body, setBody] = useState(initialBody);
+  const [problem, setProblem] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const invalid = validateComment({ author, body }, !isEdit);
+    if (invalid) {
+      setProblem(invalid);
+      return;
+    }
+
+    const delay = isEdit ? 0 : getRateLimitDelay();
+    if (delay > 0) {
+      setProblem({ field: null, key: 'commentRateLimited', values: { seconds: Math.ceil(delay / 1000) } });
+      return;
+    }
+
+    // The comment shows up in the thread straight away, so clear the field
+    // now and bring the text back if the service rejects it
+    const submitted = body;
+    setProblem(null);
+    setSubmitting(true);
+    if (!isEdit) setBody('');
+    try {
+      await onSubmit({ author, body: submitted });
+    } catch (error) {
+      reportError("Error saving comment", error);
+      setBody(submitted);
+      setProblem({ field: null, key: 'commentSaveFailed', values: {} });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="comment-form mb-3" onSubmit={handleSubmit} noValidate>
+      {!isEdit && (
+        <div className="mb-2">
+          <label htmlFor={`${fieldId}-author`} className="form-label small">{t('commentName')}</label>
+          <input
+            id={`${fieldId}-author`}
+            type="text"
+            className={`form-control form-control-sm ${problem?.field === 'author' ? 'is-invalid' : ''}`}
+            value={author}
+            maxLength={MAX_AUTHOR_LENGTH}
+            autoComplete="name"
+            onChange={(e) => setAuthor(e.target.value)}
+            aria-describedby={problem?.field === 'author' ? `${fieldId}-problem` : undefined}
+          />
+        </div>
+      )}
+      <div className="mb-2">
+        <label htmlFor={`${fieldId}-body`} className={isEdit ? 'visually-hidden' : 'form-label small'}>
+          {t('commentBody')}
+        </label>
+        <textarea
+          id={`${fieldId}-body`}
+          className={`form-control ${problem?.field === 'body' ? 'is-invalid' : ''}`}
+          rows={3}
+          value={body}
+          maxLength={MAX_BODY_LENGTH}
+          autoFocus={autoFocus}
+          onChange={(e) => setBody(e.target.value)}
+          aria-describedby={problem?.field === 'body' ? `${fieldId}-problem` : undefined}
+        />
+        <div className="form-text text-end">{body.length} / {MAX_BODY_LENGTH}</div>
+      </div>
+
+      {problem && (
+        <p id={`${fieldId}-problem`} className="text-danger small mb-2" role="alert">
+          {t(problem.key, problem.values)}
+        </p>
+      )}
+
+      <div className="d-flex gap-2">
+        <button type="submit" className="btn btn-sm btn-primary" disabled={submitting}>
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-sm btn-link" onClick={onCancel} disabled={submitting}>
+            {t('cancel')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default CommentForm;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import CommentForm from './CommentForm';
+import { useI18n } from './i18n';
+import { isOwnComment } from './commentsService';
+import { reportError } from './logger';
+
+// Replies nest up to this depth; deeper replies join the deepest thread
+export const MAX_DEPTH = 3;
+
+/**
+ * Checks whether a comment should be shown. Pending comments are only
+ * visible to their author, and hidden comments only as a placeholder
+ * when other readers have replied to them.
+ * @param {Object} comment - Comment
+ * @returns {boolean} True if the comment is shown
+ */
+export const isVisibleComment = (comment) => {
+  if (comment.status === 'pending') return isOwnComment(comment);
+  if (comment.status === 'hidden') return comment.replyCount > 0;
+  return true;
+};
+
+/**
+ * CommentItem Component
+ *
+ * One comment with its replies. Replies load when the reader asks for
+ * them; the reader's own comments can be edited and deleted.
+ *
+ * @param {Object} props
+ * @param {Object} props.comment - The comment
+ * @param {number} props.depth - Nesting depth, 0 for top-level comments
+ * @param {Object} props.comments - Threads and actions from useComments
+ * @param {string} [props.threadParentId] - Parent that replies to this comment are attached to
+ * @returns {JSX.Element} The comment
+ */
+const CommentItem = ({ comment, depth, comments, threadParentId }) => {
+  const { t, formatDate } = useI18n();
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [actionFailed, setActionFailed] = useState(null);
+
+  const thread = comments.threads[comment.id];
+  const replies = (thread?.comments || []).filter(isVisibleComment);
+  const unloadedReplies = Math.max((comment.replyCount || 0) - (thread?.comments.length || 0), 0);
+  const isOwn = isOwnComment(comment);
+  const isSending = comment.status === 'sending';
+  const isRemoved = comment.deleted || comment.status === 'hidden';
+  // Beyond the maximum depth, replies go to the same thread as this comment
+  const replyParentId = depth >= MAX_DEPTH ? threadParentId : comment.id;
+
+  const handleEdit = async ({ body }) => {
+    setEditing(false);
+    setActionFailed(null);
+    try {
+      await comments.edit(comment.id, body);
+    } catch (error) {
+      reportError("Error editing comment", error);
+      setActionFailed('commentEditFailed');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('confirmDeleteComment'))) return;
+    setActionFailed(null);
+    try {
+      await comments.remove(comment.id);
+    } catch (error) {
+      reportError("Error deleting comment", error);
+      setActionFailed('commentDeleteFailed');
+    }
+  };
+
+  const handleReply = async ({ author, body }) => {
+    await comments.post({ parentId: replyParentId, author, body });
+    setReplying(false);
+  };
+
+  return (
+    <li className={`comment py-3 ${depth > 0 ? 'ps-3 border-start' : 'border-bottom'}`} style={{ opacity: isSending ? 0.6 : 1 }}>
+      <article aria-label={t('commentBy', { author: comment.author })}>
+        {isRemoved ? (
+          <p className="text-muted fst-italic small mb-0">
+            {comment.deleted ? t('commentDeleted') : t('commentHidden')}
+          </p>
+        ) : (
+          <>
+            <header className="d-flex flex-wrap align-items-center gap-2 mb-1 small">
+              <strong>{comment.author}</strong>
+              <time className="text-muted" dateTime={comment.createdAt}>{formatDate(comment.createdAt)}</time>
+              {comment.updatedAt && comment.updatedAt !== comment.createdAt && (
+                <span className="text-muted">{t('commentEdited')}</span>
+              )}
+              {comment.status === 'pending' && (
+                <span className="badge bg-warning text-dark">{t('commentAwaitingModeration')}</span>
+              )}
+              {isSending && <span className="text-muted">{t('commentSending')}</span>}
+            </header>
+
+            {editing ? (
+              <CommentForm
+                isEdit
+                initialBody={comment.body}
+                submitLabel={t('saveComment')}
+                onSubmit={handleEdit}
+                onCancel={() => setEditing(false)}
+                autoFocus
+              />
+            ) : (
+              <p className="mb-2" style={{ whiteSpace: "pre-line" }}>{comment.body}</p>
+            )}
+
+            {!isSending && !editing && (
+              <div className="d-flex gap-3 small">
+                <button type="button" className="btn btn-link btn-sm p-0" onClick={() => setReplying(!replying)} aria-expanded={replying}>
+                  {t('replyToComment')}
+                </button>
+                {isOwn && (
+                  <>
+                    <button type="button" className="btn btn-link btn-sm p-0" onClick={() => setEditing(true)}>
+                      {t('editComment')}
+                    </button>
+                    <button type="button" className="btn btn-link btn-sm p-0 text-danger" onClick={handleDelete}>
+                      {t('deleteComment')}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        {actionFailed && <p className="text-danger small mt-2 mb-0" role="alert">{t(actionFailed)}</p>}
+      </article>
+
+      {replying && (
+        <div className="mt-3">
+          <CommentForm
+            submitLabel={t('postReply')}
+            onSubmit={handleReply}
+            onCancel={() => setReplying(false)}
+            autoFocus
+          />
+        </div>
+      )}
+
+      {replies.length > 0 && (
+        <ol className="list-unstyled mt-2 mb-0 ms-2 ms-md-4">
+          {replies.map(reply => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              depth={depth + 1}
+              comments={comments}
+              threadParentId={comment.id}
+            />
+          ))}
+        </ol>
+      )}
+
+      {unloadedReplies > 0 && (!thread || thread.hasMore) && (
+        <button
+          type="button"
+          className="btn btn-link btn-sm p-0 mt-2"
+          onClick={() => comments.loadMore(comment.id)}
+          disabled={thread?.loading}
+        >
+          {thread?.loading ? t('loadingComments') : t('showReplies', { count: unloadedReplies })}
+        </button>
+      )}
+      {thread?.error && <p className="text-danger small mt-2 mb-0">{t('commentsLoadFailed')}</p>}
+    </li>
+  );
+};
+
+export default CommentItem;
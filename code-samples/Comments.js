@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import CommentForm from './CommentForm';
+import CommentItem, { isVisibleComment } from './CommentItem';
+import useComments from './useComments';
+import { useI18n } from './i18n';
+
+/**
+ * Comments Component
+ *
+ * Threaded discussion below an article. Comments start loading when the
+ * section approaches the viewport; further pages and replies load on
+ * demand. New comments may be held for moderation, in which case only
+ * their author sees them, marked as awaiting approval.
+ *
+ * @param {Object} props
+ * @param {string} props.articleSlug - Slug of the article being discussed
+ * @returns {JSX.Element} The comments section
+ */
+const Comments = ({ articleSlug }) => {
+  const { t, formatNumber } = useI18n();
+  const sectionRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const comments = useComments(articleSlug, { enabled: visible });
+  const thread = comments.threads.root;
+  const topLevel = (thread?.comments || []).filter(isVisibleComment);
+
+  // Load lazily, shortly before the reader scrolls down to the comments
+  useEffect(() => {
+    const section = sectionRef.current;
+    if (!section || visible) return;
+    if (typeof IntersectionObserver === 'undefined') {
+      setVisible(true);
+      return;
+    }
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setVisible(true);
+    }, { rootMargin: '400px 0px' });
+    observer.observe(section);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  return (
+    <section ref={sectionRef} id="comments" className="comments-section mt-5 pt-4 border-top" aria-labelledby="comments-title">
+      <h2 id="comments-title" className="h4 mb-4">
+        {comments.total > 0
+          ? t('commentsWithCount', { count: formatNumber(comments.total) })
+          : t('comments')}
+      </h2>
+
+      <CommentForm
+        submitLabel={t('postComment')}
+        onSubmit={({ author, body }) => comments.post({ author, body })}
+      />
+
+      {topLevel.length > 0 && (
+        <ol className="list-unstyled mb-0">
+          {topLevel.map(comment => (
+            <CommentItem key={comment.id} comment={comment} depth={0} comments={comments} />
+          ))}
+        </ol>
+      )}
+
+      {thread?.loading && (
+        <p className="text-muted small mt-3" role="status">{t('loadingComments')}</p>
+      )}
+      {thread?.error && (
+        <div className="mt-3">
+          <p className="text-danger small mb-2">{t('commentsLoadFailed')}</p>
+          <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => comments.loadMore()}>
+            {t('retry')}
+          </button>
+        </div>
+      )}
+      {thread && !thread.loading && !thread.error && thread.page > 0 && topLevel.length === 0 && (
+        <p className="text-muted mt-3">{t('noCommentsYet')}</p>
+      )}
+      {thread?.hasMore && thread.page > 0 && !thread.loading && !thread.error && (
+        <button type="button" className="btn btn-outline-secondary btn-sm mt-3" onClick={() => comments.loadMore()}>
+          {t('loadMoreComments')}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default Comments;
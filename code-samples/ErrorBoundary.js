@@ -0,0 +1,48 @@
+import { Component } from 'react';
+import { reportError } from './logger';
+
+/**
+ * ErrorBoundary Component
+ *
+ * Catches rendering errors below it, reports them and renders a fallback
+ * instead, so one broken part (e.g. a malformed CMS section) doesn't blank
+ * the whole page. Error boundaries have to be class components.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Content to protect
+ * @param {React.ReactNode|Function} [props.fallback] - Rendered on error; a
+ *   function receives `{error, reset}`. Renders nothing by default.
+ * @param {string} [props.name] - What is being rendered, for the error report
+ * @param {Object} [props.context] - Extra details for the error report
+ * @param {*} [props.resetKey] - Clears the error when it changes, e.g. the page path
+ */
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    const { name = 'component', context } = this.props;
+    reportError(`Error rendering ${name}`, error, { ...context, componentStack: info.componentStack });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.reset();
+    }
+  }
+
+  reset = () => this.setState({ error: null });
+
+  render() {
+    const { error } = this.state;
+    const { children, fallback = null } = this.props;
+
+    if (!error) return children;
+    return typeof fallback === 'function' ? fallback({ error, reset: this.reset }) : fallback;
+  }
+}
+
+export default ErrorBoundary;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import RichText from './RichText';
+import ResponsiveImage from './ResponsiveImage';
+import SectionHeading from './SectionHeading';
+import PhotoActions from './PhotoActions';
+import { useI18n } from './i18n';
+
+/**
+ * Clamps a hotspot coordinate to the plan
+ * @param {number} value - Percentage from the CMS
+ * @returns {number} Percentage between 0 and 100
+ */
+const toPercent = (value) => Math.min(Math.max(Number(value) || 0, 0), 100);
+
+/**
+ * FloorPlanSection Component
+ *
+ * Floor plan with numbered hotspots. Selecting a hotspot shows its label
+ * and description; the same details are listed below the plan, linking to
+ * the section about that spot when the editor set an anchor. The plan can
+ * be enlarged, pinned or saved.
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element|null} The floor plan
+ */
+const FloorPlanSection = ({ section, index, title, photos = [], onOpenPhoto, article, pageUrl, getHeadingId }) => {
+  const { t } = useI18n();
+  const [active, setActive] = useState(null);
+  if (!section.image?.url) return null;
+
+  const hotspots = (section.hotspots || []).filter(hotspot => hotspot?.label);
+  const selected = active !== null ? hotspots[active] : null;
+
+  return (
+    <>
+      <SectionHeading index={index}>{section.title || t('floorPlan')}</SectionHeading>
+      {section.text && <RichText blocks={section.text} getHeadingId={getHeadingId} />}
+
+      <div className="floor-plan position-relative">
+        <ResponsiveImage
+          resource={section.image}
+          alt={section.image.alternativeText || `${t('floorPlan')}: ${title}`}
+          sizes="(min-width: 992px) 880px, 100vw"
+          className="d-block w-100 rounded border"
+        />
+        <PhotoActions
+          photo={photos[0]}
+          article={article}
+          pageUrl={pageUrl}
+          onOpen={() => onOpenPhoto(0)}
+          className="bottom-0 end-0 m-2"
+        />
+
+        {hotspots.map((hotspot, position) => (
+          <button
+            key={`${hotspot.label}-${position}`}
+            type="button"
+            className={`btn btn-sm rounded-circle shadow position-absolute ${active === position ? 'btn-dark' : 'btn-light'}`}
+            style={{
+              left: `${toPercent(hotspot.x)}%`,
+              top: `${toPercent(hotspot.y)}%`,
+              transform: "translate(-50%, -50%)",
+              width: "2rem",
+              height: "2rem",
+              padding: 0
+            }}
+            onClick={() => setActive(active === position ? null : position)}
+            aria-label={t('floorPlanHotspot', { label: hotspot.label })}
+            aria-expanded={active === position}
+          >
+            {position + 1}
+          </button>
+        ))}
+
+        {selected && (
+          <div
+            className="card shadow position-absolute small"
+            style={{
+              left: `${toPercent(selected.x)}%`,
+              top: `${toPercent(selected.y)}%`,
+              transform: `translate(${toPercent(selected.x) > 50 ? '-100%' : '0'}, 1.25rem)`,
+              maxWidth: "16rem",
+              zIndex: 2
+            }}
+            role="status"
+          >
+            <div className="card-body p-2">
+              <p className="fw-semibold mb-1">{selected.label}</p>
+              {selected.description && <p className="mb-0">{selected.description}</p>}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {hotspots.length > 0 && (
+        <ol className="small mt-3 mb-0">
+          {hotspots.map((hotspot, position) => (
+            <li key={`${hotspot.label}-${position}`}>
+              {hotspot.anchor ? <a href={`#${hotspot.anchor}`}>{hotspot.label}</a> : hotspot.label}
+              {hotspot.description && <span className="text-muted"> — {hotspot.description}</span>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </>
+  );
+};
+
+export default FloorPlanSection;
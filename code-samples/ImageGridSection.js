@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import RichText from './RichText';
+import ResponsiveImage from './ResponsiveImage';
+import SectionHeading from './SectionHeading';
+import PhotoActions from './PhotoActions';
+import PaletteStrip from './PaletteStrip';
+import { useI18n } from './i18n';
+
+/**
+ * ImageGridSection Component
+ *
+ * Several photos shown as a grid, or one at a time as a carousel when the
+ * section's layout is "carousel". Each photo opens in the gallery and can
+ * be pinned or saved; the carousel shows the current photo's palette.
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element|null} The photos
+ */
+const ImageGridSection = ({ section, index, title, photos = [], onOpenPhoto, article, pageUrl, getHeadingId, palettes, onFilterColor }) => {
+  const { t } = useI18n();
+  const [current, setCurrent] = useState(0);
+  const images = (section.images || []).filter(image => image?.url);
+  if (images.length === 0) return null;
+
+  const alt = (image, position) => image.alternativeText || `${title} – ${t('photoNumber', { number: position + 1 })}`;
+  const show = (position) => setCurrent((position + images.length) % images.length);
+
+  return (
+    <>
+      {section.title && <SectionHeading index={index}>{section.title}</SectionHeading>}
+      {section.text && <RichText blocks={section.text} getHeadingId={getHeadingId} />}
+
+      <figure className="mb-0">
+        {section.layout === 'carousel' ? (
+          <div className="position-relative" role="region" aria-roledescription="carousel" aria-label={title}>
+            <div className="position-relative" aria-live="polite">
+              <button
+                type="button"
+                className="gallery-trigger d-block w-100 p-0 border-0 bg-transparent"
+                onClick={() => onOpenPhoto(current)}
+                aria-label={t('viewPhoto', { title: alt(images[current], current) })}
+                style={{ cursor: "zoom-in" }}
+              >
+                <ResponsiveImage
+                  key={current}
+                  resource={images[current]}
+                  alt={alt(images[current], current)}
+                  sizes="(min-width: 992px) 880px, 100vw"
+                  className="d-block w-100 rounded shadow"
+                />
+              </button>
+              <PhotoActions photo={photos[current]} article={article} pageUrl={pageUrl} className="top-0 end-0 m-2" />
+            </div>
+            {images.length > 1 && (
+              <div className="d-flex justify-content-between align-items-center mt-2">
+                <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => show(current - 1)} aria-label={t('previousPhoto')}>
+                  <i className="bi bi-chevron-left" aria-hidden="true"></i>
+                </button>
+                <span className="small text-muted">{t('photoCounter', { current: current + 1, total: images.length })}</span>
+                <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => show(current + 1)} aria-label={t('nextPhoto')}>
+                  <i className="bi bi-chevron-right" aria-hidden="true"></i>
+                </button>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="row g-2">
+            {images.map((image, position) => (
+              <div key={image.url} className={`position-relative ${images.length === 2 ? 'col-6' : 'col-6 col-md-4'}`}>
+                <button
+                  type="button"
+                  className="gallery-trigger d-block w-100 p-0 border-0 bg-transparent"
+                  onClick={() => onOpenPhoto(position)}
+                  aria-label={t('viewPhoto', { title: alt(image, position) })}
+                  style={{ cursor: "zoom-in" }}
+                >
+                  <ResponsiveImage
+                    resource={image}
+                    alt={alt(image, position)}
+                    sizes="(min-width: 992px) 290px, 50vw"
+                    className="img-fluid rounded shadow-sm w-100"
+                    style={{ aspectRatio: "1", objectFit: "cover" }}
+                  />
+                </button>
+                <PhotoActions photo={photos[position]} article={article} pageUrl={pageUrl} className="top-0 end-0 m-2" />
+              </div>
+            ))}
+          </div>
+        )}
+        {section.caption && (
+          <figcaption className="text-muted small mt-2 fst-italic">{section.caption}</figcaption>
+        )}
+      </figure>
+      {section.layout === 'carousel' && (
+        <PaletteStrip swatches={palettes?.[current]} onFilter={onFilterColor} className="mt-2" />
+      )}
+    </>
+  );
+};
+
+export default ImageGridSection;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useI18n } from './i18n';
+import { getImageSources } from './media';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 0.5;
+
+// Horizontal distance in pixels a finger must travel to change photo
+const SWIPE_THRESHOLD = 50;
+
+const FOCUSABLE = 'button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
+const clampScale = (scale) => Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+
+const getDistance = ([first, second]) => Math.hypot(first.x - second.x, first.y - second.y);
+
+/**
+ * ImageLightbox Component
+ *
+ * Full-screen photo viewer for the article gallery. Readers step through
+ * photos with the arrow keys, buttons or a horizontal swipe, and zoom with
+ * a pinch, a double click or the +/- keys; a zoomed photo can be dragged.
+ * Focus is trapped inside the dialog and returned to the opening element
+ * on close, and the page behind it doesn't scroll.
+ *
+ * @param {Object} props
+ * @param {Array} props.items - Gallery items from buildGallery
+ * @param {number} props.index - Position of the photo to show
+ * @param {Function} props.onNavigate - Called with the position of the photo to show next
+ * @param {Function} props.onClose - Called when the reader closes the gallery
+ * @returns {JSX.Element} The lightbox dialog
+ */
+const ImageLightbox = ({ items, index, onNavigate, onClose }) => {
+  const { t, formatNumber } = useI18n();
+  const [zoom, setZoom] = useState({ scale: 1, x: 0, y: 0 });
+  const [gesturing, setGesturing] = useState(false);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+
+  const item = items[index];
+  const image = getImageSources(item.resource, item.externalUrl);
+  const hasMultiple = items.length > 1;
+  const alt = image?.alt || item.title || t('photoNumber', { number: index + 1 });
+
+  // Lock page scroll and move focus into the dialog; restore both on close
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    closeButtonRef.current?.focus();
+
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+    };
+  }, []);
+
+  // Each photo opens unzoomed
+  useEffect(() => {
+    setZoom({ scale: 1, x: 0, y: 0 });
+  }, [index]);
+
+  // Warm the cache with the neighbouring photos so stepping feels instant
+  useEffect(() => {
+    if (!hasMultiple) return;
+    [index - 1, index + 1].forEach(position => {
+      const neighbour = items[(position + items.length) % items.length];
+      const sources = getImageSources(neighbour.resource, neighbour.externalUrl);
+      if (!sources) return;
+
+      const preload = new Image();
+      preload.sizes = '100vw';
+      if (sources.srcSet) preload.srcset = sources.srcSet;
+      preload.src = sources.src;
+    });
+  }, [items, index, hasMultiple]);
+
+  const showPrevious = () => onNavigate(index - 1);
+  const showNext = () => onNavigate(index + 1);
+  const zoomBy = (delta) => setZoom(current => {
+    const scale = clampScale(current.scale + delta);
+    return scale === 1 ? { scale, x: 0, y: 0 } : { ...current, scale };
+  });
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowLeft' && hasMultiple) {
+      showPrevious();
+    } else if (e.key === 'ArrowRight' && hasMultiple) {
+      showNext();
+    } else if (e.key === 'Home') {
+      onNavigate(0);
+    } else if (e.key === 'End') {
+      onNavigate(items.length - 1);
+    } else if (e.key === '+' || e.key === '=') {
+      zoomBy(ZOOM_STEP);
+    } else if (e.key === '-') {
+      zoomBy(-ZOOM_STEP);
+    } else if (e.key === 'Tab') {
+      // Keep focus cycling within the dialog
+      const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const startGesture = () => {
+    const pointers = Array.from(pointersRef.current.values());
+    gestureRef.current = {
+      pointers,
+      distance: pointers.length === 2 ? getDistance(pointers) : 0,
+      zoom,
+      moved: false
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+    setGesturing(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId) || !gestureRef.current) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const gesture = gestureRef.current;
+    const pointers = Array.from(pointersRef.current.values());
+    gesture.moved = true;
+
+    if (pointers.length === 2 && gesture.distance > 0) {
+      // Pinch
+      const scale = clampScale(gesture.zoom.scale * (getDistance(pointers) / gesture.distance));
+      setZoom(scale === 1 ? { scale, x: 0, y: 0 } : { ...gesture.zoom, scale });
+    } else if (pointers.length === 1 && gesture.zoom.scale > 1) {
+      // Drag a zoomed photo, keeping its edges within the stage
+      const stage = e.currentTarget.getBoundingClientRect();
+      const maxX = (stage.width * (gesture.zoom.scale - 1)) / 2;
+      const maxY = (stage.height * (gesture.zoom.scale - 1)) / 2;
+      const x = gesture.zoom.x + pointers[0].x - gesture.pointers[0].x;
+      const y = gesture.zoom.y + pointers[0].y - gesture.pointers[0].y;
+      setZoom({
+        scale: gesture.zoom.scale,
+        x: Math.min(Math.max(x, -maxX), maxX),
+        y: Math.min(Math.max(y, -maxY), maxY)
+      });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const start = pointersRef.current.size === 1 ? gestureRef.current : null;
+    const end = pointersRef.current.get(e.pointerId);
+    pointersRef.current.delete(e.pointerId);
+
+    // A horizontal swipe on an unzoomed photo changes photo
+    if (start?.moved && start.zoom.scale === 1 && end && hasMultiple) {
+      const dx = end.x - start.pointers[0].x;
+      const dy = end.y - start.pointers[0].y;
+      if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) showNext();
+        else showPrevious();
+      }
+    }
+
+    // Lifting one finger of a pinch continues as a drag with the other
+    if (pointersRef.current.size > 0) {
+      startGesture();
+    } else {
+      gestureRef.current = null;
+      setGesturing(false);
+    }
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      className="image-lightbox d-flex flex-column text-white"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('photoGallery')}
+      onKeyDown={handleKeyDown}
+      style={{ position: "fixed", inset: 0, zIndex: 1080, backgroundColor: "rgba(0,0,0,0.95)" }}
+    >
+      {/* Toolbar */}
+      <div className="d-flex align-items-center gap-2 p-3">
+        <span className="flex-grow-1 small" aria-live="polite">
+          {t('photoCounter', { current: formatNumber(index + 1), total: formatNumber(items.length) })}
+        </span>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-light"
+          onClick={() => zoomBy(-ZOOM_STEP)}
+          disabled={zoom.scale <= MIN_SCALE}
+          aria-label={t('zoomOut')}
+        >
+          <i className="bi bi-zoom-out" aria-hidden="true"></i>
+        </button>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-light"
+          onClick={() => zoomBy(ZOOM_STEP)}
+          disabled={zoom.scale >= MAX_SCALE}
+          aria-label={t('zoomIn')}
+        >
+          <i className="bi bi-zoom-in" aria-hidden="true"></i>
+        </button>
+        <button
+          ref={closeButtonRef}
+          type="button"
+          className="btn btn-sm btn-outline-light"
+          onClick={onClose}
+          aria-label={t('closeGallery')}
+        >
+          <i className="bi bi-x-lg" aria-hidden="true"></i>
+        </button>
+      </div>
+
+      {/* Photo stage */}
+      <div
+        className="position-relative flex-grow-1 d-flex align-items-center justify-content-center overflow-hidden"
+        style={{ touchAction: "none", cursor: zoom.scale > 1 ? "grab" : "zoom-in" }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={() => setZoom(zoom.scale > 1 ? { scale: 1, x: 0, y: 0 } : { scale: 2, x: 0, y: 0 })}
+      >
+        {image && (
+          <img
+            key={image.src}
+            src={image.src}
+            srcSet={image.srcSet}
+            sizes={image.srcSet ? '100vw' : undefined}
+            alt={alt}
+            draggable={false}
+            style={{
+              maxWidth: "100%",
+              maxHeight: "100%",
+              objectFit: "contain",
+              userSelect: "none",
+              transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`,
+              transition: gesturing ? "none" : "transform 0.2s ease"
+            }}
+          />
+        )}
+
+        {hasMultiple && (
+          <>
+            <button
+              type="button"
+              className="btn btn-dark position-absolute top-50 start-0 translate-middle-y ms-2 rounded-circle"
+              onClick={showPrevious}
+              onPointerDown={(e) => e.stopPropagation()}
+              aria-label={t('previousPhoto')}
+            >
+              <i className="bi bi-chevron-left" aria-hidden="true"></i>
+            </button>
+            <button
+              type="button"
+              className="btn btn-dark position-absolute top-50 end-0 translate-middle-y me-2 rounded-circle"
+              onClick={showNext}
+              onPointerDown={(e) => e.stopPropagation()}
+              aria-label={t('nextPhoto')}
+            >
+              <i className="bi bi-chevron-right" aria-hidden="true"></i>
+            </button>
+          </>
+        )}
+      </div>
+
+      {/* Caption and credit */}
+      {(item.caption || item.credit) && (
+        <div className="p-3 text-center small">
+          {item.caption && <p className="mb-1">{item.caption}</p>}
+          {item.credit && <p className="mb-0 text-white-50">{t('photoCredit', { credit: item.credit })}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageLightbox;
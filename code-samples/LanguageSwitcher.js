@@ -0,0 +1,62 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from './i18n';
+import { getArticlePath } from './paths';
+import { LOCALES } from './config';
+
+/**
+ * Returns a language's name in that language (e.g. "français" for fr)
+ * @param {string} locale - Locale code
+ * @returns {string} Native language name, or the code if unavailable
+ */
+const getLanguageName = (locale) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+  } catch (e) {
+    return locale;
+  }
+};
+
+/**
+ * Lists the translations of an article that the site publishes
+ * @param {Object} article - The article object with its localizations
+ * @returns {Array<{locale: string, slug: string}>} Available translations, excluding the current one
+ */
+export const getTranslations = (article) => (article.localizations || [])
+  .filter(translation => translation.slug && LOCALES.includes(translation.locale) && translation.locale !== article.locale);
+
+/**
+ * LanguageSwitcher Component
+ *
+ * Links to the other translations of the current article. Renders nothing
+ * when the article has not been translated.
+ *
+ * @param {Object} props
+ * @param {Object} props.article - The article object with its localizations
+ * @returns {JSX.Element|null} The language switcher
+ */
+const LanguageSwitcher = ({ article }) => {
+  const { t } = useI18n();
+  const translations = getTranslations(article);
+  if (translations.length === 0) return null;
+
+  return (
+    <nav className="language-switcher small mb-4" aria-label={t('languageSwitcher')}>
+      <i className="bi bi-translate me-2" aria-hidden="true"></i>
+      <span className="text-muted me-2">{t('languageSwitcher')}:</span>
+      {translations.map(translation => (
+        <Link
+          key={translation.locale}
+          to={getArticlePath(translation.slug, translation.locale)}
+          hrefLang={translation.locale}
+          lang={translation.locale}
+          className="me-3"
+        >
+          {getLanguageName(translation.locale)}
+        </Link>
+      ))}
+    </nav>
+  );
+};
+
+export default LanguageSwitcher;
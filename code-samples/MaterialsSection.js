@@ -0,0 +1,77 @@
+import React from 'react';
+import RichText from './RichText';
+import SectionHeading from './SectionHeading';
+import { useI18n } from './i18n';
+import { getProductUrl } from './products';
+import { trackEvent } from './analytics';
+
+// Swatch colours editors may enter: #rgb or #rrggbb
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * MaterialsSection Component
+ *
+ * List of the materials, finishes and paint colours used in a room, with a
+ * colour swatch and a shop link where the editor provided one
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element|null} The materials list
+ */
+const MaterialsSection = ({ section, index, article, getHeadingId }) => {
+  const { t } = useI18n();
+  const items = (section.items || []).filter(item => item?.name);
+  if (items.length === 0) return null;
+
+  return (
+    <>
+      <SectionHeading index={index}>{section.title || t('materialsList')}</SectionHeading>
+      {section.text && <RichText blocks={section.text} getHeadingId={getHeadingId} />}
+
+      <ul className="list-group list-group-flush materials-list">
+        {items.map((item, position) => {
+          const shopUrl = item.url && getProductUrl(item.url);
+          return (
+            <li key={`${item.name}-${position}`} className="list-group-item d-flex align-items-center gap-3 px-0">
+              {HEX_COLOR.test(item.color || '') ? (
+                <span
+                  className="rounded-circle border flex-shrink-0"
+                  style={{ width: "2.5rem", height: "2.5rem", backgroundColor: item.color }}
+                  aria-hidden="true"
+                ></span>
+              ) : (
+                <i className="bi bi-bricks fs-4 text-muted flex-shrink-0" style={{ width: "2.5rem", textAlign: "center" }} aria-hidden="true"></i>
+              )}
+              <div className="flex-grow-1">
+                <p className="mb-0 fw-semibold">{item.name}</p>
+                <p className="mb-0 small text-muted">
+                  {[item.brand, item.finish, item.colorCode && t('materialsColorCode', { code: item.colorCode })]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </p>
+              </div>
+              {shopUrl && (
+                <a
+                  href={shopUrl}
+                  target="_blank"
+                  rel="sponsored noopener noreferrer"
+                  className="btn btn-outline-secondary btn-sm"
+                  onClick={() => trackEvent('affiliate_click', {
+                    article: article.slug,
+                    product: item.name,
+                    retailer: item.brand,
+                    placement: `section-${index + 1}`,
+                    source: 'materials'
+                  })}
+                >
+                  {t('materialsBuy')}
+                </a>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </>
+  );
+};
+
+export default MaterialsSection;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import useMoodBoards from './useMoodBoards';
+import { useI18n } from './i18n';
+import { renameBoard, deleteBoard, removeImageFromBoard, moveImageOnBoard } from './moodBoardStore';
+import { getArticlePath, getArticlePhotoUrl } from './paths';
+import { SITE_NAME } from './config';
+
+/**
+ * MoodBoards Component
+ *
+ * Browses the reader's mood boards. Saved photos can be reordered by
+ * dragging or with the arrow buttons, removed, and opened in the article
+ * they came from. Boards can be renamed and deleted.
+ *
+ * @returns {JSX.Element} The mood boards page
+ */
+const MoodBoards = () => {
+  const { t, formatNumber } = useI18n();
+  const { boards } = useMoodBoards();
+  const [selectedId, setSelectedId] = useState(null);
+  const [renaming, setRenaming] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [draggedId, setDraggedId] = useState(null);
+
+  const board = boards.find(candidate => candidate.id === selectedId) || boards[0];
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (draftName.trim()) renameBoard(board.id, draftName);
+    setRenaming(false);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('confirmDeleteBoard', { name: board.name }))) return;
+    deleteBoard(board.id);
+    setSelectedId(null);
+  };
+
+  const handleDrop = (index) => {
+    if (draggedId) moveImageOnBoard(board.id, draggedId, index);
+    setDraggedId(null);
+  };
+
+  return (
+    <div className="container my-5" style={{ marginTop: "80px" }}>
+      <Helmet>
+        <title>{t('pageTitle', { title: t('moodBoards'), siteName: SITE_NAME })}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <h1 className="mb-4" style={{ fontFamily: "'Playfair Display', serif" }}>{t('moodBoards')}</h1>
+
+      {boards.length === 0 ? (
+        <p className="text-muted">{t('moodBoardsEmpty')}</p>
+      ) : (
+        <>
+          {/* Board picker */}
+          <ul className="nav nav-pills flex-wrap gap-2 mb-4">
+            {boards.map(candidate => (
+              <li key={candidate.id} className="nav-item">
+                <button
+                  type="button"
+                  className={`nav-link ${candidate.id === board.id ? 'active' : ''}`}
+                  onClick={() => {
+                    setSelectedId(candidate.id);
+                    setRenaming(false);
+                  }}
+                  aria-pressed={candidate.id === board.id}
+                >
+                  {candidate.name}
+                  <span className="badge bg-light text-dark ms-2">{formatNumber(candidate.items.length)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Board header */}
+          <div className="d-flex flex-wrap align-items-center gap-2 mb-4">
+            {renaming ? (
+              <form className="d-flex gap-2" onSubmit={handleRename}>
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  aria-label={t('boardName')}
+                  value={draftName}
+                  maxLength={60}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  autoFocus
+                />
+                <button type="submit" className="btn btn-sm btn-primary">{t('saveBoardName')}</button>
+                <button type="button" className="btn btn-sm btn-link" onClick={() => setRenaming(false)}>{t('cancel')}</button>
+              </form>
+            ) : (
+              <>
+                <h2 className="h4 mb-0 me-auto">{board.name}</h2>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => {
+                    setDraftName(board.name);
+                    setRenaming(true);
+                  }}
+                >
+                  {t('renameBoard')}
+                </button>
+                <button type="button" className="btn btn-sm btn-outline-danger" onClick={handleDelete}>
+                  {t('deleteBoard')}
+                </button>
+              </>
+            )}
+          </div>
+
+          {/* Saved photos */}
+          {board.items.length === 0 ? (
+            <p className="text-muted">{t('boardEmpty')}</p>
+          ) : (
+            <ol className="row g-4 list-unstyled">
+              {board.items.map((item, index) => (
+                <li
+                  key={item.id}
+                  className="col-sm-6 col-lg-4"
+                  draggable
+                  onDragStart={() => setDraggedId(item.id)}
+                  onDragEnd={() => setDraggedId(null)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handleDrop(index)}
+                  style={{ opacity: draggedId === item.id ? 0.5 : 1, cursor: "grab" }}
+                >
+                  <figure className="card h-100 shadow-sm border-0 mb-0">
+                    <img
+                      src={item.src}
+                      srcSet={item.srcSet}
+                      sizes={item.srcSet ? "(min-width: 992px) 33vw, (min-width: 576px) 50vw, 100vw" : undefined}
+                      alt={item.alt}
+                      loading="lazy"
+                      className="card-img-top"
+                      style={{ aspectRatio: "4 / 3", objectFit: "cover" }}
+                    />
+                    <figcaption className="card-body small">
+                      {item.caption && <p className="mb-1">{item.caption}</p>}
+                      <p className="text-muted mb-1">
+                        <Link to={getArticlePhotoUrl(getArticlePath(item.articleSlug, item.locale), item.src)} hrefLang={item.locale}>
+                          {item.articleTitle}
+                        </Link>
+                        {item.sectionTitle && <> · {item.sectionTitle}</>}
+                      </p>
+                      {item.credit && <p className="text-muted mb-0">{t('photoCredit', { credit: item.credit })}</p>}
+                    </figcaption>
+                    <div className="card-footer bg-transparent border-0 d-flex gap-1">
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => moveImageOnBoard(board.id, item.id, index - 1)}
+                        disabled={index === 0}
+                        aria-label={t('moveImageEarlier')}
+                      >
+                        <i className="bi bi-arrow-left" aria-hidden="true"></i>
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => moveImageOnBoard(board.id, item.id, index + 1)}
+                        disabled={index === board.items.length - 1}
+                        aria-label={t('moveImageLater')}
+                      >
+                        <i className="bi bi-arrow-right" aria-hidden="true"></i>
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger ms-auto"
+                        onClick={() => removeImageFromBoard(board.id, item.id)}
+                        aria-label={t('removeImageFromBoard')}
+                      >
+                        <i className="bi bi-trash" aria-hidden="true"></i>
+                      </button>
+                    </div>
+                  </figure>
+                </li>
+              ))}
+            </ol>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MoodBoards;
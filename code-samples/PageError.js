@@ -0,0 +1,69 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useI18n } from './i18n';
+import { getReadingListPath } from './paths';
+import { SITE_NAME } from './config';
+
+// Look and wording of each kind of failure (see apiErrors.js)
+const ERROR_STATES = {
+  notFound: { color: '#ffc107', background: '#fffdf0', title: 'notFoundTitle', message: 'notFoundMessage' },
+  unauthorized: { color: '#ff5555', background: '#fff0f0', title: 'unavailableTitle', message: 'unavailableMessage' },
+  rateLimited: { color: '#fd7e14', background: '#fff6ee', title: 'rateLimitedTitle', message: 'rateLimitedMessage' },
+  offline: { color: '#6c757d', background: '#f4f6f8', title: 'offlineTitle', message: 'offlineMessage', icon: 'bi-wifi-off' },
+  server: { color: '#ff5555', background: '#fff0f0', title: 'errorTitle', message: 'errorLoadFailed' },
+  render: { color: '#ff5555', background: '#fff0f0', title: 'errorTitle', message: 'errorRenderFailed' }
+};
+
+/**
+ * PageError Component
+ *
+ * Full-page state for a page that couldn't be loaded or rendered. Readers
+ * get a plain explanation and, where trying again may help, a retry
+ * button; raw error messages are never shown. Error pages are kept out of
+ * search results.
+ *
+ * @param {Object} props
+ * @param {Error} [props.error] - Typed error from apiErrors.js; other errors are treated as rendering failures
+ * @param {Function} [props.onRetry] - Loads or renders the page again
+ * @param {boolean} [props.isPreview] - Whether a draft preview failed, which changes the unauthorized message
+ * @returns {JSX.Element} The error state
+ */
+const PageError = ({ error, onRetry, isPreview = false }) => {
+  const { locale, t, formatNumber } = useI18n();
+  const kind = ERROR_STATES[error?.kind] ? error.kind : 'render';
+  const state = ERROR_STATES[kind];
+
+  let message = t(state.message);
+  if (kind === 'unauthorized' && isPreview) {
+    message = t('previewUnauthorizedMessage');
+  } else if (kind === 'rateLimited' && error.retryAfter) {
+    message = t('rateLimitedRetryAfter', { seconds: formatNumber(error.retryAfter) });
+  }
+
+  return (
+    <div className="alert shadow-sm border-0 p-5" style={{ backgroundColor: state.background, borderLeft: `4px solid ${state.color}` }}>
+      <Helmet>
+        <title>{t('pageTitle', { title: t(state.title), siteName: SITE_NAME })}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+      {state.icon && <i className={`bi ${state.icon} fs-1 d-block mb-3`} aria-hidden="true"></i>}
+      <h3 className="mb-3 fw-bold">{t(state.title)}</h3>
+      <p className="mb-3">{message}</p>
+      <div className="d-flex justify-content-center flex-wrap gap-2">
+        {kind !== 'notFound' && onRetry && (
+          <button type="button" className="btn btn-primary" onClick={onRetry}>{t('retry')}</button>
+        )}
+        {kind === 'offline' ? (
+          <Link to={getReadingListPath(locale)} className="btn btn-outline-secondary">{t('viewReadingList')}</Link>
+        ) : (
+          <button type="button" className="btn btn-outline-secondary" onClick={() => window.history.back()}>
+            {kind === 'notFound' ? t('browseOtherArticles') : t('goBack')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PageError;
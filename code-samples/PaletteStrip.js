@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+import { formatRgb, getColorFamily, COLOR_FAMILIES_IN_TEXT } from './colorPalette';
+import { copyToClipboard } from './sharing';
+import { trackEvent } from './analytics';
+
+/**
+ * PaletteStrip Component
+ *
+ * Strip of a photo's dominant colours. Selecting a swatch shows its paint
+ * name, brand and code when editors provided them, buttons copying the
+ * colour as hex or RGB, and a link to related articles in that colour.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} [props.swatches] - Swatches from usePalettes
+ * @param {Function} [props.onFilter] - Called with a colour family to filter related articles
+ * @param {string} [props.className] - Extra classes
+ * @returns {JSX.Element|null} The palette strip
+ */
+const PaletteStrip = ({ swatches, onFilter, className = '' }) => {
+  const { t } = useI18n();
+  const [selected, setSelected] = useState(null);
+  const [copied, setCopied] = useState(null);
+  if (!swatches || swatches.length === 0) return null;
+
+  const swatch = swatches[selected];
+  const family = swatch && getColorFamily(swatch.hex);
+
+  const copy = async (value, format) => {
+    trackEvent('palette_copy', { format });
+    if (await copyToClipboard(value)) setCopied(value);
+  };
+
+  return (
+    <div className={`palette-strip small ${className}`}>
+      <div className="d-flex align-items-center gap-2">
+        <span className="text-muted">{t('paletteTitle')}</span>
+        <div className="d-flex rounded overflow-hidden border flex-grow-1" role="group" aria-label={t('paletteTitle')}>
+          {swatches.map((item, index) => (
+            <button
+              key={item.hex}
+              type="button"
+              className="border-0 p-0"
+              style={{ backgroundColor: item.hex, height: "1.5rem", flex: item.share ? `${Math.max(item.share, 0.08)} 1 0` : "1 1 0" }}
+              onClick={() => {
+                setSelected(selected === index ? null : index);
+                setCopied(null);
+              }}
+              aria-pressed={selected === index}
+              aria-label={item.name ? `${item.name} (${item.hex})` : item.hex}
+              title={item.name || item.hex}
+            ></button>
+          ))}
+        </div>
+      </div>
+
+      {swatch && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+          <span className="rounded-circle border" style={{ width: "1.25rem", height: "1.25rem", backgroundColor: swatch.hex }} aria-hidden="true"></span>
+          <span className="fw-semibold">
+            {[swatch.name, swatch.brand, swatch.code].filter(Boolean).join(' · ') || swatch.hex}
+          </span>
+          <button type="button" className="btn btn-outline-secondary btn-sm py-0" onClick={() => copy(swatch.hex, 'hex')}>
+            {swatch.hex}
+          </button>
+          <button type="button" className="btn btn-outline-secondary btn-sm py-0" onClick={() => copy(formatRgb(swatch.rgb), 'rgb')}>
+            {formatRgb(swatch.rgb)}
+          </button>
+          {onFilter && family && (
+            <button type="button" className="btn btn-link btn-sm py-0" onClick={() => onFilter(family)}>
+              {t('paletteFindArticles', { color: t(COLOR_FAMILIES_IN_TEXT[family]) })}
+            </button>
+          )}
+          <span className="text-success" role="status">{copied ? t('paletteCopied', { value: copied }) : ''}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaletteStrip;
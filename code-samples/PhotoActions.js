@@ -0,0 +1,43 @@
+import React from 'react';
+import PinItButton from './PinItButton';
+import SaveToBoard from './SaveToBoard';
+import { useI18n } from './i18n';
+
+/**
+ * PhotoActions Component
+ *
+ * Buttons overlaid on a photo of a typed section (comparison, image grid,
+ * floor plan): enlarge in the gallery, pin, and save to a mood board. Must
+ * be placed inside a positioned element covering the photo.
+ *
+ * @param {Object} props
+ * @param {Object} [props.photo] - Gallery item from buildGallery
+ * @param {Object} props.article - The article the photo belongs to
+ * @param {string} props.pageUrl - Canonical article URL
+ * @param {Function} [props.onOpen] - Opens the photo in the gallery
+ * @param {string} [props.className] - Positioning classes
+ * @returns {JSX.Element|null} The buttons
+ */
+const PhotoActions = ({ photo, article, pageUrl, onOpen, className = '' }) => {
+  const { t } = useI18n();
+  if (!photo) return null;
+
+  return (
+    <div className={`photo-actions position-absolute d-flex gap-2 ${className}`} style={{ zIndex: 2 }}>
+      {onOpen && (
+        <button
+          type="button"
+          className="btn btn-sm btn-light shadow-sm"
+          onClick={onOpen}
+          aria-label={t('viewPhoto', { title: photo.caption || photo.title || article.title })}
+        >
+          <i className="bi bi-arrows-fullscreen" aria-hidden="true"></i>
+        </button>
+      )}
+      <PinItButton photo={photo} pageUrl={pageUrl} articleTitle={article.title} />
+      <SaveToBoard photo={photo} article={article} />
+    </div>
+  );
+};
+
+export default PhotoActions;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useI18n } from './i18n';
+import { getPinUrl } from './sharing';
+import { trackEvent } from './analytics';
+
+/**
+ * PinItButton Component
+ *
+ * "Pin it" button overlaid on an article photo. The pin uses the photo
+ * itself and its caption, and links back to the article opened on that
+ * photo.
+ *
+ * @param {Object} props
+ * @param {Object} props.photo - Gallery item from buildGallery
+ * @param {string} props.pageUrl - Canonical article URL
+ * @param {string} props.articleTitle - Article title
+ * @param {string} [props.className] - Positioning classes
+ * @returns {JSX.Element|null} The Pin it link
+ */
+const PinItButton = ({ photo, pageUrl, articleTitle, className = '' }) => {
+  const { t } = useI18n();
+  const pinUrl = getPinUrl(photo, { pageUrl, articleTitle });
+  if (!pinUrl) return null;
+
+  return (
+    <a
+      href={pinUrl}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`btn btn-sm shadow-sm pin-it-btn ${className}`}
+      style={{ backgroundColor: "#e60023", color: "#fff", zIndex: 2 }}
+      aria-label={t('pinImage', { title: photo.caption || photo.title || articleTitle })}
+      onClick={() => trackEvent('share_click', { network: 'pinterest', target: 'photo', photo: photo.id })}
+    >
+      <i className="bi bi-pinterest me-1" aria-hidden="true"></i>
+      {t('pinIt')}
+    </a>
+  );
+};
+
+export default PinItButton;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Helmet } from 'react-helmet-async';
+import { useI18n } from './i18n';
+
+/**
+ * PreviewBanner Component
+ *
+ * Fixed banner shown while an editor previews draft content. Also marks
+ * the page noindex so a leaked preview URL never ends up in search results.
+ *
+ * @param {Object} props
+ * @param {Function} props.onExit - Leaves preview mode
+ * @returns {JSX.Element} The preview banner
+ */
+const PreviewBanner = ({ onExit }) => {
+  const { t } = useI18n();
+
+  return (
+    <>
+      <Helmet>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      <div
+        className="preview-banner d-flex align-items-center justify-content-center gap-3 py-2 px-3 fw-semibold"
+        role="status"
+        style={{ position: "sticky", top: 0, zIndex: 1050, backgroundColor: "#ffc107", color: "#212529" }}
+      >
+        <span>
+          <i className="bi bi-eye me-2" aria-hidden="true"></i>
+          {t('previewNotPublished')}
+        </span>
+        <button type="button" className="btn btn-sm btn-dark" onClick={onExit}>
+          {t('exitPreview')}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default PreviewBanner;
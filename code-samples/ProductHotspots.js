@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import ResponsiveImage from './ResponsiveImage';
+import { useI18n } from './i18n';
+import { getProductUrl, formatPrice } from './products';
+import { trackEvent } from './analytics';
+
+/**
+ * Clamps a hotspot coordinate to the image
+ * @param {number} value - Percentage from the CMS
+ * @returns {number} Percentage between 0 and 100
+ */
+const toPercent = (value) => Math.min(Math.max(Number(value) || 0, 0), 100);
+
+/**
+ * ProductHotspots Component
+ *
+ * "Shop the look" markers laid over a photo at the positions set in the
+ * CMS. Each marker opens a popover with the product and its affiliate link;
+ * the popover closes on Escape or a click elsewhere. Must be placed inside
+ * a positioned element covering the photo.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.products - Products with x/y percentages, name,
+ *   price, currency, retailer, affiliate url and image
+ * @param {string} props.placement - Where the photo is, for analytics ("hero", "section-2")
+ * @param {string} props.articleSlug - Article slug, for analytics
+ * @returns {JSX.Element|null} The hotspots
+ */
+const ProductHotspots = ({ products, placement, articleSlug }) => {
+  const { locale, t } = useI18n();
+  const [active, setActive] = useState(null);
+  const wrapperRef = useRef(null);
+  const popoverId = useId();
+
+  useEffect(() => {
+    if (active === null) return;
+
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current?.contains(e.target)) setActive(null);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setActive(null);
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [active]);
+
+  const hotspots = (products || []).filter(product => product?.name && getProductUrl(product.url));
+  if (hotspots.length === 0) return null;
+
+  const selected = active !== null ? hotspots[active] : null;
+  const price = selected && formatPrice(selected, locale);
+
+  return (
+    <div ref={wrapperRef} className="product-hotspots position-absolute top-0 start-0 w-100 h-100" style={{ pointerEvents: "none", zIndex: 1 }}>
+      {hotspots.map((product, position) => (
+        <button
+          key={`${product.url}-${position}`}
+          type="button"
+          className={`btn btn-sm rounded-circle shadow position-absolute ${active === position ? 'btn-dark' : 'btn-light'}`}
+          style={{
+            left: `${toPercent(product.x)}%`,
+            top: `${toPercent(product.y)}%`,
+            transform: "translate(-50%, -50%)",
+            width: "2rem",
+            height: "2rem",
+            padding: 0,
+            pointerEvents: "auto"
+          }}
+          onClick={() => setActive(active === position ? null : position)}
+          aria-label={t('productHotspot', { name: product.name })}
+          aria-expanded={active === position}
+          aria-controls={active === position ? popoverId : undefined}
+        >
+          <i className="bi bi-bag" aria-hidden="true"></i>
+        </button>
+      ))}
+
+      {selected && (
+        <div
+          id={popoverId}
+          className="card shadow position-absolute text-start"
+          style={{
+            left: `${toPercent(selected.x)}%`,
+            top: `${toPercent(selected.y)}%`,
+            transform: `translate(${toPercent(selected.x) > 50 ? '-100%' : '0'}, ${toPercent(selected.y) > 50 ? 'calc(-100% - 1.25rem)' : '1.25rem'})`,
+            width: "15rem",
+            pointerEvents: "auto"
+          }}
+          role="dialog"
+          aria-label={selected.name}
+        >
+          <div className="card-body p-2 d-flex gap-2">
+            {selected.image?.url && (
+              <ResponsiveImage
+                resource={selected.image}
+                alt=""
+                sizes="64px"
+                className="rounded flex-shrink-0"
+                style={{ width: "64px", height: "64px", objectFit: "cover" }}
+              />
+            )}
+            <div className="small">
+              <p className="fw-semibold mb-1">{selected.name}</p>
+              {(price || selected.retailer) && (
+                <p className="text-muted mb-2">{[price, selected.retailer].filter(Boolean).join(' · ')}</p>
+              )}
+              <a
+                href={getProductUrl(selected.url)}
+                target="_blank"
+                rel="sponsored noopener noreferrer"
+                className="btn btn-dark btn-sm"
+                onClick={() => trackEvent('affiliate_click', {
+                  article: articleSlug,
+                  product: selected.name,
+                  retailer: selected.retailer,
+                  placement,
+                  source: 'hotspot'
+                })}
+              >
+                {selected.retailer ? t('productShopAt', { retailer: selected.retailer }) : t('productShop')}
+              </a>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductHotspots;
@@ -0,0 +1,73 @@
+import React from 'react';
+import ResponsiveImage from './ResponsiveImage';
+import { useI18n } from './i18n';
+import { formatPrice, getProductUrl } from './products';
+import { trackEvent } from './analytics';
+
+/**
+ * ProductList Component
+ *
+ * "Products in this article" summary of every product tagged on the
+ * article's photos or linked from a materials list, with its affiliate link
+ *
+ * @param {Object} props
+ * @param {Array<{product: Object, placement: string}>} props.items - Output of collectArticleProducts
+ * @param {string} props.articleSlug - Article slug, for analytics
+ * @returns {JSX.Element|null} The product list
+ */
+const ProductList = ({ items, articleSlug }) => {
+  const { locale, t } = useI18n();
+  if (!items || items.length === 0) return null;
+
+  return (
+    <section className="products-in-article mt-5" aria-labelledby="products-in-article-title">
+      <h2 id="products-in-article-title" className="h4 mb-3">
+        <i className="bi bi-bag me-2" aria-hidden="true"></i>
+        {t('productsInArticle')}
+      </h2>
+      <ul className="list-group">
+        {items.map(({ product, placement }) => {
+          const price = formatPrice(product, locale);
+          return (
+            <li key={product.url} className="list-group-item d-flex align-items-center gap-3">
+              {product.image?.url ? (
+                <ResponsiveImage
+                  resource={product.image}
+                  alt=""
+                  sizes="56px"
+                  className="rounded flex-shrink-0"
+                  style={{ width: "56px", height: "56px", objectFit: "cover" }}
+                />
+              ) : (
+                <i className="bi bi-bag fs-3 text-muted flex-shrink-0" style={{ width: "56px", textAlign: "center" }} aria-hidden="true"></i>
+              )}
+              <div className="flex-grow-1">
+                <p className="mb-0 fw-semibold">{product.name}</p>
+                {(price || product.retailer) && (
+                  <p className="mb-0 small text-muted">{[price, product.retailer].filter(Boolean).join(' · ')}</p>
+                )}
+              </div>
+              <a
+                href={getProductUrl(product.url)}
+                target="_blank"
+                rel="sponsored noopener noreferrer"
+                className="btn btn-outline-dark btn-sm"
+                onClick={() => trackEvent('affiliate_click', {
+                  article: articleSlug,
+                  product: product.name,
+                  retailer: product.retailer,
+                  placement,
+                  source: 'list'
+                })}
+              >
+                {product.retailer ? t('productShopAt', { retailer: product.retailer }) : t('productShop')}
+              </a>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default ProductList;
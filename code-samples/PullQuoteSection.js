@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * PullQuoteSection Component
+ *
+ * A quote set large between sections, with an optional attribution
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element|null} The pull quote
+ */
+const PullQuoteSection = ({ section }) => {
+  if (!section.quote) return null;
+
+  return (
+    <figure className="pull-quote text-center mx-auto my-0 px-lg-5" style={{ maxWidth: "40rem" }}>
+      <blockquote className="mb-3">
+        <p className="mb-0" style={{ fontFamily: "'Playfair Display', serif", fontSize: "1.75rem", lineHeight: 1.4 }}>
+          “{section.quote}”
+        </p>
+      </blockquote>
+      {section.attribution && (
+        <figcaption className="text-muted">— {section.attribution}</figcaption>
+      )}
+    </figure>
+  );
+};
+
+export default PullQuoteSection;
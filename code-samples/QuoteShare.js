@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from './i18n';
+import { getShareUrl, getQuoteUrl, withUtm, canShareNatively, copyToClipboard } from './sharing';
+import { createQuoteCard } from './quoteCard';
+import { reportWarning } from './logger';
+import { trackEvent } from './analytics';
+import { SITE_NAME } from './config';
+
+// Selections outside this range aren't offered for sharing
+const MIN_QUOTE_LENGTH = 10;
+const MAX_QUOTE_LENGTH = 500;
+
+// Tweets leave room for the link and the article title
+const MAX_TWEET_QUOTE_LENGTH = 180;
+
+/**
+ * Trims a quote to a length, on a word boundary
+ * @param {string} quote - Quote
+ * @param {number} length - Maximum length
+ * @returns {string} Quote that fits
+ */
+const truncateQuote = (quote, length) => (
+  quote.length <= length ? quote : `${quote.slice(0, length).replace(/\s+\S*$/, '')}…`
+);
+
+/**
+ * QuoteShare Component
+ *
+ * Floating toolbar shown above text the reader highlights in the article.
+ * The quote can be tweeted, copied with a link that scrolls to it, or
+ * shared as an image card (downloaded where the share sheet can't take
+ * files).
+ *
+ * @param {Object} props
+ * @param {React.RefObject} props.containerRef - Element whose text can be quoted
+ * @param {string} props.url - Canonical article URL
+ * @param {string} props.title - Article title
+ * @returns {JSX.Element|null} The quote toolbar
+ */
+const QuoteShare = ({ containerRef, url, title }) => {
+  const { t } = useI18n();
+  const [selection, setSelection] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const updateSelection = () => {
+      const current = window.getSelection();
+      const text = current && !current.isCollapsed ? current.toString().replace(/\s+/g, ' ').trim() : '';
+      const range = text && current.getRangeAt(0);
+
+      if (
+        !range ||
+        text.length < MIN_QUOTE_LENGTH ||
+        text.length > MAX_QUOTE_LENGTH ||
+        !containerRef.current?.contains(range.commonAncestorContainer)
+      ) {
+        setSelection(null);
+        return;
+      }
+
+      const rect = range.getBoundingClientRect();
+      setSelection({ text, top: rect.top, left: rect.left + rect.width / 2 });
+      setCopied(false);
+    };
+    const hide = () => setSelection(null);
+
+    document.addEventListener('mouseup', updateSelection);
+    document.addEventListener('keyup', updateSelection);
+    document.addEventListener('touchend', updateSelection);
+    window.addEventListener('scroll', hide, { passive: true });
+    return () => {
+      document.removeEventListener('mouseup', updateSelection);
+      document.removeEventListener('keyup', updateSelection);
+      document.removeEventListener('touchend', updateSelection);
+      window.removeEventListener('scroll', hide);
+    };
+  }, [containerRef]);
+
+  if (!selection) return null;
+
+  const { text } = selection;
+  const quoteUrl = getQuoteUrl(withUtm(url, 'quote', 'referral'), text);
+
+  const trackShare = (network) => trackEvent('share_click', { network, target: 'quote', length: text.length });
+
+  const copyQuote = async () => {
+    trackShare('copy_quote');
+    setCopied(await copyToClipboard(`“${text}”\n— ${title}\n${quoteUrl}`));
+  };
+
+  const shareCard = async () => {
+    trackShare('quote_card');
+    let blob;
+    try {
+      blob = await createQuoteCard({ quote: text, title, siteName: SITE_NAME });
+      const file = new File([blob], 'quote.png', { type: 'image/png' });
+
+      if (canShareNatively({ files: [file] })) {
+        await navigator.share({ files: [file], title, url: quoteUrl });
+        return;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      reportWarning("Error sharing quote card", error);
+      // Drawing the card can outlast the click's user activation, so sharing
+      // may be refused (NotAllowedError); the reader still gets the download
+      if (!blob) return;
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'quote.png';
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+
+  return (
+    <div
+      className="quote-share btn-group shadow"
+      role="toolbar"
+      aria-label={t('shareQuote')}
+      // Keep the selection when a button is pressed
+      onMouseDown={(e) => e.preventDefault()}
+      style={{
+        position: "fixed",
+        top: `${Math.max(selection.top - 8, 8)}px`,
+        left: `${selection.left}px`,
+        transform: "translate(-50%, -100%)",
+        zIndex: 1030
+      }}
+    >
+      <a
+        href={getShareUrl('twitter', {
+          url: getQuoteUrl(url, text),
+          text: `“${truncateQuote(text, MAX_TWEET_QUOTE_LENGTH)}” — ${title}`
+        })}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="btn btn-dark btn-sm"
+        aria-label={t('tweetQuote')}
+        onClick={() => trackShare('twitter')}
+      >
+        <i className="bi bi-twitter" aria-hidden="true"></i>
+      </a>
+      <button type="button" className="btn btn-dark btn-sm" onClick={copyQuote} aria-label={t('copyQuote')}>
+        <i className={`bi ${copied ? 'bi-check2' : 'bi-clipboard'}`} aria-hidden="true"></i>
+      </button>
+      <button type="button" className="btn btn-dark btn-sm" onClick={shareCard}>
+        <i className="bi bi-image me-1" aria-hidden="true"></i>
+        {t('shareQuoteCard')}
+      </button>
+    </div>
+  );
+};
+
+export default QuoteShare;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import useReaderSettings from './useReaderSettings';
+import { useI18n } from './i18n';
+import { trackEvent } from './analytics';
+import {
+  TEXT_SIZES,
+  LINE_SPACINGS,
+  FONTS,
+  THEMES,
+  updateReaderSettings,
+  resetReaderSettings
+} from './readerSettingsStore';
+
+/**
+ * Saves a setting and reports which one readers change
+ * @param {string} setting - Setting name
+ * @param {*} value - New value
+ */
+const changeSetting = (setting, value) => {
+  updateReaderSettings({ [setting]: value });
+  trackEvent('reader_setting', { setting, value });
+};
+
+/**
+ * ReaderSettings Component
+ *
+ * Toolbar with a focus mode toggle and a "reading settings" panel: text
+ * size, line spacing, a dyslexia-friendly font, light, dark or sepia theme
+ * and reduced motion. Settings are saved in this browser and apply to every
+ * article. The panel closes on Escape or a click elsewhere.
+ *
+ * @param {Object} props
+ * @param {string} [props.className] - Extra classes
+ * @returns {JSX.Element} The toolbar
+ */
+const ReaderSettings = ({ className = '' }) => {
+  const { t } = useI18n();
+  const { settings } = useReaderSettings();
+  const [open, setOpen] = useState(false);
+  const wrapperRef = useRef(null);
+  const panelId = useId();
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current?.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  // A row of mutually exclusive options
+  const renderOptions = (setting, label, options) => (
+    <div className="mb-3">
+      <p className="small fw-semibold mb-1">{label}</p>
+      <div className="btn-group btn-group-sm w-100" role="group" aria-label={label}>
+        {Object.entries(options).map(([value, option]) => (
+          <button
+            key={value}
+            type="button"
+            className={`btn ${settings[setting] === value ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            onClick={() => changeSetting(setting, value)}
+            aria-pressed={settings[setting] === value}
+          >
+            {t(option.label)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div ref={wrapperRef} className={`reader-settings position-relative d-flex justify-content-end gap-2 ${className}`}>
+      <button
+        type="button"
+        className={`btn btn-sm ${settings.focusMode ? 'btn-secondary' : 'btn-outline-secondary'}`}
+        onClick={() => changeSetting('focusMode', !settings.focusMode)}
+        aria-pressed={settings.focusMode}
+      >
+        <i className={`bi ${settings.focusMode ? 'bi-fullscreen-exit' : 'bi-fullscreen'} me-1`} aria-hidden="true"></i>
+        {settings.focusMode ? t('exitFocusMode') : t('focusMode')}
+      </button>
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls={open ? panelId : undefined}
+      >
+        <i className="bi bi-type me-1" aria-hidden="true"></i>
+        {t('readerSettings')}
+      </button>
+
+      {open && (
+        <div
+          id={panelId}
+          className="card shadow position-absolute end-0 top-100 mt-2 text-start"
+          style={{ width: "20rem", maxWidth: "calc(100vw - 2rem)", zIndex: 1030 }}
+          role="dialog"
+          aria-label={t('readerSettings')}
+        >
+          <div className="card-body">
+            {renderOptions('textSize', t('textSize'), TEXT_SIZES)}
+            {renderOptions('lineSpacing', t('lineSpacing'), LINE_SPACINGS)}
+            {renderOptions('font', t('readerFont'), FONTS)}
+            {renderOptions('theme', t('readerTheme'), THEMES)}
+
+            <div className="form-check form-switch mb-3">
+              <input
+                id={`${panelId}-reduce-motion`}
+                type="checkbox"
+                role="switch"
+                className="form-check-input"
+                checked={settings.reduceMotion}
+                onChange={(e) => changeSetting('reduceMotion', e.target.checked)}
+              />
+              <label htmlFor={`${panelId}-reduce-motion`} className="form-check-label small">{t('reduceMotion')}</label>
+            </div>
+
+            <button type="button" className="btn btn-link btn-sm p-0" onClick={resetReaderSettings}>
+              {t('resetReaderSettings')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReaderSettings;
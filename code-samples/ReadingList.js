@@ -0,0 +1,94 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import useReadingList from './useReadingList';
+import { useI18n } from './i18n';
+import { removeBookmark, getReadingProgress } from './readingListStore';
+import { getArticlePath } from './paths';
+import { SITE_NAME } from './config';
+
+/**
+ * ReadingList Component
+ *
+ * The reader's saved articles, most recent first, with how far they got
+ * in each. The page is personal, so it is kept out of search results.
+ *
+ * @returns {JSX.Element} The reading list page
+ */
+const ReadingList = () => {
+  const { t, formatDate, formatNumber } = useI18n();
+  const readingList = useReadingList();
+  const { bookmarks } = readingList;
+
+  return (
+    <div className="container my-5" style={{ marginTop: "80px" }}>
+      <Helmet>
+        <title>{t('pageTitle', { title: t('readingList'), siteName: SITE_NAME })}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <div className="row">
+        <div className="col-lg-8 mx-auto">
+          <h1 className="mb-4" style={{ fontFamily: "'Playfair Display', serif" }}>{t('readingList')}</h1>
+
+          {bookmarks.length === 0 ? (
+            <p className="text-muted">{t('readingListEmpty')}</p>
+          ) : (
+            <ul className="list-unstyled mb-0">
+              {bookmarks.map(bookmark => {
+                const position = getReadingProgress(readingList, bookmark.slug, bookmark.locale);
+
+                return (
+                  <li key={`${bookmark.locale}:${bookmark.slug}`} className="d-flex gap-3 py-3 border-bottom">
+                    {bookmark.imageUrl && (
+                      <img
+                        src={bookmark.imageUrl}
+                        alt=""
+                        width="96"
+                        height="72"
+                        loading="lazy"
+                        className="rounded flex-shrink-0"
+                        style={{ objectFit: "cover" }}
+                      />
+                    )}
+                    <div className="flex-grow-1">
+                      <h2 className="h6 mb-1">
+                        <Link to={getArticlePath(bookmark.slug, bookmark.locale)} hrefLang={bookmark.locale}>
+                          {bookmark.title}
+                        </Link>
+                      </h2>
+                      <p className="text-muted small mb-2">{t('savedOn', { date: formatDate(bookmark.savedAt) })}</p>
+                      {position && (
+                        <div
+                          className="progress"
+                          style={{ height: "4px" }}
+                          role="progressbar"
+                          aria-label={t('percentRead', { percent: formatNumber(position.percent) })}
+                          aria-valuenow={position.percent}
+                          aria-valuemin="0"
+                          aria-valuemax="100"
+                        >
+                          <div className="progress-bar" style={{ width: `${position.percent}%` }}></div>
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-link text-danger align-self-start"
+                      onClick={() => removeBookmark(bookmark.slug, bookmark.locale)}
+                      aria-label={t('removeFromReadingList', { title: bookmark.title })}
+                    >
+                      <i className="bi bi-trash" aria-hidden="true"></i>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReadingList;
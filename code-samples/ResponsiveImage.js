@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { getImageSources } from './media';
+
+/**
+ * ResponsiveImage Component
+ *
+ * Renders a CMS or external image with srcset/sizes, intrinsic dimensions to
+ * prevent layout shift, and a blurred low-quality placeholder that fades out
+ * once the full image has loaded. Server-rendered markup shows the image
+ * itself, for crawlers and readers without JavaScript; the placeholder only
+ * takes over once mounted, for images still loading. Priority images (e.g. the hero) are loaded
+ * eagerly with high fetch priority and a preload hint.
+ *
+ * @param {Object} props
+ * @param {Object} [props.resource] - Media resource object from the CMS
+ * @param {string} [props.externalUrl] - External image URL, takes precedence over resource
+ * @param {string} [props.alt] - Fallback alt text when the CMS has no alternativeText
+ * @param {string} [props.sizes] - Sizes attribute matching the image's layout width
+ * @param {boolean} [props.priority] - Whether this is a critical above-the-fold image
+ * @param {string} [props.className] - Class applied to the img element
+ * @param {Object} [props.style] - Inline style applied to the img element
+ * @param {Object} [props.imgRef] - Ref forwarded to the img element
+ * @returns {JSX.Element|null} The rendered image
+ */
+const ResponsiveImage = ({
+  resource,
+  externalUrl,
+  alt = '',
+  sizes = '100vw',
+  priority = false,
+  className,
+  style,
+  imgRef
+}) => {
+  const [loaded, setLoaded] = useState(false);
+  const [mounted, setMounted] = useState(false);
+  const localRef = useRef(null);
+  const image = getImageSources(resource, externalUrl);
+  const src = image?.src;
+
+  // Images restored from cache (or loaded before hydration) may already be complete
+  useEffect(() => {
+    setLoaded(Boolean(localRef.current?.complete));
+    setMounted(true);
+  }, [src]);
+
+  if (!image) return null;
+  const showPlaceholder = Boolean(image.placeholder) && mounted && !loaded;
+
+  const setRefs = (node) => {
+    localRef.current = node;
+    if (imgRef) imgRef.current = node;
+  };
+
+  const img = (
+    <img
+      ref={setRefs}
+      src={image.src}
+      srcSet={image.srcSet}
+      sizes={image.srcSet ? sizes : undefined}
+      width={image.width}
+      height={image.height}
+      alt={image.alt || alt}
+      className={className}
+      style={{
+        height: image.height ? 'auto' : undefined,
+        ...style,
+        opacity: showPlaceholder ? 0 : 1,
+        transition: 'opacity 0.4s ease'
+      }}
+      loading={priority ? 'eager' : 'lazy'}
+      decoding={priority ? 'sync' : 'async'}
+      fetchPriority={priority ? 'high' : undefined}
+      onLoad={() => setLoaded(true)}
+    />
+  );
+
+  return (
+    <>
+      {priority && (
+        <Helmet>
+          <link
+            rel="preload"
+            as="image"
+            href={image.src}
+            imageSrcSet={image.srcSet}
+            imageSizes={image.srcSet ? sizes : undefined}
+            fetchPriority="high"
+          />
+        </Helmet>
+      )}
+      {image.placeholder ? (
+        <div
+          className="responsive-image-wrapper"
+          style={{
+            backgroundImage: showPlaceholder ? `url("${image.placeholder}")` : 'none',
+            backgroundSize: 'cover',
+            backgroundPosition: 'center',
+            filter: showPlaceholder ? 'blur(12px)' : 'none',
+            borderRadius: style?.borderRadius,
+            overflow: 'hidden'
+          }}
+        >
+          {img}
+        </div>
+      ) : img}
+    </>
+  );
+};
+
+export default ResponsiveImage;
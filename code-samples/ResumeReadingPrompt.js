@@ -0,0 +1,34 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * ResumeReadingPrompt Component
+ *
+ * Offers to jump back to where the reader stopped last time they read
+ * the article.
+ *
+ * @param {Object} props
+ * @param {Object} props.position - Saved position from getReadingProgress
+ * @param {Function} props.onResume - Scrolls to the saved position
+ * @param {Function} props.onDismiss - Hides the prompt
+ * @returns {JSX.Element} The prompt
+ */
+const ResumeReadingPrompt = ({ position, onResume, onDismiss }) => {
+  const { t, formatNumber } = useI18n();
+  const label = position.sectionIndex >= 0 && position.sectionTitle
+    ? t('continueReadingSection', { number: formatNumber(position.sectionIndex + 1), title: position.sectionTitle })
+    : t('continueReading', { percent: formatNumber(position.percent) });
+
+  return (
+    <div className="alert alert-info d-flex flex-wrap align-items-center gap-2 mb-4" role="status">
+      <i className="bi bi-bookmark-star" aria-hidden="true"></i>
+      <span className="flex-grow-1">{t('welcomeBack')}</span>
+      <button type="button" className="btn btn-sm btn-primary" onClick={onResume}>
+        {label}
+      </button>
+      <button type="button" className="btn-close" onClick={onDismiss} aria-label={t('dismiss')}></button>
+    </div>
+  );
+};
+
+export default ResumeReadingPrompt;
@@ -0,0 +1,206 @@
+import React from 'react';
+import ResponsiveImage from './ResponsiveImage';
+import { SITE_URL } from './config';
+import { reportWarning } from './logger';
+
+/**
+ * Protocols allowed in rich text links. Anything else (e.g. `javascript:`)
+ * is rendered as plain text instead of a clickable link.
+ */
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Extracts plain text from a Strapi Blocks tree (or a single node)
+ * @param {Array|Object|string} blocks - Blocks array, node, or plain string
+ * @returns {string} Plain text content
+ */
+export const blocksToPlainText = (blocks) => {
+  if (!blocks) return '';
+  if (typeof blocks === 'string') return blocks;
+  if (Array.isArray(blocks)) {
+    return blocks.map(blocksToPlainText).filter(Boolean).join(' ');
+  }
+  if (typeof blocks.text === 'string') return blocks.text;
+  if (blocks.children) return blocks.children.map(blocksToPlainText).join('');
+
+  return '';
+};
+
+/**
+ * Resolves link attributes, opening external links in a new tab
+ * @param {string} url - Link URL from the CMS
+ * @returns {Object|null} Anchor attributes, or null if the URL is unsafe
+ */
+const getLinkProps = (url) => {
+  if (!url) return null;
+
+  // Relative links and in-page anchors stay in the current tab
+  if (url.startsWith('/') || url.startsWith('#')) {
+    return { href: url };
+  }
+
+  try {
+    const parsed = new URL(url, SITE_URL || undefined);
+    if (!SAFE_LINK_PROTOCOLS.includes(parsed.protocol)) return null;
+
+    if ((SITE_URL && parsed.origin === new URL(SITE_URL).origin) || parsed.protocol === 'mailto:' || parsed.protocol === 'tel:') {
+      return { href: parsed.toString() };
+    }
+
+    return { href: parsed.toString(), target: '_blank', rel: 'noopener noreferrer' };
+  } catch (e) {
+    reportWarning("Invalid link URL", e, { url });
+    return null;
+  }
+};
+
+/**
+ * Renders a text leaf, wrapping it in elements for each active modifier
+ * @param {Object} node - Text node with optional bold/italic/underline/strikethrough/code flags
+ * @param {number} key - React key
+ * @returns {JSX.Element|string} Rendered text
+ */
+const renderText = (node, key) => {
+  let text = node.text;
+  if (!text) return text;
+
+  if (node.code) text = <code>{text}</code>;
+  if (node.bold) text = <strong>{text}</strong>;
+  if (node.italic) text = <em>{text}</em>;
+  if (node.underline) text = <u>{text}</u>;
+  if (node.strikethrough) text = <s>{text}</s>;
+
+  return <React.Fragment key={key}>{text}</React.Fragment>;
+};
+
+/**
+ * RichText Component
+ *
+ * Renders the Strapi Blocks JSON tree (paragraphs, headings, lists, quotes,
+ * code, images, links and text modifiers). Plain strings are rendered as a
+ * single paragraph so legacy text fields keep working. Unknown node types
+ * fall back to rendering their children or text.
+ *
+ * @param {Object} props
+ * @param {Array|string} props.blocks - Blocks array or plain string
+ * @param {string} [props.paragraphClassName] - Class applied to every paragraph
+ * @param {Object} [props.paragraphStyle] - Inline style applied to every paragraph
+ * @param {Function} [props.getHeadingId] - Returns the anchor id for a heading node
+ * @returns {JSX.Element|null} The rendered rich text
+ */
+const RichText = ({ blocks, paragraphClassName = 'mb-3', paragraphStyle, getHeadingId }) => {
+  if (!blocks) return null;
+
+  if (typeof blocks === 'string') {
+    return <p className={paragraphClassName} style={paragraphStyle}>{blocks}</p>;
+  }
+
+  // Children of blocks are inline content unless stated otherwise
+  const renderChildren = (children, inline = true) => (children || []).map((node, index) => renderNode(node, index, inline));
+
+  /**
+   * Renders a single node of the blocks tree
+   * @param {Object} node - Block or inline node
+   * @param {number} index - Position among siblings, used as React key
+   * @param {boolean} inline - Whether the node sits inside a paragraph-like block
+   * @returns {JSX.Element|string|null} Rendered node
+   */
+  function renderNode(node, index, inline) {
+    if (!node) return null;
+    if (typeof node === 'string') return node;
+
+    switch (node.type) {
+      case 'text':
+        return renderText(node, index);
+
+      case 'paragraph':
+        return (
+          <p key={index} className={paragraphClassName} style={paragraphStyle}>
+            {renderChildren(node.children)}
+          </p>
+        );
+
+      case 'heading': {
+        // Level 1 is reserved for the article title
+        const level = Math.min(Math.max(Number(node.level) || 2, 2), 6);
+        const Heading = `h${level}`;
+        return (
+          <Heading key={index} id={getHeadingId ? getHeadingId(node) : undefined} className="mt-4 mb-3">
+            {renderChildren(node.children)}
+          </Heading>
+        );
+      }
+
+      case 'list': {
+        const List = node.format === 'ordered' ? 'ol' : 'ul';
+        return (
+          <List key={index} className="mb-3">
+            {renderChildren(node.children, false)}
+          </List>
+        );
+      }
+
+      case 'list-item':
+        return <li key={index}>{renderChildren(node.children)}</li>;
+
+      case 'quote':
+        return (
+          <blockquote key={index} className="blockquote border-start border-4 ps-3 my-4">
+            <p className="mb-0">{renderChildren(node.children)}</p>
+          </blockquote>
+        );
+
+      case 'code':
+        return (
+          <pre key={index} className="bg-light p-3 rounded mb-3">
+            <code className={node.language ? `language-${node.language}` : undefined}>
+              {blocksToPlainText(node.children)}
+            </code>
+          </pre>
+        );
+
+      case 'image': {
+        const image = node.image;
+        if (!image?.url) return null;
+
+        return (
+          <figure key={index} className="my-4">
+            <ResponsiveImage
+              resource={image}
+              sizes="(min-width: 992px) 880px, 100vw"
+              className="img-fluid rounded shadow-sm"
+            />
+            {image.caption && (
+              <figcaption className="text-muted small mt-2 fst-italic">{image.caption}</figcaption>
+            )}
+          </figure>
+        );
+      }
+
+      case 'link': {
+        const linkProps = getLinkProps(node.url);
+        if (!linkProps) {
+          return <React.Fragment key={index}>{renderChildren(node.children)}</React.Fragment>;
+        }
+        return <a key={index} {...linkProps}>{renderChildren(node.children)}</a>;
+      }
+
+      default:
+        // Degrade gracefully for node types we don't know about yet
+        if (node.children) {
+          const Wrapper = inline ? 'span' : 'div';
+          return (
+            <Wrapper key={index} data-block-type={node.type}>
+              {renderChildren(node.children, inline)}
+            </Wrapper>
+          );
+        }
+        if (typeof node.text === 'string') return renderText(node, index);
+        return null;
+    }
+  }
+
+  return <>{renderChildren(blocks, false)}</>;
+};
+
+export default RichText;
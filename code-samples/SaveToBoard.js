@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import useMoodBoards from './useMoodBoards';
+import { useI18n } from './i18n';
+import { getImageSources } from './media';
+import { createBoard, findSavedImage, saveImageToBoard, removeImageFromBoard } from './moodBoardStore';
+
+/**
+ * SaveToBoard Component
+ *
+ * "Save" button overlaid on an article photo. It opens a menu of the
+ * reader's mood boards where the photo can be added to or removed from
+ * each board, or saved to a new board.
+ *
+ * @param {Object} props
+ * @param {Object} props.photo - Gallery item from buildGallery
+ * @param {Object} props.article - The article the photo belongs to
+ * @param {string} [props.className] - Positioning classes for the wrapper
+ * @returns {JSX.Element|null} The save control
+ */
+const SaveToBoard = ({ photo, article, className = '' }) => {
+  const { locale, t } = useI18n();
+  const { boards } = useMoodBoards();
+  const [open, setOpen] = useState(false);
+  const [newBoardName, setNewBoardName] = useState('');
+  const wrapperRef = useRef(null);
+  const menuId = useId();
+
+  // Close when clicking outside or pressing Escape
+  useEffect(() => {
+    if (!open) return;
+
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current?.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const src = getImageSources(photo.resource, photo.externalUrl)?.src;
+  if (!src) return null;
+
+  const savedCount = boards.filter(board => findSavedImage(board, src)).length;
+
+  const toggleBoard = (board) => {
+    const saved = findSavedImage(board, src);
+    if (saved) {
+      removeImageFromBoard(board.id, saved.id);
+    } else {
+      saveImageToBoard(board.id, photo, article, locale);
+    }
+  };
+
+  const handleCreateBoard = (e) => {
+    e.preventDefault();
+    if (!newBoardName.trim()) return;
+    saveImageToBoard(createBoard(newBoardName), photo, article, locale);
+    setNewBoardName('');
+  };
+
+  return (
+    <div ref={wrapperRef} className={`save-to-board ${className}`} style={{ zIndex: 2 }}>
+      <button
+        type="button"
+        className={`btn btn-sm ${savedCount > 0 ? 'btn-primary' : 'btn-light'} shadow-sm`}
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls={menuId}
+        aria-label={t('saveImageToBoard', { title: photo.title || article.title })}
+      >
+        <i className={`bi ${savedCount > 0 ? 'bi-pin-angle-fill' : 'bi-pin-angle'} me-1`} aria-hidden="true"></i>
+        {savedCount > 0 ? t('savedImage') : t('saveImage')}
+      </button>
+
+      {open && (
+        <div
+          id={menuId}
+          className="card shadow position-absolute end-0 mt-1 p-2 text-start"
+          style={{ width: "240px" }}
+        >
+          <p className="small fw-semibold mb-2">{t('saveToBoard')}</p>
+          {boards.length > 0 && (
+            <ul className="list-unstyled mb-2" style={{ maxHeight: "200px", overflowY: "auto" }}>
+              {boards.map(board => (
+                <li key={board.id}>
+                  <label className="form-check small py-1 mb-0">
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      checked={Boolean(findSavedImage(board, src))}
+                      onChange={() => toggleBoard(board)}
+                    />
+                    <span className="form-check-label">{board.name}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="d-flex gap-1" onSubmit={handleCreateBoard}>
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              placeholder={t('newBoardName')}
+              aria-label={t('newBoardName')}
+              value={newBoardName}
+              maxLength={60}
+              onChange={(e) => setNewBoardName(e.target.value)}
+            />
+            <button type="submit" className="btn btn-sm btn-outline-primary" disabled={!newBoardName.trim()}>
+              {t('createBoard')}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SaveToBoard;
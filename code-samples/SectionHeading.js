@@ -0,0 +1,20 @@
+import React from 'react';
+
+/**
+ * SectionHeading Component
+ *
+ * Numbered title shared by the article section types
+ *
+ * @param {Object} props
+ * @param {number} props.index - Section index
+ * @param {React.ReactNode} props.children - Title
+ * @returns {JSX.Element} The section title
+ */
+const SectionHeading = ({ index, children }) => (
+  <h2 className="mb-4 d-flex align-items-center" style={{ fontFamily: "'Playfair Display', serif" }}>
+    <span className="badge toc-badge me-2">{index + 1}</span>
+    {children}
+  </h2>
+);
+
+export default SectionHeading;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from './i18n';
+import { getArticlePath } from './paths';
+
+/**
+ * SeriesNavigator Component
+ *
+ * Shows where an article sits in a multi-part series ("Part 2 of 4"),
+ * with links to the neighbouring parts and an expandable list of every
+ * part. Renders nothing for standalone articles.
+ *
+ * @param {Object} props
+ * @param {Object} props.article - The current article with its series relation
+ * @param {Array} props.parts - Every part of the series in reading order
+ * @returns {JSX.Element|null} The series navigator
+ */
+const SeriesNavigator = ({ article, parts }) => {
+  const { locale, t, formatNumber } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+
+  const position = parts.findIndex(part => part.slug === article.slug);
+  if (!article.series || parts.length < 2 || position === -1) return null;
+
+  const previousPart = parts[position - 1];
+  const nextPart = parts[position + 1];
+  const listId = `series-parts-${article.series.id}`;
+
+  return (
+    <nav className="card shadow-sm mb-5 series-navigator" aria-label={t('seriesNavigation')}>
+      <div className="card-body">
+        <p className="text-muted small text-uppercase mb-1">
+          {t('seriesPartOf', { part: formatNumber(position + 1), total: formatNumber(parts.length) })}
+        </p>
+        <h2 className="h5 mb-3">{article.series.title}</h2>
+
+        <div className="d-flex flex-wrap gap-2">
+          {previousPart && (
+            <Link to={getArticlePath(previousPart.slug, locale)} className="btn btn-sm btn-outline-secondary" rel="prev">
+              <i className="bi bi-arrow-left me-1" aria-hidden="true"></i>
+              {t('previousPart')}
+            </Link>
+          )}
+          {nextPart && (
+            <Link to={getArticlePath(nextPart.slug, locale)} className="btn btn-sm btn-outline-primary" rel="next">
+              {t('nextPart')}
+              <i className="bi bi-arrow-right ms-1" aria-hidden="true"></i>
+            </Link>
+          )}
+          <button
+            type="button"
+            className="btn btn-sm btn-link ms-auto"
+            onClick={() => setExpanded(!expanded)}
+            aria-expanded={expanded}
+            aria-controls={listId}
+          >
+            {expanded ? t('hideAllParts') : t('showAllParts')}
+          </button>
+        </div>
+
+        <ol id={listId} className="mt-3 mb-0" hidden={!expanded}>
+          {parts.map((part, index) => (
+            <li key={part.slug} className="py-1">
+              {index === position ? (
+                <strong aria-current="page">{part.title}</strong>
+              ) : (
+                <Link to={getArticlePath(part.slug, locale)}>{part.title}</Link>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </nav>
+  );
+};
+
+export default SeriesNavigator;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useI18n } from './i18n';
+import { getShareUrl, withUtm, canShareNatively, copyToClipboard } from './sharing';
+import { reportWarning } from './logger';
+import { trackEvent } from './analytics';
+
+// How long the "Link copied" confirmation stays up
+const COPIED_FEEDBACK_MS = 2000;
+
+/**
+ * ShareBar Component
+ *
+ * Share buttons for an article: the device's share sheet where available
+ * (mostly mobile), Facebook, Twitter, Pinterest, email and copy link. Every
+ * link is tagged with UTM parameters for its channel, and clicks are
+ * reported to analytics.
+ *
+ * @param {Object} props
+ * @param {string} props.url - Canonical article URL
+ * @param {string} props.title - Article title
+ * @param {string} [props.media] - Absolute URL of the image to pin
+ * @param {string} [props.className] - Extra classes for the bar
+ * @param {Object} [props.style] - Inline styles, e.g. for sticky positioning
+ * @returns {JSX.Element} The share bar
+ */
+const ShareBar = ({ url, title, media, className = '', style }) => {
+  const { t } = useI18n();
+  const [nativeShare, setNativeShare] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const copiedTimer = useRef(null);
+
+  // Decided after mounting so the server markup matches the first client render
+  useEffect(() => {
+    setNativeShare(canShareNatively());
+    return () => clearTimeout(copiedTimer.current);
+  }, []);
+
+  const trackShare = (network) => trackEvent('share_click', { network, target: 'article' });
+
+  const shareNatively = async () => {
+    trackShare('native');
+    try {
+      await navigator.share({ title, url: withUtm(url, 'native_share') });
+    } catch (error) {
+      // Closing the share sheet rejects with AbortError
+      if (error.name !== 'AbortError') reportWarning("Error opening share sheet", error);
+    }
+  };
+
+  const copyLink = async () => {
+    trackShare('copy_link');
+    if (!(await copyToClipboard(withUtm(url, 'copy_link', 'referral')))) return;
+    setCopied(true);
+    clearTimeout(copiedTimer.current);
+    copiedTimer.current = setTimeout(() => setCopied(false), COPIED_FEEDBACK_MS);
+  };
+
+  const networks = [
+    { id: 'facebook', icon: 'bi-facebook', label: t('shareOnFacebook'), className: 'social-btn-fb' },
+    { id: 'twitter', icon: 'bi-twitter', label: t('shareOnTwitter'), className: 'social-btn-tw' },
+    ...(media ? [{ id: 'pinterest', icon: 'bi-pinterest', label: t('shareOnPinterest'), className: 'social-btn-pin' }] : [])
+  ];
+
+  return (
+    <div className={`social-share-container d-flex flex-wrap align-items-center gap-2 ${className}`} style={style}>
+      <p className="social-share-title mb-0 me-1">{t('shareThisArticle')}</p>
+
+      {nativeShare && (
+        <button type="button" className="btn social-btn social-btn-native" onClick={shareNatively} aria-label={t('shareNative')}>
+          <i className="bi bi-box-arrow-up" aria-hidden="true"></i>
+        </button>
+      )}
+
+      {networks.map(network => (
+        <a
+          key={network.id}
+          href={getShareUrl(network.id, { url, text: title, media })}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`btn social-btn ${network.className}`}
+          aria-label={network.label}
+          onClick={() => trackShare(network.id)}
+        >
+          <i className={`bi ${network.icon}`} aria-hidden="true"></i>
+        </a>
+      ))}
+
+      <a
+        href={getShareUrl('email', { url, text: title, emailBody: t('shareEmailBody', { url: withUtm(url, 'email', 'email') }) })}
+        className="btn social-btn social-btn-em"
+        aria-label={t('shareViaEmail')}
+        onClick={() => trackShare('email')}
+      >
+        <i className="bi bi-envelope" aria-hidden="true"></i>
+      </a>
+
+      <button type="button" className="btn social-btn social-btn-link" onClick={copyLink} aria-label={t('copyLink')}>
+        <i className={`bi ${copied ? 'bi-check2' : 'bi-link-45deg'}`} aria-hidden="true"></i>
+      </button>
+      <span className="small text-success" role="status">{copied ? t('linkCopied') : ''}</span>
+    </div>
+  );
+};
+
+export default ShareBar;
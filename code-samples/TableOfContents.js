@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+import { trackEvent } from './analytics';
+
+/**
+ * Renders a level of TOC links, recursing into nested headings
+ * @param {Array} items - TOC items
+ * @param {string|null} activeId - Currently active anchor
+ * @param {string} variant - Layout variant, reported with clicks
+ * @param {number} depth - Nesting depth, 0 for section titles
+ * @returns {JSX.Element} Nested list
+ */
+const renderItems = (items, activeId, variant, depth = 0) => (
+  <ol className={`list-unstyled mb-0 ${depth > 0 ? 'ms-4 mt-1' : 'toc-links'}`}>
+    {items.map((item, index) => (
+      <li key={item.id} className={depth > 0 ? 'small' : ''}>
+        <a
+          href={`#${item.id}`}
+          className={`toc-link ${activeId === item.id ? 'active' : ''}`}
+          aria-current={activeId === item.id ? 'location' : undefined}
+          onClick={() => trackEvent('toc_click', { anchor: item.id, depth, variant })}
+        >
+          {depth === 0 && <span className="badge toc-badge">{index + 1}</span>}
+          <span>{item.title}</span>
+        </a>
+        {item.children.length > 0 && renderItems(item.children, activeId, variant, depth + 1)}
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * TableOfContents Component
+ *
+ * Nested, collapsible table of contents. The inline variant sits above the
+ * article body; the sidebar variant sticks below the navbar on wide screens.
+ *
+ * @param {Object} props
+ * @param {Array} props.items - Nested items from buildTableOfContents
+ * @param {string|null} props.activeId - Anchor the reader is currently at
+ * @param {'inline'|'sidebar'} [props.variant] - Layout variant
+ * @param {number} [props.offset] - Sticky top offset for the sidebar variant
+ * @returns {JSX.Element|null} The table of contents
+ */
+const TableOfContents = ({ items, activeId, variant = 'inline', offset = 0 }) => {
+  const { t } = useI18n();
+  const [expanded, setExpanded] = useState(true);
+  if (!items.length) return null;
+
+  const listId = `toc-list-${variant}`;
+  const isSidebar = variant === 'sidebar';
+
+  return (
+    <div
+      className={`card shadow-sm toc-card ${isSidebar ? 'toc-sidebar' : 'mb-5'}`}
+      style={isSidebar ? { position: "sticky", top: `${offset}px`, maxHeight: `calc(100vh - ${offset + 16}px)`, overflowY: "auto" } : undefined}
+    >
+      <div className="card-body">
+        <h2 className="card-title h5 mb-0 d-flex align-items-center">
+          <i className="bi bi-list-ul me-2 text-primary" aria-hidden="true"></i>
+          <span className="flex-grow-1">{t('inThisArticle')}</span>
+          <button
+            type="button"
+            className="btn btn-sm btn-link text-reset p-0"
+            onClick={() => setExpanded(!expanded)}
+            aria-expanded={expanded}
+            aria-controls={listId}
+            aria-label={expanded ? t('collapseTableOfContents') : t('expandTableOfContents')}
+          >
+            <i className={`bi ${expanded ? 'bi-chevron-up' : 'bi-chevron-down'}`} aria-hidden="true"></i>
+          </button>
+        </h2>
+        <nav id={listId} aria-label={t('tableOfContents')} className="mt-3" hidden={!expanded}>
+          {renderItems(items, activeId, variant)}
+        </nav>
+      </div>
+    </div>
+  );
+};
+
+export default TableOfContents;
@@ -0,0 +1,76 @@
+import React from 'react';
+import RichText from './RichText';
+import ResponsiveImage from './ResponsiveImage';
+import SectionHeading from './SectionHeading';
+import PinItButton from './PinItButton';
+import SaveToBoard from './SaveToBoard';
+import ProductHotspots from './ProductHotspots';
+import PaletteStrip from './PaletteStrip';
+import { useI18n } from './i18n';
+
+/**
+ * TextSection Component
+ *
+ * Default article section: title and rich text beside a photo, alternating
+ * sides from one section to the next, with any "shop the look" products
+ * tagged on the photo and its colour palette. Also renders sections of unknown types.
+ *
+ * @param {Object} props - Section props (see sectionComponents.js)
+ * @returns {JSX.Element} The section content
+ */
+const TextSection = ({ section, index, title, photo, onOpenPhoto, article, pageUrl, getHeadingId, palettes, onFilterColor }) => {
+  const { t } = useI18n();
+  const isEven = index % 2 === 0;
+
+  return (
+    <div className="row align-items-center g-5">
+      <div className={`col-lg-6 ${!isEven ? 'order-lg-2' : ''}`}>
+        <div className="pe-lg-4">
+          <SectionHeading index={index}>{section.title}</SectionHeading>
+          <RichText blocks={section.text} getHeadingId={getHeadingId} />
+        </div>
+      </div>
+      <div className={`col-lg-6 ${!isEven ? 'order-lg-1' : ''}`}>
+        {photo && (
+          <>
+            <div className="position-relative">
+              <button
+                type="button"
+                className="gallery-trigger d-block w-100 p-0 border-0 bg-transparent"
+                onClick={() => onOpenPhoto()}
+                aria-label={t('viewPhoto', { title })}
+                style={{ cursor: "zoom-in" }}
+              >
+                <ResponsiveImage
+                  resource={photo.resource}
+                  externalUrl={photo.externalUrl}
+                  alt={title}
+                  sizes="(min-width: 992px) 440px, 100vw"
+                  className="img-fluid rounded shadow"
+                  style={{ width: "100%", objectFit: "cover" }}
+                />
+              </button>
+              <PinItButton
+                photo={photo}
+                pageUrl={pageUrl}
+                articleTitle={article.title}
+                className="position-absolute top-0 start-0 m-2"
+              />
+              <SaveToBoard photo={photo} article={article} className="position-absolute top-0 end-0 m-2" />
+              {/* Products are tagged on the section's own image, not a fallback one */}
+              {(section.image || section.imageUrl) && (
+                <ProductHotspots products={section.products} placement={`section-${index + 1}`} articleSlug={article.slug} />
+              )}
+            </div>
+            {section.imageCaption && (
+              <p className="text-muted small mt-2 fst-italic">{section.imageCaption}</p>
+            )}
+            <PaletteStrip swatches={palettes?.[0]} onFilter={onFilterColor} className="mt-2" />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TextSection;
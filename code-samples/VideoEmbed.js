@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+import VideoTranscript from './VideoTranscript';
+import { useI18n } from './i18n';
+import { resolveVideo } from './videoProviders';
+import { getCaptionTracks } from './videoCaptions';
+import { reportError } from './logger';
+import { trackEvent } from './analytics';
+
+// Display names for the privacy notice shown on click-to-load facades
+const PROVIDER_LABELS = { youtube: 'YouTube', vimeo: 'Vimeo' };
+
+/**
+ * NativeVideo Component
+ *
+ * Plays a self-hosted, Cloudinary or HLS source in a video element. HLS
+ * streams fall back to hls.js in browsers without native support.
+ *
+ * @param {Object} props
+ * @param {Object} props.resolved - Result of resolveVideo
+ * @param {Array} props.tracks - Caption tracks from getCaptionTracks
+ * @param {Object} props.videoRef - Ref attached to the video element
+ * @param {Function} props.onPlay - Called when playback starts
+ * @param {Function} props.onEnded - Called when playback finishes
+ * @returns {JSX.Element} The video element
+ */
+const NativeVideo = ({ resolved, tracks, videoRef, onPlay, onEnded }) => {
+  const { t } = useI18n();
+  const { provider, data, poster } = resolved;
+  const src = provider.getSourceUrl(data);
+  const type = provider.getMimeType ? provider.getMimeType(data) : undefined;
+  const needsHlsJs = Boolean(data.hls);
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!needsHlsJs || !videoElement || videoElement.canPlayType('application/vnd.apple.mpegurl')) return;
+
+    let hls;
+    let cancelled = false;
+
+    import('hls.js')
+      .then(({ default: Hls }) => {
+        if (cancelled || !Hls.isSupported()) return;
+        hls = new Hls();
+        hls.loadSource(src);
+        hls.attachMedia(videoElement);
+      })
+      .catch(error => reportError("Error loading HLS player", error));
+
+    return () => {
+      cancelled = true;
+      if (hls) hls.destroy();
+    };
+  }, [needsHlsJs, src, videoRef]);
+
+  return (
+    <video
+      ref={videoRef}
+      controls
+      className="w-100"
+      poster={poster || undefined}
+      preload="metadata"
+      crossOrigin={tracks.length > 0 ? 'anonymous' : undefined}
+      onPlay={onPlay}
+      onEnded={onEnded}
+    >
+      <source src={src} type={type} />
+      {tracks.map(track => (
+        <track
+          key={track.src}
+          kind={track.kind}
+          src={track.src}
+          srcLang={track.srcLang}
+          label={track.label}
+          default={track.isDefault}
+        />
+      ))}
+      {t('videoUnsupported')}
+    </video>
+  );
+};
+
+/**
+ * VideoEmbed Component
+ *
+ * Renders an article or section video through the provider registry.
+ * Third-party players (YouTube, Vimeo) start as a lightweight thumbnail
+ * facade and only load their iframe once the reader clicks play, so no
+ * third-party requests or cookies happen before that. Caption files
+ * attached in the CMS become text tracks and an optional transcript.
+ * Plays and completions are reported to analytics.
+ *
+ * @param {Object} props
+ * @param {Object} [props.video] - Video resource from the CMS
+ * @param {string} [props.videoUrl] - External video URL
+ * @param {Array} [props.captions] - Caption entries from the CMS
+ * @param {boolean} [props.showTranscript] - Whether to offer the transcript panel
+ * @param {string} props.title - Accessible title for the player
+ * @returns {JSX.Element|null} The rendered video
+ */
+const VideoEmbed = ({ video, videoUrl, captions, showTranscript = true, title }) => {
+  const { locale, t } = useI18n();
+  const [activated, setActivated] = useState(false);
+  const videoRef = useRef(null);
+  const iframeRef = useRef(null);
+  const playTracked = useRef(false);
+  const resolved = resolveVideo(video, videoUrl);
+  const tracks = getCaptionTracks(captions, { locale, label: t('videoCaptions') });
+  const provider = resolved?.provider;
+
+  // Reset the facade when the video changes (e.g. navigating between articles)
+  useEffect(() => {
+    setActivated(false);
+    playTracked.current = false;
+  }, [resolved?.url]);
+
+  // Resuming after a pause isn't a new play
+  const trackPlay = () => {
+    if (playTracked.current) return;
+    playTracked.current = true;
+    trackEvent('video_play', { provider: provider.name, title });
+  };
+  const trackComplete = () => trackEvent('video_complete', { provider: provider.name, title });
+
+  // Third-party players report the end of playback through their embed APIs
+  useEffect(() => {
+    if (!activated || !provider?.onEnded || !iframeRef.current) return;
+    return provider.onEnded(iframeRef.current, () => trackEvent('video_complete', { provider: provider.name, title }));
+  }, [activated, provider, title]);
+
+  if (!resolved) return null;
+
+  const { data, poster } = resolved;
+  const providerLabel = PROVIDER_LABELS[provider.name] || provider.name;
+
+  let player;
+  if (provider.kind === 'video') {
+    player = <NativeVideo resolved={resolved} tracks={tracks} videoRef={videoRef} onPlay={trackPlay} onEnded={trackComplete} />;
+  } else if (activated) {
+    player = (
+      <iframe
+        ref={iframeRef}
+        src={provider.getEmbedUrl(data, { autoplay: true })}
+        title={title}
+        frameBorder="0"
+        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+        allowFullScreen
+      ></iframe>
+    );
+  } else {
+    player = (
+      <button
+        type="button"
+        className="video-facade btn p-0 border-0 w-100 h-100 position-relative bg-dark"
+        onClick={() => {
+          setActivated(true);
+          trackPlay();
+        }}
+        aria-label={t('playVideo', { title })}
+      >
+        {poster && (
+          <img
+            src={poster}
+            alt=""
+            className="w-100 h-100"
+            style={{ objectFit: "cover" }}
+            loading="lazy"
+          />
+        )}
+        <span className="position-absolute top-50 start-50 translate-middle text-white" style={{ fontSize: "4rem", textShadow: "0 2px 8px rgba(0,0,0,0.5)" }}>
+          <i className="bi bi-play-circle-fill" aria-hidden="true"></i>
+        </span>
+        <span className="position-absolute bottom-0 start-0 w-100 p-2 small text-white-50" style={{ background: "rgba(0,0,0,0.6)" }}>
+          {t('videoHostedOn', { provider: providerLabel })}
+        </span>
+      </button>
+    );
+  }
+
+  return (
+    <>
+      <div className="ratio ratio-16x9 my-4 rounded overflow-hidden shadow-sm">
+        {player}
+      </div>
+      {showTranscript && tracks.length > 0 && (
+        <VideoTranscript
+          tracks={tracks}
+          videoRef={provider.kind === 'video' ? videoRef : undefined}
+        />
+      )}
+    </>
+  );
+};
+
+export default VideoEmbed;
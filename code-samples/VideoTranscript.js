@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from './i18n';
+import { parseVtt, formatCueTime } from './videoCaptions';
+import { reportError } from './logger';
+
+/**
+ * VideoTranscript Component
+ *
+ * Expandable transcript built from a video's WebVTT tracks. Readers can
+ * switch language, filter lines by keyword and, when a native player is
+ * attached, click a line to seek the video there. The current line is
+ * highlighted while the video plays.
+ *
+ * @param {Object} props
+ * @param {Array} props.tracks - Track descriptors from getCaptionTracks
+ * @param {Object} [props.videoRef] - Ref to the native video element to seek
+ * @returns {JSX.Element|null} The transcript panel
+ */
+const VideoTranscript = ({ tracks, videoRef }) => {
+  const { t } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const defaultTrackIndex = Math.max(tracks.findIndex(track => track.isDefault), 0);
+  const [trackIndex, setTrackIndex] = useState(defaultTrackIndex);
+  const [cues, setCues] = useState([]);
+  const [query, setQuery] = useState('');
+  const [currentTime, setCurrentTime] = useState(0);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const track = tracks[trackIndex];
+  const trackSrc = track?.src;
+  const tracksKey = tracks.map(candidate => candidate.src).join('\n');
+
+  // Start over on the default track when the video changes (e.g. navigating between articles)
+  useEffect(() => {
+    setTrackIndex(defaultTrackIndex);
+    setCues([]);
+    setLoadFailed(false);
+  }, [tracksKey, defaultTrackIndex]);
+
+  // Load the selected track only once the transcript is opened
+  useEffect(() => {
+    if (!expanded || !trackSrc) return;
+
+    const controller = new AbortController();
+    const loadCues = async () => {
+      try {
+        setLoadFailed(false);
+        const response = await fetch(trackSrc, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setCues(parseVtt(await response.text()));
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        reportError("Error loading transcript", error);
+        setLoadFailed(true);
+      }
+    };
+
+    loadCues();
+    return () => controller.abort();
+  }, [expanded, trackSrc]);
+
+  // Follow playback to highlight the current line
+  useEffect(() => {
+    const videoElement = videoRef?.current;
+    if (!expanded || !videoElement) return;
+
+    const handleTimeUpdate = () => setCurrentTime(videoElement.currentTime);
+    videoElement.addEventListener('timeupdate', handleTimeUpdate);
+    return () => videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+  }, [expanded, videoRef]);
+
+  if (!track) return null;
+
+  const canSeek = Boolean(videoRef?.current);
+  const normalizedQuery = query.trim().toLowerCase();
+  const visibleCues = normalizedQuery
+    ? cues.filter(cue => cue.text.toLowerCase().includes(normalizedQuery))
+    : cues;
+
+  const seekTo = (seconds) => {
+    const videoElement = videoRef?.current;
+    if (!videoElement) return;
+    videoElement.currentTime = seconds;
+    videoElement.play().catch(() => {});
+  };
+
+  return (
+    <div className="video-transcript mb-4">
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+      >
+        <i className={`bi ${expanded ? 'bi-chevron-up' : 'bi-card-text'} me-1`} aria-hidden="true"></i>
+        {expanded ? t('hideTranscript') : t('showTranscript')}
+      </button>
+
+      {expanded && (
+        <div className="card card-body mt-2 shadow-sm">
+          <div className="d-flex gap-2 mb-3">
+            <input
+              type="search"
+              className="form-control form-control-sm"
+              placeholder={t('searchTranscript')}
+              aria-label={t('searchTranscript')}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            {tracks.length > 1 && (
+              <select
+                className="form-select form-select-sm w-auto"
+                aria-label={t('transcriptLanguage')}
+                value={trackIndex}
+                onChange={(e) => setTrackIndex(Number(e.target.value))}
+              >
+                {tracks.map((option, index) => (
+                  <option key={option.src} value={index}>{option.label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {loadFailed && <p className="text-muted small mb-0">{t('transcriptLoadFailed')}</p>}
+
+          <ol className="list-unstyled mb-0" style={{ maxHeight: "300px", overflowY: "auto" }} lang={track.srcLang}>
+            {visibleCues.map((cue, index) => {
+              const isCurrent = currentTime >= cue.start && currentTime < cue.end;
+              const content = (
+                <>
+                  <span className="text-muted small me-2 font-monospace">{formatCueTime(cue.start)}</span>
+                  {cue.text}
+                </>
+              );
+
+              return (
+                <li key={`${cue.start}-${index}`} className={`py-1 ${isCurrent ? 'fw-semibold' : ''}`}>
+                  {canSeek ? (
+                    <button
+                      type="button"
+                      className="btn btn-link p-0 text-start text-reset text-decoration-none"
+                      onClick={() => seekTo(cue.start)}
+                      aria-current={isCurrent ? 'true' : undefined}
+                    >
+                      {content}
+                    </button>
+                  ) : content}
+                </li>
+              );
+            })}
+          </ol>
+
+          {!loadFailed && normalizedQuery && visibleCues.length === 0 && (
+            <p className="text-muted small mb-0">{t('transcriptNoMatches', { query })}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoTranscript;
@@ -0,0 +1,171 @@
+import { ANALYTICS_ENDPOINT, ANALYTICS_REQUIRE_CONSENT } from './config';
+import { reportWarning } from './logger';
+
+/**
+ * Privacy-respecting reading analytics.
+ *
+ * Events are anonymous: no cookies, no user ids, only a random id for the
+ * current page load so events can be grouped into one visit. Nothing is
+ * recorded when the browser sends Do Not Track or Global Privacy Control,
+ * or, when consent is required, before the reader has given it.
+ *
+ * Events are queued and delivered in batches to a sink, an object with a
+ * `send(events)` method. The default sink posts to ANALYTICS_ENDPOINT when
+ * configured and logs to the console in development; install another one
+ * (e.g. an adapter for a third-party service) with setAnalyticsSink:
+ *
+ *   setAnalyticsSink({ send: (events) => events.forEach(e => plausible(e.name, { props: e.properties })) });
+ */
+
+// Batching: send when this many events are queued, or after the delay
+const MAX_BATCH_SIZE = 20;
+const FLUSH_DELAY_MS = 5000;
+
+// Where the reader's consent choice is remembered
+const CONSENT_STORAGE_KEY = 'analyticsConsent';
+
+/**
+ * Sink that logs batches to the console, for development
+ * @returns {{send: Function}} Sink
+ */
+export const createConsoleSink = () => ({
+  send: (events) => console.info('[analytics]', events)
+});
+
+/**
+ * Sink that posts batches as JSON to an endpoint. Uses sendBeacon so
+ * batches flushed while the page unloads still arrive.
+ * @param {string} endpoint - Collection endpoint
+ * @returns {{send: Function}} Sink
+ */
+export const createEndpointSink = (endpoint) => ({
+  send: async (events) => {
+    const body = JSON.stringify({ events });
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+    await fetch(endpoint, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true });
+  }
+});
+
+/**
+ * Picks the sink used until another one is installed
+ * @returns {{send: Function}|null} Sink, or null to drop events
+ */
+const getDefaultSink = () => {
+  if (ANALYTICS_ENDPOINT) return createEndpointSink(ANALYTICS_ENDPOINT);
+  return process.env.NODE_ENV === 'development' ? createConsoleSink() : null;
+};
+
+let sink = null;
+let sinkChosen = false;
+let queue = [];
+let flushTimer = null;
+let listening = false;
+
+// Random per page load; never stored
+const visitId = Math.random().toString(36).slice(2, 10);
+
+/**
+ * Replaces the sink events are delivered to
+ * @param {{send: Function}|null} nextSink - Sink, or null to drop events
+ */
+export const setAnalyticsSink = (nextSink) => {
+  sink = nextSink;
+  sinkChosen = true;
+};
+
+/**
+ * Checks if the browser asks not to be tracked
+ * @returns {boolean}
+ */
+const hasOptedOut = () => (
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+);
+
+/**
+ * Returns the reader's consent choice
+ * @returns {boolean|null} True or false once chosen, null before
+ */
+export const getAnalyticsConsent = () => {
+  try {
+    const value = window.localStorage.getItem(CONSENT_STORAGE_KEY);
+    return value === null ? null : value === 'granted';
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Records the reader's consent choice, e.g. from a cookie banner.
+ * Withdrawing consent drops queued events.
+ * @param {boolean} granted - Whether analytics are allowed
+ */
+export const setAnalyticsConsent = (granted) => {
+  try {
+    window.localStorage.setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+  } catch (e) {
+    reportWarning("Unable to save analytics consent", e);
+  }
+  if (!granted) queue = [];
+};
+
+/**
+ * Checks if events may be recorded right now
+ * @returns {boolean}
+ */
+export const isAnalyticsAllowed = () => {
+  if (typeof window === 'undefined' || hasOptedOut()) return false;
+  const consent = getAnalyticsConsent();
+  return ANALYTICS_REQUIRE_CONSENT ? consent === true : consent !== false;
+};
+
+/**
+ * Sends every queued event to the sink
+ */
+export const flushAnalytics = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+
+  const events = queue;
+  queue = [];
+  if (!sinkChosen) setAnalyticsSink(getDefaultSink());
+  if (!sink) return;
+
+  Promise.resolve()
+    .then(() => sink.send(events))
+    .catch(error => reportWarning("Error sending analytics", error, { count: events.length }));
+};
+
+// Deliver what's queued before the page is hidden or closed
+const listenForPageHide = () => {
+  if (listening) return;
+  listening = true;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAnalytics();
+  });
+  window.addEventListener('pagehide', flushAnalytics);
+};
+
+/**
+ * Records an event
+ * @param {string} name - Event name, e.g. "read_depth"
+ * @param {Object} [properties] - Event details; never personal data
+ */
+export const trackEvent = (name, properties = {}) => {
+  if (!isAnalyticsAllowed()) return;
+  listenForPageHide();
+
+  queue.push({
+    name,
+    properties,
+    path: window.location.pathname,
+    visitId,
+    timestamp: new Date().toISOString()
+  });
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flushAnalytics();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAnalytics, FLUSH_DELAY_MS);
+  }
+};
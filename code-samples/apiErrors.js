@@ -0,0 +1,105 @@
+import axios from 'axios';
+
+/**
+ * Typed errors for CMS requests, so pages can tell readers what went wrong
+ * (and whether trying again may help) without showing raw axios messages.
+ * Each error has a `kind` to switch on in the UI.
+ */
+
+/**
+ * Base class of every CMS request error
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status, if a response arrived
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = 'server';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/** The requested content doesn't exist (in this locale) */
+export class NotFoundError extends ApiError {
+  constructor(message = 'Not found', options) {
+    super(message, { status: 404, ...options });
+    this.kind = 'notFound';
+  }
+}
+
+/** The API token is missing, expired or lacks permissions */
+export class UnauthorizedError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.kind = 'unauthorized';
+  }
+}
+
+/** The CMS is throttling requests */
+export class RateLimitedError extends ApiError {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} [options]
+   * @param {number} [options.retryAfter] - Seconds to wait, from the Retry-After header
+   */
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, { status: 429, ...options });
+    this.kind = 'rateLimited';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The browser has no connection */
+export class OfflineError extends ApiError {
+  constructor(message = 'Offline', options) {
+    super(message, options);
+    this.kind = 'offline';
+  }
+}
+
+/** The CMS failed or couldn't be reached */
+export class ServerError extends ApiError {}
+
+/**
+ * Reads a Retry-After header given in seconds or as an HTTP date
+ * @param {string} [value] - Header value
+ * @returns {number|undefined} Seconds to wait
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+};
+
+/**
+ * Converts a failed request into a typed error. Cancellations and errors
+ * that are already typed are returned unchanged.
+ * @param {Error} error - Error thrown by axios
+ * @returns {Error} Typed error
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError || axios.isCancel(error)) return error;
+
+  const status = error.response?.status;
+  const message = error.message;
+
+  if (!error.response) {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    return offline ? new OfflineError(message, { cause: error }) : new ServerError(message, { cause: error });
+  }
+  if (status === 404) return new NotFoundError(message, { cause: error });
+  if (status === 401 || status === 403) return new UnauthorizedError(message, { status, cause: error });
+  if (status === 429) {
+    return new RateLimitedError(message, { retryAfter: parseRetryAfter(error.response.headers?.['retry-after']), cause: error });
+  }
+  return new ServerError(message, { status, cause: error });
+};
@@ -0,0 +1,169 @@
+/**
+ * Sample articles in the article model shape (see articleModel.js), served
+ * by the fixture content source so the article page runs locally and in
+ * tests without a CMS. Images are expected under `public/fixtures`.
+ */
+
+const text = (value) => [{ type: 'paragraph', children: [{ type: 'text', text: value }] }];
+
+const category = { id: 'bedroom', slug: 'bedroom', category: 'Bedroom' };
+const series = { id: 'slow-bedroom', title: 'The slow bedroom' };
+
+const photo = (name, alternativeText) => ({
+  url: `/fixtures/${name}.jpg`,
+  width: 1600,
+  height: 1067,
+  alternativeText,
+  mime: 'image/jpeg'
+});
+
+const articleFixtures = [
+  {
+    id: 'fixture-linen-bedding',
+    slug: 'linen-bedding',
+    locale: 'en',
+    title: 'Why linen bedding is worth it',
+    publishedAt: '2024-03-01T09:00:00.000Z',
+    content: text('Linen softens with every wash and keeps you cool in summer and warm in winter.'),
+    sections: [
+      {
+        title: 'Choosing the weight',
+        text: text('Look for 160 to 190 grams per square metre: heavy enough to drape, light enough to breathe.'),
+        image: photo('linen-weight', 'Stack of folded linen sheets'),
+        products: [
+          { x: 40, y: 55, name: 'Linen sheet set', price: 129, currency: 'USD', retailer: 'Fixture Linens', url: 'https://example.com/linen-sheets' }
+        ]
+      },
+      {
+        type: 'pull-quote',
+        quote: 'Linen is the one fabric that looks better the more you live with it.',
+        attribution: 'A textile designer'
+      },
+      {
+        type: 'before-after',
+        title: 'Same bed, new bedding',
+        before: photo('bedding-before', 'Bed with synthetic bedding'),
+        after: photo('bedding-after', 'Same bed with linen bedding'),
+        caption: 'Swapping the bedding alone changes the whole room.'
+      },
+      {
+        type: 'materials',
+        title: 'What we used',
+        items: [
+          { name: 'Stonewashed linen duvet cover', brand: 'Fixture Linens', finish: 'Stonewashed', color: '#d8cfc4', colorCode: 'Oat' },
+          { name: 'Wall paint', brand: 'Fixture Paints', finish: 'Matt', color: '#e9e4da', colorCode: 'No. 2005' }
+        ]
+      },
+      {
+        type: 'callout',
+        variant: 'tip',
+        text: text('Wash new linen once before using it: it softens straight away.')
+      },
+      {
+        title: 'Caring for linen',
+        text: text('Wash at 40°C, skip the softener and line-dry. Ironing is optional; the creases are part of the charm.')
+      }
+    ],
+    conclusion: text('Start with a duvet cover: it makes the biggest difference to the look of the bed.'),
+    images: [photo('linen-bedding', 'Bed made with natural linen bedding')],
+    imageCredit: 'Fixture photo',
+    products: [
+      { x: 35, y: 60, name: 'Stonewashed linen duvet cover', price: 189, currency: 'USD', retailer: 'Fixture Linens', url: 'https://example.com/duvet-cover', image: photo('duvet-cover', 'Linen duvet cover') },
+      { x: 75, y: 40, name: 'Ceramic bedside lamp', price: 85, currency: 'USD', retailer: 'Fixture Home', url: 'https://example.com/bedside-lamp' }
+    ],
+    palette: [
+      { hex: '#d8cfc4', name: 'Oat', brand: 'Fixture Paints', code: 'FP 214' },
+      { hex: '#8a8f7a', name: 'Sage' },
+      { hex: '#f4f1ea' }
+    ],
+    category,
+    tags: [{ id: 'linen', name: 'Linen' }, { id: 'textiles', name: 'Textiles' }],
+    series,
+    seriesPart: 1,
+    seo: { metaTitle: 'Why linen bedding is worth it', metaDescription: 'How to choose and care for linen bedding.' },
+    localizations: [{ slug: 'linge-de-lit-en-lin', locale: 'fr' }]
+  },
+  {
+    id: 'fixture-linge-de-lit-en-lin',
+    slug: 'linge-de-lit-en-lin',
+    locale: 'fr',
+    title: 'Pourquoi le linge de lit en lin vaut le coup',
+    publishedAt: '2024-03-01T09:00:00.000Z',
+    content: text('Le lin s’adoucit à chaque lavage, rafraîchit en été et réchauffe en hiver.'),
+    sections: [
+      {
+        title: 'Choisir le grammage',
+        text: text('Visez 160 à 190 grammes par mètre carré.'),
+        image: photo('linen-weight', 'Pile de draps en lin pliés')
+      }
+    ],
+    images: [photo('linen-bedding', 'Lit fait avec du linge en lin naturel')],
+    category,
+    tags: [{ id: 'linen', name: 'Lin' }],
+    localizations: [{ slug: 'linen-bedding', locale: 'en' }]
+  },
+  {
+    id: 'fixture-bedside-lighting',
+    slug: 'bedside-lighting',
+    locale: 'en',
+    title: 'Bedside lighting that helps you wind down',
+    publishedAt: '2024-03-15T09:00:00.000Z',
+    content: text('Warm, low light in the evening tells your body it is time to sleep.'),
+    sections: [
+      {
+        title: 'Pick warm bulbs',
+        text: text('Choose bulbs of 2700K or lower and put them on a dimmer.'),
+        image: photo('bedside-lamp', 'Ceramic bedside lamp with a linen shade')
+      },
+      {
+        type: 'floor-plan',
+        title: 'Where the light goes',
+        image: photo('bedroom-plan', 'Bedroom floor plan'),
+        hotspots: [
+          { x: 30, y: 40, label: 'Bedside lamp', description: 'Warm bulb on a dimmer', anchor: 'pick-warm-bulbs' },
+          { x: 70, y: 20, label: 'Ceiling light', description: 'Off in the evening' }
+        ]
+      },
+      {
+        type: 'image-grid',
+        layout: 'carousel',
+        title: 'Lamps we like',
+        images: [photo('lamp-ceramic', 'Ceramic lamp'), photo('lamp-rattan', 'Rattan lamp'), photo('lamp-brass', 'Brass lamp')]
+      }
+    ],
+    images: [photo('bedside-lighting', 'Bedroom lit by two bedside lamps')],
+    category,
+    tags: [{ id: 'lighting', name: 'Lighting' }],
+    series,
+    seriesPart: 2
+  },
+  {
+    id: 'fixture-open-shelving',
+    slug: 'open-shelving',
+    locale: 'en',
+    title: 'Open kitchen shelving without the clutter',
+    publishedAt: '2024-02-10T09:00:00.000Z',
+    content: text('Open shelves make a kitchen feel bigger, as long as they are styled with restraint.'),
+    sections: [
+      {
+        title: 'Group by colour',
+        text: text('Keep everyday crockery to two or three colours and stack it in short piles.')
+      }
+    ],
+    images: [photo('open-shelving', 'Oak shelves holding white crockery')],
+    category: { id: 'kitchen', slug: 'kitchen', category: 'Kitchen' },
+    tags: [{ id: 'storage', name: 'Storage' }]
+  },
+  {
+    id: 'fixture-draft-wall-colours',
+    slug: 'calming-wall-colours',
+    locale: 'en',
+    title: 'Calming wall colours for bedrooms (draft)',
+    publishedAt: null,
+    content: text('Draft article, only visible in preview mode.'),
+    category,
+    tags: [{ id: 'paint', name: 'Paint' }]
+  }
+];
+
+export default articleFixtures;
@@ -0,0 +1,131 @@
+/**
+ * The article model every content source (see contentSources.js) produces
+ * and every component consumes, so pages don't depend on a CMS's response
+ * shape. Rich text uses the Blocks JSON format rendered by RichText
+ * (paragraph, heading, list, quote, code, image and link nodes).
+ *
+ * @typedef {Object} Media
+ * @property {string} url - Absolute URL, or root-relative for files served by the site
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [alternativeText]
+ * @property {string} [caption]
+ * @property {string} [mime]
+ * @property {string} [previewUrl] - Poster frame for videos
+ * @property {Object<string, Media>} [formats] - Resized variants (thumbnail, small, medium, large)
+ *
+ * @typedef {Object} Product - "Shop the look" product tagged on an image
+ * @property {number} x - Horizontal position on the image, in percent
+ * @property {number} y - Vertical position on the image, in percent
+ * @property {string} name
+ * @property {number} [price]
+ * @property {string} [currency] - ISO 4217 code
+ * @property {string} [retailer]
+ * @property {string} url - Affiliate link
+ * @property {Media|null} [image]
+ *
+ * @typedef {Object} Swatch - Colour of an image entered by editors
+ * @property {string} hex - Colour such as "#d8cfc4"
+ * @property {string} [name] - Paint colour name
+ * @property {string} [brand] - Paint brand
+ * @property {string} [code] - Paint brand's colour code
+ *
+ * @typedef {Object} Section
+ * @property {string} [type] - Section type (see SECTION_TYPES); unknown or
+ *   missing types are rendered as a text section
+ * @property {string} title
+ * @property {Array|string} text - Blocks
+ * @property {string} [anchor] - Explicit anchor id
+ * @property {Media|null} [image]
+ * @property {string} [imageUrl] - External image URL
+ * @property {string} [imageCaption]
+ * @property {string} [imageCredit]
+ * @property {Product[]} [products] - Products tagged on the image
+ * @property {Swatch[]} [palette] - Colours of the image; extracted from it when empty
+ * @property {Media|null} [video]
+ * @property {string} [videoUrl] - External video URL
+ * @property {Array} [videoCaptions] - `{file: Media, url, language, label, kind, default}`
+ *
+ * Typed sections add their own fields:
+ * - before-after: `before` and `after` (Media), `beforeLabel`, `afterLabel`, `caption`
+ * - image-grid: `images` (Media[]), `layout` ("grid" or "carousel"), `caption`
+ * - pull-quote: `quote`, `attribution`
+ * - callout: `variant` ("tip", "note" or "warning"), `title`, `text`
+ * - materials: `items` of `{name, brand, finish, color (hex), colorCode, url}`
+ * - floor-plan: `image` (Media), `hotspots` of `{x, y (percent), label, description, anchor}`
+ *
+ * @typedef {Object} Article
+ * @property {string|number} id
+ * @property {string} slug
+ * @property {string} locale
+ * @property {string} title
+ * @property {string|null} publishedAt - ISO date; null for drafts
+ * @property {string} [updatedAt]
+ * @property {Array|string} [content] - Introduction blocks
+ * @property {Array|string} [conclusion] - Conclusion blocks
+ * @property {Section[]} sections
+ * @property {Media[]} images - The first one is the hero
+ * @property {string} [imageUrl] - External hero image URL
+ * @property {string} [imageCredit]
+ * @property {Product[]} [products] - Products tagged on the hero image
+ * @property {Swatch[]} [palette] - Colours of the hero image; extracted from it when empty
+ * @property {boolean} [showPalettes] - False hides colour palettes on the article
+ * @property {Media[]} video - The first one is the featured video
+ * @property {string} [videoUrl]
+ * @property {Array} [videoCaptions]
+ * @property {{id: (string|number), category: string, slug?: string}|null} category
+ * @property {Array<{id: (string|number), name: string}>} tags
+ * @property {{id: (string|number), title: string}|null} series
+ * @property {number} [seriesPart]
+ * @property {Object|null} seo - metaTitle, metaDescription, metaImage, metaRobots,
+ *   keywords, canonicalURL, structuredData, metaSocial
+ * @property {Array<{slug: string, locale: string}>} localizations - Other translations
+ */
+
+// Built-in section types, matching the components of the CMS dynamic zone
+export const SECTION_TYPES = ['text', 'before-after', 'image-grid', 'pull-quote', 'callout', 'materials', 'floor-plan'];
+
+/**
+ * Fills in the defaults of the article model, so sources only need to set
+ * the fields they have
+ * @param {Object} fields - Article fields
+ * @returns {Article} Complete article
+ */
+export const createArticle = (fields) => ({
+  publishedAt: null,
+  sections: [],
+  images: [],
+  video: [],
+  category: null,
+  tags: [],
+  series: null,
+  seo: null,
+  localizations: [],
+  ...fields
+});
+
+/**
+ * Scores how related a candidate is to an article: each shared tag counts
+ * once, the same category counts as much as two tags
+ * @param {Article} article - The current article
+ * @param {Article} candidate - Another article
+ * @returns {number} Score, 0 when unrelated
+ */
+export const scoreRelatedArticle = (article, candidate) => {
+  const tagIds = (article.tags || []).map(tag => tag.id);
+  const categoryId = article.category?.id;
+  return (candidate.tags || []).filter(tag => tagIds.includes(tag.id)).length +
+    (categoryId && candidate.category?.id === categoryId ? 2 : 0);
+};
+
+/**
+ * Orders candidates by relatedness, keeping their original order on ties
+ * @param {Article} article - The current article
+ * @param {Article[]} candidates - Other articles
+ * @returns {Article[]} Related candidates (score above 0), best first
+ */
+export const rankRelatedArticles = (article, candidates) => candidates
+  .map((candidate, index) => ({ candidate, index, score: scoreRelatedArticle(article, candidate) }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => b.score - a.score || a.index - b.index)
+  .map(({ candidate }) => candidate);
@@ -0,0 +1,109 @@
+import { blocksToPlainText } from './RichText';
+
+// Distance kept between the fixed navbar and a heading scrolled into view
+export const SCROLL_OFFSET = 96;
+
+// Ids the article page already uses, which headings must not claim
+const RESERVED_IDS = [
+  'root',
+  'introduction',
+  'conclusion',
+  'comments',
+  'comments-title',
+  'related-articles-title',
+  'products-in-article-title',
+  'reading-progress-bar',
+  'backToTopBtn'
+];
+
+/**
+ * Turns a heading into a URL-friendly anchor, keeping non-Latin letters
+ * @param {string} text - Heading text
+ * @returns {string} Anchor slug
+ */
+export const slugify = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Collects heading nodes from a blocks tree in document order
+ * @param {Array} blocks - Blocks array
+ * @returns {Array<Object>} Heading nodes
+ */
+const findHeadings = (blocks) => (Array.isArray(blocks) ? blocks : []).flatMap(node => {
+  if (!node || typeof node !== 'object') return [];
+  if (node.type === 'heading') return [node];
+  return findHeadings(node.children);
+});
+
+/**
+ * Builds the table of contents for an article from its section titles and
+ * the headings inside its rich text. Anchors come from the heading text (or
+ * a section's CMS `anchor` field) rather than positions, so deep links keep
+ * working when editors reorder sections.
+ * @param {Object} options
+ * @param {Array} [options.content] - Introduction blocks
+ * @param {Array} options.sections - Article sections
+ * @returns {{items: Array, ids: string[], sectionIds: string[], headingIds: WeakMap}}
+ *   Nested TOC items ({id, title, children}), every anchor in document order,
+ *   the anchor of each section by index, and the anchor of each heading node
+ */
+export const buildTableOfContents = ({ content, sections }) => {
+  const usedIds = new Set(RESERVED_IDS);
+  const headingIds = new WeakMap();
+  const flat = [];
+
+  const claimId = (text, fallback) => {
+    const base = slugify(text) || fallback;
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+  };
+
+  // Rich text headings start at h2, one level below the section title
+  const addHeadings = (blocks, baseDepth) => {
+    findHeadings(blocks).forEach(node => {
+      const title = blocksToPlainText(node);
+      if (!title) return;
+
+      const id = claimId(title, 'heading');
+      headingIds.set(node, id);
+      const level = Math.min(Math.max(Number(node.level) || 2, 2), 6);
+      flat.push({ id, title, depth: baseDepth + level - 2 });
+    });
+  };
+
+  addHeadings(content, 1);
+
+  const sectionIds = (sections || []).map((section, index) => {
+    // The fallback must not look like a legacy 0-based #section-N link
+    const id = claimId(section.anchor || section.title, `untitled-section-${index + 1}`);
+    // Untitled sections (e.g. pull quotes) get an anchor but no entry
+    if (section.title) flat.push({ id, title: section.title, depth: 1 });
+    addHeadings(section.text, 2);
+    return id;
+  });
+
+  // Nest each item under the closest preceding item of lower depth
+  const items = [];
+  const stack = [];
+  flat.forEach(({ id, title, depth }) => {
+    const item = { id, title, children: [] };
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+
+    if (stack.length) {
+      stack[stack.length - 1].item.children.push(item);
+    } else {
+      items.push(item);
+    }
+    stack.push({ depth, item });
+  });
+
+  return { items, ids: flat.map(item => item.id), sectionIds, headingIds };
+};
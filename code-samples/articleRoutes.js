@@ -0,0 +1,84 @@
+import React from 'react';
+import { Routes, Route, useParams, useLocation } from 'react-router-dom';
+import Article from './Article';
+import ReadingList from './ReadingList';
+import MoodBoards from './MoodBoards';
+import ErrorBoundary from './ErrorBoundary';
+import PageError from './PageError';
+import { NotFoundError } from './apiErrors';
+import { I18nProvider } from './i18n';
+import {
+  ARTICLE_ROUTE,
+  LOCALIZED_ARTICLE_ROUTE,
+  READING_LIST_ROUTE,
+  LOCALIZED_READING_LIST_ROUTE,
+  MOOD_BOARDS_ROUTE,
+  LOCALIZED_MOOD_BOARDS_ROUTE,
+  isLocalePrefix
+} from './paths';
+import { DEFAULT_LOCALE } from './config';
+
+/**
+ * LocalizedPage Component
+ *
+ * Provides the locale from the URL (or the default locale for unprefixed
+ * paths) to a page, and shows an error state instead of a blank screen if
+ * the page fails to render. Unknown prefixes and the default locale's
+ * prefix ("/en/articles/...") are not found, so every page has one URL.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The page
+ * @returns {JSX.Element} The localized page
+ */
+const LocalizedPage = ({ children }) => {
+  const { locale } = useParams();
+  const { pathname } = useLocation();
+
+  if (locale !== undefined && !isLocalePrefix(locale)) {
+    return (
+      <I18nProvider locale={DEFAULT_LOCALE}>
+        <div className="container text-center my-5" style={{ marginTop: "80px" }}>
+          <PageError error={new NotFoundError(`Unknown locale prefix "${locale}"`)} />
+        </div>
+      </I18nProvider>
+    );
+  }
+
+  return (
+    <I18nProvider locale={locale || DEFAULT_LOCALE}>
+      <ErrorBoundary
+        name="page"
+        context={{ pathname }}
+        resetKey={pathname}
+        fallback={({ reset }) => (
+          <div className="container text-center my-5" style={{ marginTop: "80px" }}>
+            <PageError onRetry={reset} />
+          </div>
+        )}
+      >
+        {children}
+      </ErrorBoundary>
+    </I18nProvider>
+  );
+};
+
+/**
+ * ArticleRoutes Component
+ *
+ * The route tree rendered both on the server and in the browser, so the
+ * hydrated markup matches the server output.
+ *
+ * @returns {JSX.Element} The article, reading list and mood board routes
+ */
+const ArticleRoutes = () => (
+  <Routes>
+    <Route path={ARTICLE_ROUTE} element={<LocalizedPage><Article /></LocalizedPage>} />
+    <Route path={LOCALIZED_ARTICLE_ROUTE} element={<LocalizedPage><Article /></LocalizedPage>} />
+    <Route path={READING_LIST_ROUTE} element={<LocalizedPage><ReadingList /></LocalizedPage>} />
+    <Route path={LOCALIZED_READING_LIST_ROUTE} element={<LocalizedPage><ReadingList /></LocalizedPage>} />
+    <Route path={MOOD_BOARDS_ROUTE} element={<LocalizedPage><MoodBoards /></LocalizedPage>} />
+    <Route path={LOCALIZED_MOOD_BOARDS_ROUTE} element={<LocalizedPage><MoodBoards /></LocalizedPage>} />
+  </Routes>
+);
+
+export default ArticleRoutes;
@@ -0,0 +1,175 @@
+import axios from 'axios';
+import { getContentSource } from './contentSources';
+import { toApiError } from './apiErrors';
+import { DEFAULT_LOCALE, PREVIEW_API_URL } from './config';
+
+// Cached articles are served immediately and revalidated once older than this
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Global the server uses to hand serialized cache entries to the client
+export const ARTICLE_STATE_GLOBAL = '__ARTICLE_STATE__';
+
+/**
+ * Article cache keyed by locale and slug. Articles that don't exist are
+ * cached with `data: null`, so a server-rendered 404 hydrates as one.
+ * @type {Map<string, {data: Object|null, fetchedAt: number}>}
+ */
+const articleCache = new Map();
+
+/**
+ * Builds the cache key of a localized article
+ * @param {string} slug - Article slug
+ * @param {string} [locale] - Article locale
+ * @returns {string} Cache key
+ */
+export const getArticleCacheKey = (slug, locale = DEFAULT_LOCALE) => `${locale}:${slug}`;
+
+/**
+ * Returns the cache entry for a localized article
+ * @param {string} slug - Article slug
+ * @param {string} [locale] - Article locale
+ * @returns {{data: Object|null, fetchedAt: number}|null} Cache entry
+ */
+export const getCachedArticle = (slug, locale) => articleCache.get(getArticleCacheKey(slug, locale)) || null;
+
+/**
+ * Checks whether a cache entry should be revalidated
+ * @param {Object} entry - Cache entry from getCachedArticle
+ * @returns {boolean} True if the entry is older than the stale threshold
+ */
+export const isStale = (entry) => !entry || Date.now() - entry.fetchedAt > STALE_AFTER_MS;
+
+/**
+ * Removes one article, or every article, from the cache
+ * @param {string} [slug] - Article slug to evict
+ * @param {string} [locale] - Locale of the article to evict
+ */
+export const clearArticleCache = (slug, locale) => {
+  if (slug) {
+    articleCache.delete(getArticleCacheKey(slug, locale));
+  } else {
+    articleCache.clear();
+  }
+};
+
+/**
+ * Serializes cache entries so server-rendered pages can hand their data to the client
+ * @param {string[]} [keys] - Cache keys to include, defaults to every cached article
+ * @returns {Object} Cache entries keyed by cache key
+ */
+export const dehydrateArticleCache = (keys = [...articleCache.keys()]) => Object.fromEntries(
+  keys.filter(key => articleCache.has(key)).map(key => [key, articleCache.get(key)])
+);
+
+/**
+ * Seeds the cache with data serialized by the server, so hydration
+ * renders the same markup without refetching. Entries count as fetched
+ * now: pre-rendered pages were fetched at build time, and revalidating
+ * them on every visit would defeat the embedded data.
+ * @param {Object} [state] - Output of dehydrateArticleCache
+ */
+export const hydrateArticleCache = (state) => {
+  if (!state) return;
+  const hydratedAt = Date.now();
+  Object.entries(state).forEach(([key, entry]) => {
+    if (entry && 'data' in entry) articleCache.set(key, { ...entry, fetchedAt: hydratedAt });
+  });
+};
+
+/**
+ * Fetches an article with all of its relations from the content source.
+ * Drafts are fetched from the server in exchange for a preview secret (see
+ * previewAccess.js) and never written to the cache.
+ * @param {string} slug - Article slug
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and pending retries
+ * @param {string} [options.previewSecret] - Preview secret from a CMS preview link; fetches the draft version
+ * @param {string} [options.locale] - Locale of the version to fetch
+ * @returns {Promise<Object|null>} The article, or null if it doesn't exist in that locale
+ */
+export const fetchArticle = async (slug, { signal, previewSecret, locale = DEFAULT_LOCALE } = {}) => {
+  if (previewSecret) {
+    try {
+      const response = await axios.post(PREVIEW_API_URL, { secret: previewSecret, slug, locale }, { signal });
+      return response.data?.article || null;
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  const article = await getContentSource().fetchArticle(slug, { signal, locale });
+  articleCache.set(getArticleCacheKey(slug, locale), { data: article, fetchedAt: Date.now() });
+  return article;
+};
+
+/**
+ * Fetches articles related to an article, ranked by shared tags and
+ * category, and topped up with the most recent articles when too few match
+ * @param {Object} article - The current article, with category and tags
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to list
+ * @param {number} [options.limit] - Number of articles to return
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<Array<Object>>} Related articles
+ */
+export const fetchRelatedArticles = async (article, { locale = DEFAULT_LOCALE, limit = 3, signal } = {}) => {
+  const source = getContentSource();
+  const related = await source.fetchRelatedArticles(article, { locale, limit, signal });
+
+  if (related.length < limit) {
+    const recent = await source.fetchRecentArticles({
+      locale,
+      limit: limit + related.length,
+      excludeSlug: article.slug,
+      signal
+    });
+    const seen = new Set(related.map(candidate => candidate.slug));
+    related.push(...recent.filter(candidate => !seen.has(candidate.slug)).slice(0, limit - related.length));
+  }
+
+  return related;
+};
+
+/**
+ * Fetches the articles published just before and just after an article in
+ * the same category
+ * @param {Object} article - The current article, with category and publishedAt
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to list
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<{previous: Object|null, next: Object|null}>} Adjacent articles
+ */
+export const fetchAdjacentArticles = async (article, { locale = DEFAULT_LOCALE, signal } = {}) => {
+  if (!article.category?.id || !article.publishedAt) return { previous: null, next: null };
+  return getContentSource().fetchAdjacentArticles(article, { locale, signal });
+};
+
+/**
+ * Fetches every part of an article series in reading order
+ * @param {Object} series - Series relation of the current article
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale to list
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array<Object>>} Series parts ordered by seriesPart
+ */
+export const fetchSeriesArticles = async (series, { locale = DEFAULT_LOCALE, signal } = {}) => {
+  if (!series?.id) return [];
+  return getContentSource().fetchSeriesArticles(series, { locale, signal });
+};
+
+/**
+ * Fetches the slugs of every published article in a locale
+ * @param {string} [locale] - Locale to list
+ * @returns {Promise<string[]>} Article slugs
+ */
+export const fetchArticleSlugs = (locale = DEFAULT_LOCALE) => getContentSource().fetchArticleSlugs(locale);
+
+/**
+ * Lists the content source requests loading a published article, for
+ * offline reading
+ * @param {string} slug - Article slug
+ * @param {string} [locale] - Article locale
+ * @returns {Array<{url: string, headers: Object}>} Requests, empty for sources without any
+ */
+export const getArticleDataRequests = (slug, locale = DEFAULT_LOCALE) =>
+  getContentSource().getArticleRequests?.(slug, { locale }) || [];
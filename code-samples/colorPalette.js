@@ -0,0 +1,235 @@
+import { getMediaUrl, isCloudinaryUrl, cloudinaryTransform } from './media';
+import { reportWarning } from './logger';
+
+// Images are scaled down to this size before sampling; plenty for dominant colours
+const SAMPLE_SIZE = 64;
+
+// Number of colours extracted per image
+const PALETTE_SIZE = 5;
+
+// Colours closer than this (RGB distance) count as the same swatch
+const MIN_COLOR_DISTANCE = 48;
+
+// Colour families readers can filter related articles by, in display
+// order, with the message key of their name
+export const COLOR_FAMILIES = {
+  white: 'colorWhite',
+  beige: 'colorBeige',
+  grey: 'colorGrey',
+  black: 'colorBlack',
+  brown: 'colorBrown',
+  red: 'colorRed',
+  orange: 'colorOrange',
+  yellow: 'colorYellow',
+  green: 'colorGreen',
+  blue: 'colorBlue',
+  purple: 'colorPurple',
+  pink: 'colorPink'
+};
+
+// Message keys of the colour family names as written mid-sentence
+export const COLOR_FAMILIES_IN_TEXT = {
+  white: 'colorWhiteInText',
+  beige: 'colorBeigeInText',
+  grey: 'colorGreyInText',
+  black: 'colorBlackInText',
+  brown: 'colorBrownInText',
+  red: 'colorRedInText',
+  orange: 'colorOrangeInText',
+  yellow: 'colorYellowInText',
+  green: 'colorGreenInText',
+  blue: 'colorBlueInText',
+  purple: 'colorPurpleInText',
+  pink: 'colorPinkInText'
+};
+
+/**
+ * Extracted palettes keyed by image URL. Failures are cached as null so an
+ * image without CORS headers isn't retried on every render.
+ * @type {Map<string, Promise<Array<Object>|null>>}
+ */
+const paletteCache = new Map();
+
+/**
+ * Converts RGB channels to a hex colour
+ * @param {number[]} rgb - Red, green and blue, 0-255
+ * @returns {string} Colour such as "#a1b2c3"
+ */
+export const toHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Converts a hex colour to RGB channels
+ * @param {string} hex - "#abc" or "#aabbcc"
+ * @returns {number[]|null} Red, green and blue, or null if not a hex colour
+ */
+export const hexToRgb = (hex) => {
+  const match = (hex || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+};
+
+/**
+ * Formats RGB channels for copying
+ * @param {number[]} rgb - Red, green and blue
+ * @returns {string} Colour such as "rgb(161, 178, 195)"
+ */
+export const formatRgb = (rgb) => `rgb(${rgb.join(', ')})`;
+
+/**
+ * Sorts a colour into a broad family by hue, saturation and lightness, so
+ * "that green" matches articles with any similar green
+ * @param {string} hex - Colour
+ * @returns {string|null} A key of COLOR_FAMILIES, or null for invalid colours
+ */
+export const getColorFamily = (hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map(channel => channel / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const chroma = max - min;
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+
+  let hue = 0;
+  if (chroma > 0) {
+    if (max === r) hue = ((g - b) / chroma) % 6;
+    else if (max === g) hue = (b - r) / chroma + 2;
+    else hue = (r - g) / chroma + 4;
+    hue = (hue * 60 + 360) % 360;
+  }
+
+  if (lightness < 0.15) return 'black';
+  if (lightness > 0.92) return 'white';
+  if (saturation < 0.15) return lightness > 0.75 ? 'white' : 'grey';
+  // Warm, muted light colours are the beiges and creams of interiors
+  if (hue >= 20 && hue < 60 && lightness > 0.65 && saturation < 0.6) return 'beige';
+  if (hue >= 15 && hue < 45 && lightness < 0.5) return 'brown';
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 45) return 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 170) return 'green';
+  if (hue < 255) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+};
+
+/**
+ * Picks the image URL to sample: the smallest rendition available, since
+ * dominant colours don't need full resolution
+ * @param {Object} [resource] - Media resource
+ * @param {string} [externalUrl] - External image URL
+ * @returns {string|null} URL to sample
+ */
+export const getPaletteImageUrl = (resource, externalUrl) => {
+  const src = getMediaUrl(resource, externalUrl);
+  if (!src) return null;
+  if (isCloudinaryUrl(src)) return cloudinaryTransform(src, `w_${SAMPLE_SIZE},c_limit,f_png`);
+
+  const formats = externalUrl ? null : resource?.formats;
+  const small = formats?.thumbnail || formats?.small;
+  return small?.url ? getMediaUrl(small) : src;
+};
+
+/**
+ * Finds the dominant colours of image pixels: pixels are grouped into
+ * coarse colour buckets, and the most common buckets that differ enough
+ * from each other become the swatches
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} [count] - Number of swatches
+ * @returns {Array<{hex: string, rgb: number[], share: number}>} Swatches, most common first
+ */
+export const findDominantColors = (pixels, count = PALETTE_SIZE) => {
+  const buckets = new Map();
+  let total = 0;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+
+    // 5 bits per channel
+    const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count += 1;
+    bucket.sum[0] += pixels[i];
+    bucket.sum[1] += pixels[i + 1];
+    bucket.sum[2] += pixels[i + 2];
+    buckets.set(key, bucket);
+    total += 1;
+  }
+
+  const swatches = [];
+  [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .some(bucket => {
+      const rgb = bucket.sum.map(channel => Math.round(channel / bucket.count));
+      const distinct = swatches.every(swatch => Math.hypot(...swatch.rgb.map((channel, i) => channel - rgb[i])) >= MIN_COLOR_DISTANCE);
+      if (distinct) swatches.push({ hex: toHex(rgb), rgb, share: bucket.count / total });
+      return swatches.length >= count;
+    });
+
+  return swatches;
+};
+
+/**
+ * Loads an image and samples its pixels on a canvas
+ * @param {string} url - Image URL; must allow CORS when on another origin
+ * @returns {Promise<Array<Object>>} Dominant colours
+ */
+const samplePalette = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.decoding = 'async';
+  image.onerror = () => reject(new Error(`Unable to load ${url}`));
+  image.onload = () => {
+    try {
+      const scale = Math.min(1, SAMPLE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      // Throws for cross-origin images served without CORS headers
+      resolve(findDominantColors(context.getImageData(0, 0, canvas.width, canvas.height).data));
+    } catch (error) {
+      reject(error);
+    }
+  };
+  image.src = url;
+});
+
+/**
+ * Extracts the dominant colours of an image in the browser, once per URL
+ * @param {string} url - Image URL, see getPaletteImageUrl
+ * @returns {Promise<Array<Object>|null>} Swatches, or null if the image can't be read
+ */
+export const extractPalette = (url) => {
+  if (!paletteCache.has(url)) {
+    paletteCache.set(url, samplePalette(url).catch(error => {
+      reportWarning("Unable to extract image palette", error, { url });
+      return null;
+    }));
+  }
+  return paletteCache.get(url);
+};
+
+/**
+ * Normalizes swatches entered by editors (hex plus optional paint name,
+ * brand and code); invalid colours are dropped
+ * @param {Array<Object>} [swatches] - Swatches from the CMS
+ * @returns {Array<Object>} Swatches with RGB channels
+ */
+export const normalizeSwatches = (swatches) => (swatches || [])
+  .map(swatch => ({ ...swatch, rgb: hexToRgb(swatch?.hex) }))
+  .filter(swatch => swatch.rgb)
+  .map(swatch => ({ ...swatch, hex: toHex(swatch.rgb) }));
+
+/**
+ * Lists the colour families present in a palette
+ * @param {Array<Object>} [swatches] - Swatches with hex colours
+ * @returns {Set<string>} Keys of COLOR_FAMILIES
+ */
+export const getPaletteFamilies = (swatches) => new Set((swatches || []).map(swatch => getColorFamily(swatch.hex)).filter(Boolean));
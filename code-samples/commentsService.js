@@ -0,0 +1,213 @@
+import axios from 'axios';
+import { COMMENTS_API_URL } from './config';
+import { reportError } from './logger';
+
+/**
+ * Client for the comments REST service.
+ *
+ * Endpoints, relative to COMMENTS_API_URL:
+ *   GET    /?article=<slug>&parent=<id|root>&page=<n>&pageSize=<n>
+ *          -> { data: Comment[], meta: { page, pageCount, total } }
+ *   POST   /            { article, parentId, author, body } -> { data: Comment, editToken }
+ *   PATCH  /<id>        { body }                            -> { data: Comment }
+ *   DELETE /<id>
+ * where Comment is { id, article, parentId, author, body, status,
+ * replyCount, createdAt, updatedAt } and status is "pending", "approved"
+ * or "hidden". Edits and deletes are authorized with the edit token
+ * returned when the comment was posted, sent as X-Comment-Token.
+ */
+
+// Validation limits, mirrored by the server
+export const MAX_AUTHOR_LENGTH = 60;
+export const MAX_BODY_LENGTH = 2000;
+const MIN_BODY_LENGTH = 2;
+
+// Client-side rate limit: at most MAX_POSTS_PER_WINDOW comments per window,
+// and at least MIN_POST_INTERVAL_MS between two comments
+const MIN_POST_INTERVAL_MS = 20 * 1000;
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const MAX_POSTS_PER_WINDOW = 5;
+
+// Local storage keys
+const EDIT_TOKENS_KEY = 'commentEditTokens';
+const POST_TIMES_KEY = 'commentPostTimes';
+const AUTHOR_KEY = 'commentAuthor';
+
+/**
+ * Reads a JSON value from local storage, tolerating disabled storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @returns {*} Stored value
+ */
+const readStorage = (key, fallback) => {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Writes a JSON value to local storage, tolerating disabled storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    reportError("Unable to save comment data", e);
+  }
+};
+
+/**
+ * Returns the edit token of a comment posted from this browser
+ * @param {string} id - Comment id
+ * @returns {string|null} Edit token, or null if the comment isn't the reader's own
+ */
+export const getEditToken = (id) => readStorage(EDIT_TOKENS_KEY, {})[id] || null;
+
+/**
+ * Checks whether a comment was posted from this browser
+ * @param {Object} comment - Comment
+ * @returns {boolean} True if the reader can edit and delete it
+ */
+export const isOwnComment = (comment) => Boolean(getEditToken(comment.id));
+
+/**
+ * Returns the name the reader last commented under
+ * @returns {string} Author name, or an empty string
+ */
+export const getSavedAuthor = () => readStorage(AUTHOR_KEY, '');
+
+/**
+ * Validates a comment before it is sent
+ * @param {Object} comment
+ * @param {string} [comment.author] - Author name, only checked when required
+ * @param {string} comment.body - Comment text
+ * @param {boolean} [requireAuthor] - Whether an author name is needed (new comments)
+ * @returns {{field: string, key: string, values: Object}|null} Message key describing
+ *   the first problem, or null if the comment is valid
+ */
+export const validateComment = ({ author = '', body = '' }, requireAuthor = true) => {
+  const name = author.trim();
+  const text = body.trim();
+
+  if (requireAuthor && !name) return { field: 'author', key: 'commentAuthorRequired', values: {} };
+  if (requireAuthor && name.length > MAX_AUTHOR_LENGTH) {
+    return { field: 'author', key: 'commentAuthorTooLong', values: { max: MAX_AUTHOR_LENGTH } };
+  }
+  if (text.length < MIN_BODY_LENGTH) return { field: 'body', key: 'commentBodyRequired', values: {} };
+  if (text.length > MAX_BODY_LENGTH) {
+    return { field: 'body', key: 'commentBodyTooLong', values: { max: MAX_BODY_LENGTH } };
+  }
+  return null;
+};
+
+/**
+ * Returns how long the reader must wait before posting again
+ * @returns {number} Milliseconds to wait, 0 if posting is allowed now
+ */
+export const getRateLimitDelay = () => {
+  const now = Date.now();
+  const recent = readStorage(POST_TIMES_KEY, []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  if (recent.length === 0) return 0;
+
+  const sinceLast = now - recent[recent.length - 1];
+  const intervalDelay = Math.max(MIN_POST_INTERVAL_MS - sinceLast, 0);
+  const windowDelay = recent.length >= MAX_POSTS_PER_WINDOW
+    ? recent[recent.length - MAX_POSTS_PER_WINDOW] + RATE_LIMIT_WINDOW_MS - now
+    : 0;
+
+  return Math.max(intervalDelay, windowDelay);
+};
+
+/**
+ * Records a post for the client-side rate limit
+ */
+const recordPost = () => {
+  const now = Date.now();
+  const recent = readStorage(POST_TIMES_KEY, []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  writeStorage(POST_TIMES_KEY, [...recent, now]);
+};
+
+/**
+ * Fetches one page of comments: top-level comments of an article, or the
+ * replies to a comment
+ * @param {string} article - Article slug
+ * @param {Object} [options]
+ * @param {string|null} [options.parentId] - Parent comment id, null for top-level comments
+ * @param {number} [options.page] - Page number, starting at 1
+ * @param {number} [options.pageSize] - Comments per page
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{comments: Array, hasMore: boolean, total: number}>} The page
+ */
+export const fetchComments = async (article, { parentId = null, page = 1, pageSize = 10, signal } = {}) => {
+  const response = await axios.get(COMMENTS_API_URL, {
+    params: { article, parent: parentId || 'root', page, pageSize },
+    signal
+  });
+
+  const { data, meta = {} } = response.data;
+  return {
+    comments: data,
+    hasMore: page < (meta.pageCount || 1),
+    total: meta.total ?? data.length
+  };
+};
+
+/**
+ * Posts a new comment or reply. The edit token returned by the service is
+ * kept in local storage so the reader can later edit or delete it.
+ * @param {Object} comment
+ * @param {string} comment.article - Article slug
+ * @param {string|null} comment.parentId - Parent comment id for replies
+ * @param {string} comment.author - Author name
+ * @param {string} comment.body - Comment text
+ * @returns {Promise<Object>} The stored comment, usually with status "pending" or "approved"
+ */
+export const postComment = async ({ article, parentId = null, author, body }) => {
+  const response = await axios.post(COMMENTS_API_URL, {
+    article,
+    parentId,
+    author: author.trim(),
+    body: body.trim()
+  });
+
+  const { data, editToken } = response.data;
+  recordPost();
+  writeStorage(AUTHOR_KEY, author.trim());
+  if (editToken) {
+    writeStorage(EDIT_TOKENS_KEY, { ...readStorage(EDIT_TOKENS_KEY, {}), [data.id]: editToken });
+  }
+  return data;
+};
+
+/**
+ * Updates the text of one of the reader's comments
+ * @param {string} id - Comment id
+ * @param {string} body - New comment text
+ * @returns {Promise<Object>} The updated comment
+ */
+export const updateComment = async (id, body) => {
+  const response = await axios.patch(`${COMMENTS_API_URL}/${encodeURIComponent(id)}`, { body: body.trim() }, {
+    headers: { 'X-Comment-Token': getEditToken(id) }
+  });
+  return response.data.data;
+};
+
+/**
+ * Deletes one of the reader's comments
+ * @param {string} id - Comment id
+ * @returns {Promise<void>}
+ */
+export const deleteComment = async (id) => {
+  await axios.delete(`${COMMENTS_API_URL}/${encodeURIComponent(id)}`, {
+    headers: { 'X-Comment-Token': getEditToken(id) }
+  });
+
+  const tokens = readStorage(EDIT_TOKENS_KEY, {});
+  delete tokens[id];
+  writeStorage(EDIT_TOKENS_KEY, tokens);
+};
@@ -0,0 +1,72 @@
+/**
+ * Runtime configuration shared by the browser bundle and the server renderer.
+ * Values come from environment variables so no secrets live in the source.
+ */
+
+// Where articles come from: "strapi" (default), "markdown" or "fixture"
+// (sample articles for local development without a CMS)
+export const CONTENT_SOURCE = process.env.REACT_APP_CONTENT_SOURCE || 'strapi';
+
+// JSON map of Markdown files by path, fetched by the markdown source in the
+// browser. prerenderArticles writes it into the build from the directory below.
+export const MARKDOWN_CONTENT_URL = process.env.REACT_APP_MARKDOWN_CONTENT_URL || '/content/articles.json';
+
+// Directory of the Markdown files, read by the server renderer and at build
+// time (server only, so not exposed to the browser bundle)
+export const MARKDOWN_CONTENT_DIR = process.env.MARKDOWN_CONTENT_DIR || 'content/articles';
+
+// Strapi API base URL and access token
+export const API_URL = process.env.REACT_APP_API_URL;
+export const API_TOKEN = process.env.REACT_APP_API_TOKEN;
+
+// Draft preview: the browser posts CMS preview secrets to this endpoint,
+// which checks them (see previewAccess.js) and returns the draft
+export const PREVIEW_API_URL = process.env.REACT_APP_PREVIEW_API_URL || '/api/preview';
+
+// Server only: key signing preview secrets, how long they are valid, and
+// the Strapi API token with draft read access
+export const PREVIEW_SECRET = process.env.PREVIEW_SECRET;
+export const PREVIEW_TTL_SECONDS = Number(process.env.PREVIEW_TTL_SECONDS || 3600);
+export const STRAPI_PREVIEW_TOKEN = process.env.STRAPI_PREVIEW_TOKEN;
+
+// Public site origin, used for absolute URLs in metadata and share links.
+// Falls back to the current origin in the browser when not configured.
+export const SITE_URL = process.env.REACT_APP_SITE_URL ||
+  (typeof window !== 'undefined' ? window.location.origin : '');
+
+// Site name used in page titles and structured data
+export const SITE_NAME = process.env.REACT_APP_SITE_NAME || 'Great House Ideas';
+
+// Optional Twitter handle (e.g. "@greathouseideas") for twitter:site
+export const TWITTER_HANDLE = process.env.REACT_APP_TWITTER_HANDLE;
+
+// Strapi major version; draft queries differ between v4 and v5
+export const STRAPI_VERSION = Number(process.env.REACT_APP_STRAPI_VERSION || 5);
+
+// Locales the site is published in, and the one served without a URL prefix
+export const LOCALES = (process.env.REACT_APP_LOCALES || 'en').split(',').map(locale => locale.trim());
+export const DEFAULT_LOCALE = process.env.REACT_APP_DEFAULT_LOCALE || LOCALES[0];
+
+// REST endpoint of the comments service. Point it at a local mock server
+// during development (e.g. "http://localhost:4000/comments").
+export const COMMENTS_API_URL = process.env.REACT_APP_COMMENTS_API_URL || '/api/comments';
+
+// Endpoint storing signed-in readers' bookmarks and reading positions
+export const READING_LIST_API_URL = process.env.REACT_APP_READING_LIST_API_URL || '/api/reading-list';
+
+// Endpoint storing signed-in readers' mood boards
+export const MOOD_BOARDS_API_URL = process.env.REACT_APP_MOOD_BOARDS_API_URL || '/api/mood-boards';
+
+// Where the self-hosted web fonts (e.g. the dyslexia-friendly reading font) are served
+export const FONTS_URL = process.env.REACT_APP_FONTS_URL || '/fonts';
+
+// URL the offline-reading service worker is served from; it must sit at the
+// site root so its scope covers every article page
+export const SERVICE_WORKER_URL = process.env.REACT_APP_SERVICE_WORKER_URL || '/service-worker.js';
+
+// Endpoint collecting anonymous reading analytics; events are only logged
+// to the console in development when unset
+export const ANALYTICS_ENDPOINT = process.env.REACT_APP_ANALYTICS_ENDPOINT;
+
+// Whether analytics wait for the reader's explicit consent (e.g. in the EU)
+export const ANALYTICS_REQUIRE_CONSENT = process.env.REACT_APP_ANALYTICS_REQUIRE_CONSENT === 'true';
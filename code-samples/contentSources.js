@@ -0,0 +1,72 @@
+import { createStrapiSource } from './strapiSource';
+import { createMarkdownSource } from './markdownSource';
+import { createMemorySource } from './memorySource';
+import articleFixtures from './articleFixtures';
+import { ServerError } from './apiErrors';
+import { CONTENT_SOURCE, API_URL, API_TOKEN, STRAPI_PREVIEW_TOKEN, STRAPI_VERSION, MARKDOWN_CONTENT_URL } from './config';
+
+/**
+ * A content source loads articles from one backend and returns them in the
+ * article model (see articleModel.js). articleService validates arguments,
+ * applies defaults and caches; sources only fetch and normalize.
+ *
+ * @typedef {Object} ContentSource
+ * @property {string} name
+ * @property {function(string, {locale: string, signal?: AbortSignal, preview?: boolean}): Promise<Object|null>} fetchArticle
+ *   Returns the article (its draft with `preview`, on the server only), or null
+ *   when it doesn't exist in that locale
+ * @property {function(Object, {locale: string, limit: number, signal?: AbortSignal}): Promise<Array<Object>>} fetchRelatedArticles
+ *   Returns articles sharing tags or the category, best match first
+ * @property {function({locale: string, limit: number, excludeSlug?: string, signal?: AbortSignal}): Promise<Array<Object>>} fetchRecentArticles
+ *   Returns the latest published articles
+ * @property {function(Object, {locale: string, signal?: AbortSignal}): Promise<{previous: Object|null, next: Object|null}>} fetchAdjacentArticles
+ *   Returns the articles published just before and after, in the same category
+ * @property {function(Object, {locale: string, signal?: AbortSignal}): Promise<Array<Object>>} fetchSeriesArticles
+ *   Returns every part of a series in reading order
+ * @property {function(string): Promise<string[]>} fetchArticleSlugs
+ *   Returns the slugs of every published article in a locale
+ * @property {function(string, {locale: string}): Array<{url: string, headers: Object}>} [getArticleRequests]
+ *   Returns the HTTP requests fetchArticle makes for a published article, so
+ *   they can be cached for offline reading; sources without requests omit it
+ */
+
+let contentSource = null;
+
+/**
+ * Creates the source selected by the CONTENT_SOURCE setting
+ * @returns {ContentSource} The configured source
+ */
+const createConfiguredSource = () => {
+  switch (CONTENT_SOURCE) {
+    case 'markdown':
+      return createMarkdownSource({
+        loadFiles: async () => {
+          const response = await fetch(MARKDOWN_CONTENT_URL);
+          if (!response.ok) throw new ServerError(`Unable to load ${MARKDOWN_CONTENT_URL}`, { status: response.status });
+          return response.json();
+        }
+      });
+    case 'fixture':
+      return createMemorySource(articleFixtures, { name: 'fixture' });
+    default:
+      return createStrapiSource({ apiUrl: API_URL, token: API_TOKEN, previewToken: STRAPI_PREVIEW_TOKEN, version: STRAPI_VERSION });
+  }
+};
+
+/**
+ * Replaces the content source, e.g. with a markdown directory on the
+ * server (see markdownDirectory.js) or fixtures in tests
+ * @param {ContentSource} source - The source to use
+ */
+export const setContentSource = (source) => {
+  contentSource = source;
+};
+
+/**
+ * Returns the active content source, creating the configured one on first use
+ * @returns {ContentSource} The source
+ */
+export const getContentSource = () => {
+  if (!contentSource) contentSource = createConfiguredSource();
+  return contentSource;
+};
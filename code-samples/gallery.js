@@ -0,0 +1,121 @@
+import { getMediaUrl } from './media';
+import { usesTextLayout } from './sectionComponents';
+
+// Hash fragment that opens the gallery on a given photo ("#photo-3")
+const PHOTO_HASH = /^#photo-(\d+)$/;
+
+// Photos of the typed sections that show some, in the order they are displayed
+const TYPED_SECTION_IMAGES = {
+  'before-after': (section) => [section.before, section.after],
+  'image-grid': (section) => section.images || [],
+  'floor-plan': (section) => [section.image]
+};
+
+/**
+ * Picks the article image shown beside a section that has no image of its
+ * own, cycling through the article images after the hero
+ * @param {Array} images - Article images
+ * @param {number} index - Section index
+ * @returns {Object|null} Media resource
+ */
+export const getFallbackSectionImage = (images, index) => {
+  if (!images || images.length < 2) return null;
+  return images[(index % (images.length - 1)) + 1];
+};
+
+/**
+ * Collects every photo of an article into one ordered gallery: the hero,
+ * section images (including those of before/after, image grid and floor
+ * plan sections) in reading order, then article images that no section
+ * displays. Photos shown in several places appear once. Captions come from
+ * the section (or the media library caption); credits from the article's
+ * `imageCredit` and a section's `imageCredit` fields.
+ * @param {Object} article - The article object
+ * @param {Array} sections - Article sections
+ * @returns {{items: Array<{id: string, resource: Object|null, externalUrl: string|undefined,
+ *   title: string|undefined, caption: string|undefined, credit: string|undefined}>,
+ *   heroIndex: number, sectionPhotos: Array<Array<number>>}} Gallery items, the hero's
+ *   position (-1 if none) and the positions of each section's photos: the image
+ *   beside a text section, or a typed section's images in display order
+ */
+export const buildGallery = (article, sections = []) => {
+  const items = [];
+  const positions = new Map();
+  if (!article) return { items, heroIndex: -1, sectionPhotos: [] };
+
+  const addPhoto = ({ resource = null, externalUrl, title, caption, credit }) => {
+    const url = getMediaUrl(resource, externalUrl);
+    if (!url) return -1;
+    if (positions.has(url)) return positions.get(url);
+
+    const attributes = externalUrl ? null : resource;
+    items.push({
+      id: `photo-${items.length + 1}`,
+      resource,
+      externalUrl,
+      title,
+      caption: caption || attributes?.caption || undefined,
+      credit
+    });
+    positions.set(url, items.length - 1);
+    return items.length - 1;
+  };
+
+  const images = article.images || [];
+  const heroIndex = addPhoto({
+    resource: images[0],
+    externalUrl: article.imageUrl,
+    title: article.title,
+    credit: article.imageCredit
+  });
+
+  const sectionPhotos = sections.map((section, index) => {
+    // Typed sections (comparisons, floor plans...) lay out their own images
+    if (!usesTextLayout(section)) {
+      const getImages = TYPED_SECTION_IMAGES[section.type];
+      return getImages ? getImages(section).filter(image => image?.url).map(image => addPhoto({
+        resource: image,
+        title: section.title || article.title,
+        caption: section.caption
+      })) : [];
+    }
+
+    // A section's own image wins over the cycled article image
+    const ownImage = section.image || section.imageUrl;
+    const position = addPhoto({
+      resource: ownImage ? section.image : getFallbackSectionImage(images, index),
+      externalUrl: ownImage ? section.imageUrl : undefined,
+      title: section.title,
+      caption: section.imageCaption,
+      credit: ownImage ? section.imageCredit : undefined
+    });
+    return position >= 0 ? [position] : [];
+  });
+
+  images.forEach(image => addPhoto({ resource: image, title: article.title }));
+
+  return { items, heroIndex, sectionPhotos };
+};
+
+/**
+ * Finds a photo's gallery position by its URL
+ * @param {Array} items - Gallery items from buildGallery
+ * @param {string} src - Photo URL
+ * @returns {number} Zero-based position, or -1 if the article has no such photo
+ */
+export const findPhotoIndex = (items, src) =>
+  items.findIndex(item => getMediaUrl(item.resource, item.externalUrl) === src);
+
+/**
+ * Reads the gallery position from a URL hash
+ * @param {string} hash - Location hash, including "#"
+ * @param {number} count - Number of gallery items
+ * @returns {number} Zero-based position, or -1 if the hash isn't a photo
+ */
+export const getPhotoIndexFromHash = (hash, count) => {
+  const match = (hash || '').match(PHOTO_HASH);
+  if (!match) return -1;
+
+  const index = Number(match[1]) - 1;
+  return index >= 0 && index < count ? index : -1;
+};
@@ -0,0 +1,37 @@
+import React from 'react';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
+import { HelmetProvider } from 'react-helmet-async';
+import ArticleRoutes from './articleRoutes';
+import { hydrateArticleCache, ARTICLE_STATE_GLOBAL } from './articleService';
+import { registerOfflineArticles } from './offlineArticles';
+
+/**
+ * Client entry for article pages. Pages rendered on the server (or
+ * pre-rendered at build time) are hydrated using the embedded article data,
+ * so the client does not refetch; otherwise the app renders from scratch.
+ * Also starts the service worker that keeps articles readable offline.
+ * @param {HTMLElement} container - Root element
+ */
+const hydrateArticle = (container) => {
+  const app = (
+    <HelmetProvider>
+      <BrowserRouter>
+        <ArticleRoutes />
+      </BrowserRouter>
+    </HelmetProvider>
+  );
+
+  const initialState = window[ARTICLE_STATE_GLOBAL];
+  if (initialState && container.hasChildNodes()) {
+    hydrateArticleCache(initialState);
+    delete window[ARTICLE_STATE_GLOBAL];
+    hydrateRoot(container, app);
+  } else {
+    createRoot(container).render(app);
+  }
+
+  registerOfflineArticles();
+};
+
+export default hydrateArticle;
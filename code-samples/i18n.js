@@ -0,0 +1,65 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import messages from './messages';
+import { LOCALES, DEFAULT_LOCALE } from './config';
+
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * Returns a supported locale, falling back to the default
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Supported locale
+ */
+export const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Looks up a message and fills in its placeholders
+ * @param {string} locale - Locale to translate into
+ * @param {string} key - Message key
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Translated message, or the key if no catalog has it
+ */
+export const translate = (locale, key, values = {}) => {
+  const message = messages[locale]?.[key] ?? messages[FALLBACK_LOCALE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+};
+
+/**
+ * Builds the translation and formatting helpers for a locale
+ * @param {string} locale - Active locale
+ * @returns {{locale: string, t: Function, formatDate: Function, formatNumber: Function}}
+ */
+const createI18n = (locale) => {
+  const dateFormat = new Intl.DateTimeFormat(locale, { month: 'long', day: 'numeric', year: 'numeric' });
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return {
+    locale,
+    t: (key, values) => translate(locale, key, values),
+    formatDate: (date) => dateFormat.format(new Date(date)),
+    formatNumber: (number) => numberFormat.format(number)
+  };
+};
+
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+/**
+ * I18nProvider Component
+ *
+ * Makes the active locale's messages and formatters available to the tree.
+ *
+ * @param {Object} props
+ * @param {string} props.locale - Active locale
+ * @param {React.ReactNode} props.children - Localized content
+ * @returns {JSX.Element} The provider
+ */
+export const I18nProvider = ({ locale, children }) => {
+  const value = useMemo(() => createI18n(resolveLocale(locale)), [locale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * useI18n Hook
+ * @returns {{locale: string, t: Function, formatDate: Function, formatNumber: Function}}
+ *   Active locale with its translation and formatting helpers
+ */
+export const useI18n = () => useContext(I18nContext);
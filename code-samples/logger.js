@@ -0,0 +1,55 @@
+/**
+ * Error reporting. Errors are logged to the console unless another logger
+ * is installed, e.g. one forwarding to an error tracking service:
+ *
+ *   setLogger({ error: (entry) => Sentry.captureException(entry.error, { extra: entry.context }) });
+ *
+ * A logger receives structured entries:
+ *   { level, message, error, context, timestamp }
+ */
+
+const consoleLogger = {
+  error: ({ message, error, context }) => console.error(`${message}:`, error, ...(context ? [context] : [])),
+  warn: ({ message, error, context }) => console.warn(`${message}:`, error, ...(context ? [context] : []))
+};
+
+let logger = consoleLogger;
+
+/**
+ * Replaces the logger. Missing methods fall back to the console.
+ * @param {{error?: Function, warn?: Function}|null} nextLogger - Logger, or null to restore the console
+ */
+export const setLogger = (nextLogger) => {
+  logger = { ...consoleLogger, ...nextLogger };
+};
+
+/**
+ * Sends an entry to the logger without letting a broken logger throw
+ * @param {('error'|'warn')} level - Severity
+ * @param {string} message - What failed, e.g. "Error loading article"
+ * @param {*} error - The error
+ * @param {Object} [context] - Extra details, e.g. the article slug
+ */
+const log = (level, message, error, context) => {
+  try {
+    logger[level]({ level, message, error, context, timestamp: new Date().toISOString() });
+  } catch (e) {
+    console.error("Logger failed:", e);
+  }
+};
+
+/**
+ * Reports an error
+ * @param {string} message - What failed, e.g. "Error loading article"
+ * @param {*} error - The error
+ * @param {Object} [context] - Extra details, e.g. the article slug
+ */
+export const reportError = (message, error, context) => log('error', message, error, context);
+
+/**
+ * Reports a problem that was recovered from
+ * @param {string} message - What went wrong
+ * @param {*} error - The error
+ * @param {Object} [context] - Extra details
+ */
+export const reportWarning = (message, error, context) => log('warn', message, error, context);
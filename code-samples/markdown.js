@@ -0,0 +1,174 @@
+// Frontmatter block at the very start of a file
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+// MDX lines the converter skips: ESM statements and JSX component tags
+const MDX_LINE_PATTERN = /^\s*(import\s|export\s|<[A-Z][\w.]*[\s/>]|<\/[A-Z])/;
+
+// Inline markup, in order of precedence: code, images, links, bold, italic.
+// As in CommonMark, underscores only mark emphasis at word boundaries, so
+// snake_case names, paint codes and URLs are left alone.
+const INLINE_PATTERN = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|\*\*(.+?)\*\*|(?<![\p{L}\p{N}_])__(.+?)__(?![\p{L}\p{N}_])|\*(.+?)\*|(?<![\p{L}\p{N}_])_(.+?)_(?![\p{L}\p{N}_])/u;
+
+/**
+ * Parses a YAML scalar: quoted strings, numbers, booleans, null and inline lists
+ * @param {string} raw - Raw value
+ * @returns {*} Parsed value
+ */
+const parseScalar = (raw) => {
+  const value = raw.trim();
+  if (value === '') return null;
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).map(parseScalar);
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Parses the YAML subset used in article frontmatter: top-level keys with
+ * scalars, lists of scalars or maps, and one level of nested keys
+ * @param {string} yaml - Frontmatter without its delimiters
+ * @returns {Object} Parsed data
+ */
+const parseYaml = (yaml) => {
+  const data = {};
+  let key = null;
+  let item = null;
+
+  yaml.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const indented = /^\s/.test(line);
+    const listItem = line.match(/^\s*-\s*(.*)$/);
+    const pair = line.trim().match(/^([\w-]+):\s*(.*)$/);
+
+    if (!indented && pair) {
+      [, key] = pair;
+      data[key] = parseScalar(pair[2]);
+      item = null;
+    } else if (key && listItem) {
+      if (!Array.isArray(data[key])) data[key] = [];
+      const itemPair = listItem[1].match(/^([\w-]+):\s*(.*)$/);
+      item = itemPair ? { [itemPair[1]]: parseScalar(itemPair[2]) } : null;
+      data[key].push(item || parseScalar(listItem[1]));
+    } else if (key && pair) {
+      // Either a further key of the current list item, or a nested map
+      const target = item || (data[key] && typeof data[key] === 'object' && !Array.isArray(data[key]) ? data[key] : (data[key] = {}));
+      target[pair[1]] = parseScalar(pair[2]);
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Splits a Markdown file into its frontmatter data and body
+ * @param {string} source - File contents
+ * @returns {{data: Object, body: string}} Frontmatter and Markdown body
+ */
+export const parseFrontmatter = (source) => {
+  const match = source.match(FRONTMATTER_PATTERN);
+  if (!match) return { data: {}, body: source };
+  return { data: parseYaml(match[1]), body: source.slice(match[0].length) };
+};
+
+/**
+ * Converts inline Markdown to text, link and image nodes
+ * @param {string} text - Inline Markdown
+ * @param {Object} [marks] - Modifiers applied to every text node
+ * @returns {Array<Object>} Inline nodes
+ */
+const parseInline = (text, marks = {}) => {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest, ...marks });
+      break;
+    }
+
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index), ...marks });
+    const [whole, code, alt, src, caption, label, href, starBold, underscoreBold, starItalic, underscoreItalic] = match;
+    const bold = starBold ?? underscoreBold;
+    const italic = starItalic ?? underscoreItalic;
+
+    if (code !== undefined) nodes.push({ type: 'text', text: code, ...marks, code: true });
+    else if (src !== undefined) nodes.push({ type: 'image', image: { url: src, alternativeText: alt, caption } });
+    else if (href !== undefined) nodes.push({ type: 'link', url: href, children: parseInline(label, marks) });
+    else if (bold !== undefined) nodes.push(...parseInline(bold, { ...marks, bold: true }));
+    else nodes.push(...parseInline(italic, { ...marks, italic: true }));
+
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return nodes;
+};
+
+/**
+ * Converts Markdown (or MDX, whose imports, exports and components are
+ * skipped) to the Blocks format rendered by RichText. Supports headings,
+ * paragraphs, lists, quotes, fenced code, images and inline markup.
+ * @param {string} markdown - Markdown body
+ * @returns {Array<Object>} Blocks
+ */
+export const markdownToBlocks = (markdown) => {
+  const blocks = [];
+  const lines = markdown.split(/\r?\n/);
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    const children = parseInline(paragraph.join(' '));
+    paragraph = [];
+
+    // An image on its own line is a block image, not part of a paragraph
+    if (children.length === 1 && children[0].type === 'image') blocks.push(children[0]);
+    else blocks.push({ type: 'paragraph', children });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*```\s*([\w-]*)/);
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', language: fence[1] || undefined, children: [{ type: 'text', text: code.join('\n') }] });
+    } else if (!line.trim() || MDX_LINE_PATTERN.test(line)) {
+      flushParagraph();
+    } else if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+    } else if (line.startsWith('>')) {
+      flushParagraph();
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      i--;
+      blocks.push({ type: 'quote', children: parseInline(quote.join(' ')) });
+    } else if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      for (; i < lines.length; i++) {
+        const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push({ type: 'list-item', children: parseInline(item[2]) });
+      }
+      i--;
+      blocks.push({ type: 'list', format: ordered ? 'ordered' : 'unordered', children: items });
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+};
@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createMarkdownSource, parseMarkdownArticle } from './markdownSource';
+import { setContentSource } from './contentSources';
+import { CONTENT_SOURCE, MARKDOWN_CONTENT_DIR } from './config';
+
+/**
+ * Reads every Markdown and MDX file under a directory, for the markdown
+ * content source on the server or at build time (Node only)
+ * @param {string} dir - Content directory, e.g. "content/articles"
+ * @returns {Promise<Object<string, string>>} File contents keyed by path relative to the directory
+ */
+const loadMarkdownDirectory = async (dir) => {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  const files = {};
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !/\.mdx?$/.test(entry.name)) continue;
+
+    const filePath = path.join(entry.parentPath || entry.path, entry.name);
+    const key = path.relative(dir, filePath).split(path.sep).join('/');
+    files[key] = await fs.readFile(filePath, 'utf8');
+  }
+
+  return files;
+};
+
+/**
+ * Makes the server read Markdown articles from disk when the markdown
+ * source is configured; the browser's source fetches MARKDOWN_CONTENT_URL,
+ * which is a relative URL Node can't fetch
+ * @param {string} [dir] - Content directory
+ */
+export const setupMarkdownDirectorySource = (dir = MARKDOWN_CONTENT_DIR) => {
+  if (CONTENT_SOURCE !== 'markdown') return;
+  setContentSource(createMarkdownSource({ loadFiles: () => loadMarkdownDirectory(dir) }));
+};
+
+/**
+ * Writes the published Markdown files as the JSON map the browser's
+ * markdown source fetches (see MARKDOWN_CONTENT_URL). The file is public,
+ * so drafts (and files without a publish date, which the source treats as
+ * drafts) are left out; they are only previewed through the server.
+ * @param {string} outputFile - Path of the JSON file
+ * @param {string} [dir] - Content directory
+ * @returns {Promise<number>} Number of files written
+ */
+export const writeMarkdownBundle = async (outputFile, dir = MARKDOWN_CONTENT_DIR) => {
+  const files = Object.fromEntries(
+    Object.entries(await loadMarkdownDirectory(dir))
+      .filter(([filePath, source]) => parseMarkdownArticle(filePath, source).publishedAt)
+  );
+  await fs.mkdir(path.dirname(outputFile), { recursive: true });
+  await fs.writeFile(outputFile, JSON.stringify(files));
+  return Object.keys(files).length;
+};
+
+export default loadMarkdownDirectory;
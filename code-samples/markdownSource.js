@@ -0,0 +1,125 @@
+import { createMemorySource } from './memorySource';
+import { parseFrontmatter, markdownToBlocks } from './markdown';
+import { slugify } from './articleOutline';
+import { LOCALES, DEFAULT_LOCALE } from './config';
+
+/**
+ * Converts a frontmatter date to an ISO string
+ * @param {string|null} value - Date such as "2024-03-01"
+ * @returns {string|null} ISO date, or null when missing or invalid
+ */
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+/**
+ * Converts frontmatter media (a URL or a map of media fields) to the model
+ * @param {string|Object|null} value - Frontmatter value
+ * @returns {import('./articleModel').Media|null} Media
+ */
+const toMedia = (value) => {
+  if (!value) return null;
+  return typeof value === 'string' ? { url: value } : value;
+};
+
+/**
+ * Converts a frontmatter name (e.g. a category) to a relation the pages can link to
+ * @param {string|Object|null} value - Name, or a map with its own id
+ * @param {string} field - Field holding the name in the model
+ * @returns {Object|null} Relation with an id
+ */
+const toRelation = (value, field) => {
+  if (!value) return null;
+  if (typeof value === 'object') return { id: value.id || slugify(value[field]), ...value };
+  return { id: slugify(value), slug: slugify(value), [field]: value };
+};
+
+/**
+ * Splits a Markdown body into the introduction and one section per
+ * second-level heading. The first image of a section becomes its photo.
+ * @param {string} body - Markdown body
+ * @returns {{content: Array<Object>, sections: Array<Object>}} Introduction blocks and sections
+ */
+const splitSections = (body) => {
+  const content = [];
+  const sections = [];
+
+  markdownToBlocks(body).forEach(block => {
+    if (block.type === 'heading' && block.level === 2) {
+      sections.push({ type: 'text', title: block.children.map(child => child.text || '').join(''), text: [] });
+    } else if (sections.length === 0) {
+      content.push(block);
+    } else {
+      const section = sections[sections.length - 1];
+      if (block.type === 'image' && !section.image) section.image = block.image;
+      else section.text.push(block);
+    }
+  });
+
+  return { content, sections };
+};
+
+/**
+ * Converts a Markdown file to an article. The slug defaults to the file
+ * name and the locale to the first directory when it is a site locale
+ * (e.g. "fr/linen-bedding.md").
+ * @param {string} filePath - File path relative to the content directory
+ * @param {string} source - File contents
+ * @returns {import('./articleModel').Article} Article
+ */
+export const parseMarkdownArticle = (filePath, source) => {
+  const { data, body } = parseFrontmatter(source);
+  const segments = filePath.split('/');
+  const slug = data.slug || segments[segments.length - 1].replace(/\.mdx?$/, '');
+  const locale = data.locale || (LOCALES.includes(segments[0]) ? segments[0] : DEFAULT_LOCALE);
+  const { content, sections } = splitSections(body);
+
+  return {
+    id: `${locale}:${slug}`,
+    slug,
+    locale,
+    title: data.title || slug,
+    publishedAt: data.draft ? null : toIsoDate(data.publishedAt || data.date),
+    updatedAt: toIsoDate(data.updatedAt) || undefined,
+    content,
+    sections,
+    conclusion: data.conclusion ? markdownToBlocks(String(data.conclusion)) : undefined,
+    images: [].concat(data.images || data.image || []).map(toMedia).filter(Boolean),
+    imageCredit: data.imageCredit,
+    products: [].concat(data.products || []).map(product => ({ ...product, image: toMedia(product.image) })),
+    palette: [].concat(data.palette || []),
+    showPalettes: data.showPalettes,
+    videoUrl: data.videoUrl,
+    category: toRelation(data.category, 'category'),
+    tags: [].concat(data.tags || []).map(tag => toRelation(tag, 'name')),
+    series: toRelation(data.series, 'title'),
+    seriesPart: data.seriesPart,
+    seo: data.seo ? { ...data.seo, metaImage: toMedia(data.seo.metaImage) } : null,
+    translationKey: data.translationKey
+  };
+};
+
+/**
+ * Creates a content source reading Markdown or MDX files with YAML
+ * frontmatter. Translations of an article share a `translationKey`.
+ * @param {Object} options
+ * @param {Object<string, string>} [options.files] - File contents keyed by path, e.g. "fr/linen-bedding.md"
+ * @param {function(): Promise<Object<string, string>>} [options.loadFiles] - Loads the files on first use instead
+ * @returns {import('./contentSources').ContentSource} The source
+ */
+export const createMarkdownSource = ({ files, loadFiles }) => createMemorySource(async () => {
+  const sources = files || await loadFiles();
+  const articles = Object.entries(sources)
+    .filter(([filePath]) => /\.mdx?$/.test(filePath))
+    .map(([filePath, source]) => parseMarkdownArticle(filePath, source));
+
+  return articles.map(article => ({
+    ...article,
+    localizations: article.translationKey
+      ? articles
+        .filter(other => other.translationKey === article.translationKey && other.locale !== article.locale)
+        .map(other => ({ slug: other.slug, locale: other.locale }))
+      : []
+  }));
+}, { name: 'markdown' });
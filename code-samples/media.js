@@ -0,0 +1,111 @@
+import { SITE_URL } from './config';
+import { reportWarning } from './logger';
+
+/**
+ * Processes media URLs to ensure proper formatting
+ * @param {Object} resource - Media resource object
+ * @param {string} externalUrl - Optional external URL
+ * @returns {string|null} Formatted URL
+ */
+export const getMediaUrl = (resource, externalUrl) => {
+  // Handle external URL if provided
+  if (externalUrl) {
+    // Security check for valid URLs
+    try {
+      const url = new URL(externalUrl);
+      return url.toString();
+    } catch (e) {
+      reportWarning("Invalid URL", e, { url: externalUrl });
+      return null;
+    }
+  }
+  
+  // Handle media object from the content source
+  if (!resource?.url) return null;
+
+  // Content sources return absolute URLs, or root-relative ones for files
+  // served by the site itself (Markdown and fixture images)
+  try {
+    return SITE_URL ? new URL(resource.url, SITE_URL).toString() : resource.url;
+  } catch (e) {
+    reportWarning("Invalid media URL", e, { url: resource.url });
+    return null;
+  }
+};
+
+// Strapi's generated image formats, smallest first
+const STRAPI_FORMATS = ['thumbnail', 'small', 'medium', 'large'];
+
+// Candidate widths generated for Cloudinary-hosted images
+const CLOUDINARY_WIDTHS = [480, 768, 1024, 1440, 1920];
+
+/**
+ * Checks if a URL points at a Cloudinary upload that accepts transformations
+ * @param {string} url - URL to check
+ * @returns {boolean} True if Cloudinary upload URL
+ */
+export const isCloudinaryUrl = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return hostname === 'res.cloudinary.com' && pathname.includes('/upload/');
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Inserts a Cloudinary transformation into an upload URL
+ * @param {string} url - Cloudinary upload URL
+ * @param {string} transformation - Transformation string, e.g. "w_800,c_limit"
+ * @returns {string} Transformed URL
+ */
+export const cloudinaryTransform = (url, transformation) =>
+  url.replace('/upload/', `/upload/${transformation}/`);
+
+/**
+ * Builds everything needed to render a responsive image: the fallback src,
+ * a srcset from Strapi formats or Cloudinary transformations, intrinsic
+ * dimensions, alt text and a tiny placeholder for blur-up loading
+ * @param {Object} resource - Media resource object
+ * @param {string} [externalUrl] - Optional external URL
+ * @returns {{src: string, srcSet: string|undefined, width: number|undefined,
+ *   height: number|undefined, alt: string|undefined, placeholder: string|undefined}|null}
+ */
+export const getImageSources = (resource, externalUrl) => {
+  const src = getMediaUrl(resource, externalUrl);
+  if (!src) return null;
+
+  const attributes = externalUrl ? {} : (resource || {});
+  const { width, height, alternativeText, formats } = attributes;
+  const image = { src, width, height, alt: alternativeText || undefined };
+
+  if (isCloudinaryUrl(src)) {
+    const widths = CLOUDINARY_WIDTHS.filter(candidate => !width || candidate < width);
+    const candidates = widths.map(candidate =>
+      `${cloudinaryTransform(src, `w_${candidate},c_limit,q_auto,f_auto`)} ${candidate}w`
+    );
+    if (width) candidates.push(`${cloudinaryTransform(src, 'q_auto,f_auto')} ${width}w`);
+
+    return {
+      ...image,
+      srcSet: candidates.join(', '),
+      placeholder: cloudinaryTransform(src, 'w_40,e_blur:1000,q_auto,f_auto')
+    };
+  }
+
+  if (formats) {
+    const candidates = STRAPI_FORMATS
+      .map(name => formats[name])
+      .filter(format => format?.url && format.width)
+      .map(format => `${getMediaUrl(format)} ${format.width}w`);
+    if (width) candidates.push(`${src} ${width}w`);
+
+    return {
+      ...image,
+      srcSet: candidates.length > 1 ? candidates.join(', ') : undefined,
+      placeholder: formats.thumbnail?.url ? getMediaUrl(formats.thumbnail) : undefined
+    };
+  }
+
+  return image;
+};
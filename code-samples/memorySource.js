@@ -0,0 +1,83 @@
+import { createArticle, rankRelatedArticles } from './articleModel';
+
+/**
+ * Sorts articles by publication date, oldest first
+ * @param {Array<Object>} articles - Articles
+ * @returns {Array<Object>} Sorted copy
+ */
+const byPublishedAt = (articles) => [...articles].sort((a, b) => (
+  new Date(a.publishedAt).getTime() - new Date(b.publishedAt).getTime()
+));
+
+/**
+ * Creates a content source serving articles held in memory: fixtures for
+ * local development and tests, or articles loaded from files. Articles
+ * without a publishedAt date are drafts, only returned in preview.
+ * @param {Array<Object>|function(): Promise<Array<Object>>} articles - Articles
+ *   in the article model shape, or a function loading them on first use (and
+ *   again after a failed load)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Source name, for debugging
+ * @returns {import('./contentSources').ContentSource} The source
+ */
+export const createMemorySource = (articles, { name = 'memory' } = {}) => {
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = Promise.resolve(typeof articles === 'function' ? articles() : articles)
+        .then(loaded => loaded.map(createArticle))
+        .catch(error => {
+          // Let the next call try again, e.g. when the reader retries or reconnects
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Lists the published articles of a locale
+   * @param {string} locale - Locale to list
+   * @returns {Promise<Array<Object>>} Published articles, newest first
+   */
+  const listPublished = async (locale) => byPublishedAt(
+    (await load()).filter(article => article.locale === locale && article.publishedAt)
+  ).reverse();
+
+  return {
+    name,
+
+    fetchArticle: async (slug, { locale, preview }) => {
+      const article = (await load()).find(candidate => candidate.slug === slug && candidate.locale === locale);
+      if (!article || (!article.publishedAt && !preview)) return null;
+      return article;
+    },
+
+    fetchRelatedArticles: async (article, { locale, limit }) => {
+      const candidates = (await listPublished(locale)).filter(candidate => candidate.slug !== article.slug);
+      return rankRelatedArticles(article, candidates).slice(0, limit);
+    },
+
+    fetchRecentArticles: async ({ locale, limit, excludeSlug }) => (
+      (await listPublished(locale)).filter(candidate => candidate.slug !== excludeSlug).slice(0, limit)
+    ),
+
+    fetchAdjacentArticles: async (article, { locale }) => {
+      const published = new Date(article.publishedAt).getTime();
+      const sameCategory = byPublishedAt((await listPublished(locale))
+        .filter(candidate => candidate.category?.id === article.category.id && candidate.slug !== article.slug));
+
+      return {
+        previous: sameCategory.filter(candidate => new Date(candidate.publishedAt).getTime() < published).pop() || null,
+        next: sameCategory.find(candidate => new Date(candidate.publishedAt).getTime() > published) || null
+      };
+    },
+
+    fetchSeriesArticles: async (series, { locale }) => byPublishedAt(
+      (await listPublished(locale)).filter(candidate => candidate.series?.id === series.id)
+    ).sort((a, b) => (a.seriesPart ?? Infinity) - (b.seriesPart ?? Infinity)),
+
+    fetchArticleSlugs: async (locale) => (await listPublished(locale)).map(article => article.slug)
+  };
+};
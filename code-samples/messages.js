@@ -0,0 +1,434 @@
+/**
+ * UI message catalog, keyed by locale. Placeholders in braces ("{title}")
+ * are filled in by `t`. Keys missing from a locale fall back to English.
+ */
+const messages = {
+  en: {
+    pageTitle: '{title} | {siteName}',
+    featured: 'Featured',
+    recentlyPublished: 'Recently published',
+    readingTime: '{minutes} min read ({words} words)',
+    readingTimeCharacters: '{minutes} min read ({characters} characters)',
+    readingProgress: 'Reading progress',
+    inThisArticle: 'In This Article',
+    tableOfContents: 'Table of contents',
+    expandTableOfContents: 'Expand table of contents',
+    collapseTableOfContents: 'Collapse table of contents',
+    articleOverview: 'Article Overview',
+    videoTitle: '{title} video',
+    sectionFallbackTitle: 'Section {number}',
+    inConclusion: 'In Conclusion',
+    shareThisArticle: 'Share this article:',
+    shareOnFacebook: 'Share on Facebook',
+    shareOnTwitter: 'Share on Twitter',
+    shareViaEmail: 'Share via Email',
+    shareEmailBody: 'Check out this article: {url}',
+    backToTop: 'Back to top',
+    languageSwitcher: 'Read this article in',
+    errorTitle: 'Oops!',
+    errorLoadFailed: 'We couldn\'t load this article. Please try again in a moment.',
+    goBack: 'Go Back',
+    notFoundTitle: 'Article Not Found',
+    notFoundMessage: 'The article you are looking for doesn\'t exist or has been removed.',
+    browseOtherArticles: 'Browse Other Articles',
+    previewNotPublished: 'Preview – not published',
+    exitPreview: 'Exit preview',
+    playVideo: 'Play video: {title}',
+    videoHostedOn: 'Hosted on {provider} · loads when you press play',
+    videoUnsupported: 'Your browser does not support the video tag.',
+    videoCaptions: 'Captions',
+    showTranscript: 'Show transcript',
+    hideTranscript: 'Hide transcript',
+    searchTranscript: 'Search transcript',
+    transcriptLanguage: 'Transcript language',
+    transcriptLoadFailed: 'The transcript could not be loaded.',
+    transcriptNoMatches: 'No lines match "{query}".',
+    photoGallery: 'Photo gallery',
+    photoCounter: 'Photo {current} of {total}',
+    photoNumber: 'Photo {number}',
+    photoCredit: 'Photo: {credit}',
+    viewPhoto: 'Enlarge photo: {title}',
+    viewAllPhotos: 'View all {count} photos',
+    previousPhoto: 'Previous photo',
+    nextPhoto: 'Next photo',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    closeGallery: 'Close gallery',
+    seriesNavigation: 'Article series',
+    seriesPartOf: 'Part {part} of {total}',
+    previousPart: 'Previous part',
+    nextPart: 'Next part',
+    showAllParts: 'All parts',
+    hideAllParts: 'Hide parts',
+    moreInCategory: 'More in this category',
+    previousArticle: 'Previous article',
+    nextArticle: 'Next article',
+    relatedArticles: 'You might also like',
+    comments: 'Comments',
+    commentsWithCount: 'Comments ({count})',
+    commentName: 'Name',
+    commentBody: 'Comment',
+    postComment: 'Post comment',
+    postReply: 'Post reply',
+    saveComment: 'Save',
+    cancel: 'Cancel',
+    retry: 'Try again',
+    replyToComment: 'Reply',
+    editComment: 'Edit',
+    deleteComment: 'Delete',
+    confirmDeleteComment: 'Delete this comment?',
+    commentBy: 'Comment by {author}',
+    commentEdited: '(edited)',
+    commentSending: 'Posting…',
+    commentAwaitingModeration: 'Awaiting moderation',
+    commentDeleted: 'This comment was deleted.',
+    commentHidden: 'This comment was hidden by a moderator.',
+    showReplies: 'Show replies ({count})',
+    loadMoreComments: 'Load more comments',
+    loadingComments: 'Loading comments…',
+    noCommentsYet: 'No comments yet. Start the conversation!',
+    commentsLoadFailed: 'Comments could not be loaded.',
+    commentAuthorRequired: 'Please enter your name.',
+    commentAuthorTooLong: 'Your name can be at most {max} characters.',
+    commentBodyRequired: 'Please write a comment.',
+    commentBodyTooLong: 'Comments can be at most {max} characters.',
+    commentRateLimited: 'You\'re commenting quickly. Please wait {seconds} seconds.',
+    commentSaveFailed: 'Your comment could not be posted. Please try again.',
+    commentEditFailed: 'Your changes could not be saved.',
+    commentDeleteFailed: 'This comment could not be deleted.',
+    saveToReadingList: 'Save for later',
+    savedToReadingList: 'Saved',
+    readingList: 'Reading list',
+    readingListEmpty: 'Articles you save for later will appear here.',
+    viewReadingList: 'Your reading list',
+    savedOn: 'Saved {date}',
+    percentRead: '{percent}% read',
+    removeFromReadingList: 'Remove {title} from your reading list',
+    welcomeBack: 'Welcome back!',
+    continueReading: 'Continue reading ({percent}% read)',
+    continueReadingSection: 'Continue reading from section {number}: {title}',
+    dismiss: 'Dismiss',
+    saveImage: 'Save',
+    savedImage: 'Saved',
+    saveImageToBoard: 'Save photo to a mood board: {title}',
+    saveToBoard: 'Save to board',
+    newBoardName: 'New board name',
+    createBoard: 'Create',
+    moodBoards: 'Mood boards',
+    viewMoodBoards: 'Your mood boards',
+    moodBoardsEmpty: 'Save photos from any article to start a mood board.',
+    boardEmpty: 'This board is empty.',
+    boardName: 'Board name',
+    saveBoardName: 'Save',
+    renameBoard: 'Rename',
+    deleteBoard: 'Delete board',
+    confirmDeleteBoard: 'Delete the board "{name}" and everything saved on it?',
+    moveImageEarlier: 'Move earlier',
+    moveImageLater: 'Move later',
+    removeImageFromBoard: 'Remove from board',
+    offlineTitle: 'You\'re offline',
+    offlineMessage: 'This article isn\'t available offline yet. Articles you\'ve read recently or saved to your reading list can still be opened, and this page will load once you\'re back online.',
+    availableOffline: 'Available offline',
+    readingOfflineCopy: 'You\'re offline: this is the copy saved on your device',
+    unavailableTitle: 'Temporarily unavailable',
+    unavailableMessage: 'This article can\'t be shown right now. We\'ve been notified and are looking into it.',
+    previewUnauthorizedMessage: 'This preview link has expired or isn\'t valid. Open a new preview from the CMS.',
+    rateLimitedTitle: 'Too many requests',
+    rateLimitedMessage: 'We\'re getting a lot of visits right now. Please try again in a moment.',
+    rateLimitedRetryAfter: 'We\'re getting a lot of visits right now. Please try again in {seconds} seconds.',
+    errorRenderFailed: 'Something went wrong while displaying this page.',
+    shareOnPinterest: 'Pin on Pinterest',
+    shareNative: 'Share…',
+    copyLink: 'Copy link',
+    linkCopied: 'Link copied',
+    pinIt: 'Pin it',
+    pinImage: 'Pin this photo on Pinterest: {title}',
+    shareQuote: 'Share this quote',
+    tweetQuote: 'Tweet this quote',
+    copyQuote: 'Copy quote with link',
+    shareQuoteCard: 'Quote card',
+    sectionBefore: 'Before',
+    sectionAfter: 'After',
+    compareBeforeAfter: 'Drag to compare before and after',
+    calloutTip: 'Tip',
+    calloutNote: 'Good to know',
+    calloutWarning: 'Watch out',
+    materialsList: 'Materials and colours',
+    materialsColorCode: 'Colour {code}',
+    materialsBuy: 'Where to buy',
+    floorPlan: 'Floor plan',
+    floorPlanHotspot: 'Show details: {label}',
+    productHotspot: 'Show product: {name}',
+    productShop: 'Shop now',
+    productShopAt: 'Shop at {retailer}',
+    productsInArticle: 'Products in this article',
+    affiliateDisclosure: 'This article contains affiliate links. If you buy through them, we may earn a commission at no extra cost to you.',
+    paletteTitle: 'Colours',
+    paletteCopied: 'Copied {value}',
+    paletteFindArticles: 'Related articles in {color}',
+    filterByColor: 'Filter related articles by colour',
+    allColors: 'All colours',
+    noRelatedInColor: 'No related articles in {color} yet.',
+    colorWhite: 'White',
+    colorBeige: 'Beige',
+    colorGrey: 'Grey',
+    colorBlack: 'Black',
+    colorBrown: 'Brown',
+    colorRed: 'Red',
+    colorOrange: 'Orange',
+    colorYellow: 'Yellow',
+    colorGreen: 'Green',
+    colorBlue: 'Blue',
+    colorPurple: 'Purple',
+    colorPink: 'Pink',
+    colorWhiteInText: 'white',
+    colorBeigeInText: 'beige',
+    colorGreyInText: 'grey',
+    colorBlackInText: 'black',
+    colorBrownInText: 'brown',
+    colorRedInText: 'red',
+    colorOrangeInText: 'orange',
+    colorYellowInText: 'yellow',
+    colorGreenInText: 'green',
+    colorBlueInText: 'blue',
+    colorPurpleInText: 'purple',
+    colorPinkInText: 'pink',
+    readerSettings: 'Reading settings',
+    textSize: 'Text size',
+    textSizeSmall: 'Small',
+    textSizeMedium: 'Medium',
+    textSizeLarge: 'Large',
+    textSizeExtraLarge: 'Extra large',
+    lineSpacing: 'Line spacing',
+    lineSpacingCompact: 'Compact',
+    lineSpacingNormal: 'Normal',
+    lineSpacingRelaxed: 'Relaxed',
+    readerFont: 'Font',
+    fontDefault: 'Standard',
+    fontReadable: 'Dyslexia-friendly',
+    readerTheme: 'Theme',
+    themeAuto: 'Auto',
+    themeLight: 'Light',
+    themeDark: 'Dark',
+    themeSepia: 'Sepia',
+    reduceMotion: 'Reduce motion',
+    resetReaderSettings: 'Reset to defaults',
+    focusMode: 'Focus mode',
+    exitFocusMode: 'Exit focus mode'
+  },
+  fr: {
+    pageTitle: '{title} | {siteName}',
+    featured: 'À la une',
+    recentlyPublished: 'Publié récemment',
+    readingTime: '{minutes} min de lecture ({words} mots)',
+    readingTimeCharacters: '{minutes} min de lecture ({characters} caractères)',
+    readingProgress: 'Progression de lecture',
+    inThisArticle: 'Dans cet article',
+    tableOfContents: 'Table des matières',
+    expandTableOfContents: 'Déplier la table des matières',
+    collapseTableOfContents: 'Replier la table des matières',
+    articleOverview: 'Aperçu de l\'article',
+    videoTitle: 'Vidéo : {title}',
+    sectionFallbackTitle: 'Section {number}',
+    inConclusion: 'En conclusion',
+    shareThisArticle: 'Partager cet article :',
+    shareOnFacebook: 'Partager sur Facebook',
+    shareOnTwitter: 'Partager sur Twitter',
+    shareViaEmail: 'Partager par e-mail',
+    shareEmailBody: 'Découvrez cet article : {url}',
+    backToTop: 'Retour en haut',
+    languageSwitcher: 'Lire cet article en',
+    errorTitle: 'Oups !',
+    errorLoadFailed: 'Impossible de charger cet article. Veuillez réessayer dans un instant.',
+    goBack: 'Retour',
+    notFoundTitle: 'Article introuvable',
+    notFoundMessage: 'L\'article que vous recherchez n\'existe pas ou a été supprimé.',
+    browseOtherArticles: 'Parcourir d\'autres articles',
+    previewNotPublished: 'Aperçu – non publié',
+    exitPreview: 'Quitter l\'aperçu',
+    playVideo: 'Lire la vidéo : {title}',
+    videoHostedOn: 'Hébergée sur {provider} · chargée lorsque vous lancez la lecture',
+    videoUnsupported: 'Votre navigateur ne prend pas en charge la lecture vidéo.',
+    videoCaptions: 'Sous-titres',
+    showTranscript: 'Afficher la transcription',
+    hideTranscript: 'Masquer la transcription',
+    searchTranscript: 'Rechercher dans la transcription',
+    transcriptLanguage: 'Langue de la transcription',
+    transcriptLoadFailed: 'La transcription n\'a pas pu être chargée.',
+    transcriptNoMatches: 'Aucune ligne ne correspond à « {query} ».',
+    photoGallery: 'Galerie photos',
+    photoCounter: 'Photo {current} sur {total}',
+    photoNumber: 'Photo {number}',
+    photoCredit: 'Photo : {credit}',
+    viewPhoto: 'Agrandir la photo : {title}',
+    viewAllPhotos: 'Voir les {count} photos',
+    previousPhoto: 'Photo précédente',
+    nextPhoto: 'Photo suivante',
+    zoomIn: 'Zoom avant',
+    zoomOut: 'Zoom arrière',
+    closeGallery: 'Fermer la galerie',
+    seriesNavigation: 'Série d\'articles',
+    seriesPartOf: 'Partie {part} sur {total}',
+    previousPart: 'Partie précédente',
+    nextPart: 'Partie suivante',
+    showAllParts: 'Toutes les parties',
+    hideAllParts: 'Masquer les parties',
+    moreInCategory: 'Plus dans cette catégorie',
+    previousArticle: 'Article précédent',
+    nextArticle: 'Article suivant',
+    relatedArticles: 'Vous aimerez aussi',
+    comments: 'Commentaires',
+    commentsWithCount: 'Commentaires ({count})',
+    commentName: 'Nom',
+    commentBody: 'Commentaire',
+    postComment: 'Publier le commentaire',
+    postReply: 'Publier la réponse',
+    saveComment: 'Enregistrer',
+    cancel: 'Annuler',
+    retry: 'Réessayer',
+    replyToComment: 'Répondre',
+    editComment: 'Modifier',
+    deleteComment: 'Supprimer',
+    confirmDeleteComment: 'Supprimer ce commentaire ?',
+    commentBy: 'Commentaire de {author}',
+    commentEdited: '(modifié)',
+    commentSending: 'Publication…',
+    commentAwaitingModeration: 'En attente de modération',
+    commentDeleted: 'Ce commentaire a été supprimé.',
+    commentHidden: 'Ce commentaire a été masqué par un modérateur.',
+    showReplies: 'Afficher les réponses ({count})',
+    loadMoreComments: 'Plus de commentaires',
+    loadingComments: 'Chargement des commentaires…',
+    noCommentsYet: 'Aucun commentaire pour l\'instant. Lancez la discussion !',
+    commentsLoadFailed: 'Les commentaires n\'ont pas pu être chargés.',
+    commentAuthorRequired: 'Veuillez indiquer votre nom.',
+    commentAuthorTooLong: 'Votre nom ne peut pas dépasser {max} caractères.',
+    commentBodyRequired: 'Veuillez écrire un commentaire.',
+    commentBodyTooLong: 'Un commentaire ne peut pas dépasser {max} caractères.',
+    commentRateLimited: 'Vous commentez rapidement. Patientez {seconds} secondes.',
+    commentSaveFailed: 'Votre commentaire n\'a pas pu être publié. Veuillez réessayer.',
+    commentEditFailed: 'Vos modifications n\'ont pas pu être enregistrées.',
+    commentDeleteFailed: 'Ce commentaire n\'a pas pu être supprimé.',
+    saveToReadingList: 'Lire plus tard',
+    savedToReadingList: 'Enregistré',
+    readingList: 'Liste de lecture',
+    readingListEmpty: 'Les articles que vous enregistrez pour plus tard apparaîtront ici.',
+    viewReadingList: 'Votre liste de lecture',
+    savedOn: 'Enregistré le {date}',
+    percentRead: '{percent} % lu',
+    removeFromReadingList: 'Retirer {title} de votre liste de lecture',
+    welcomeBack: 'Bon retour !',
+    continueReading: 'Reprendre la lecture ({percent} % lu)',
+    continueReadingSection: 'Reprendre à la section {number} : {title}',
+    dismiss: 'Fermer',
+    saveImage: 'Enregistrer',
+    savedImage: 'Enregistrée',
+    saveImageToBoard: 'Enregistrer la photo dans un tableau d\'inspiration : {title}',
+    saveToBoard: 'Enregistrer dans un tableau',
+    newBoardName: 'Nom du nouveau tableau',
+    createBoard: 'Créer',
+    moodBoards: 'Tableaux d\'inspiration',
+    viewMoodBoards: 'Vos tableaux d\'inspiration',
+    moodBoardsEmpty: 'Enregistrez des photos depuis n\'importe quel article pour créer un tableau.',
+    boardEmpty: 'Ce tableau est vide.',
+    boardName: 'Nom du tableau',
+    saveBoardName: 'Enregistrer',
+    renameBoard: 'Renommer',
+    deleteBoard: 'Supprimer le tableau',
+    confirmDeleteBoard: 'Supprimer le tableau « {name} » et tout son contenu ?',
+    moveImageEarlier: 'Déplacer vers la gauche',
+    moveImageLater: 'Déplacer vers la droite',
+    removeImageFromBoard: 'Retirer du tableau',
+    offlineTitle: 'Vous êtes hors ligne',
+    offlineMessage: 'Cet article n\'est pas encore disponible hors ligne. Les articles lus récemment ou ajoutés à votre liste de lecture restent accessibles, et cette page se chargera dès le retour de la connexion.',
+    availableOffline: 'Disponible hors ligne',
+    readingOfflineCopy: 'Vous êtes hors ligne : ceci est la copie enregistrée sur votre appareil',
+    unavailableTitle: 'Momentanément indisponible',
+    unavailableMessage: 'Cet article ne peut pas être affiché pour le moment. Nous avons été prévenus et nous en occupons.',
+    previewUnauthorizedMessage: 'Ce lien d\'aperçu a expiré ou n\'est pas valide. Ouvrez un nouvel aperçu depuis le CMS.',
+    rateLimitedTitle: 'Trop de requêtes',
+    rateLimitedMessage: 'Nous recevons beaucoup de visites en ce moment. Veuillez réessayer dans un instant.',
+    rateLimitedRetryAfter: 'Nous recevons beaucoup de visites en ce moment. Veuillez réessayer dans {seconds} secondes.',
+    errorRenderFailed: 'Une erreur est survenue lors de l\'affichage de cette page.',
+    shareOnPinterest: 'Épingler sur Pinterest',
+    shareNative: 'Partager…',
+    copyLink: 'Copier le lien',
+    linkCopied: 'Lien copié',
+    pinIt: 'Épingler',
+    pinImage: 'Épingler cette photo sur Pinterest : {title}',
+    shareQuote: 'Partager cette citation',
+    tweetQuote: 'Tweeter cette citation',
+    copyQuote: 'Copier la citation avec le lien',
+    shareQuoteCard: 'Carte citation',
+    sectionBefore: 'Avant',
+    sectionAfter: 'Après',
+    compareBeforeAfter: 'Faites glisser pour comparer avant et après',
+    calloutTip: 'Astuce',
+    calloutNote: 'Bon à savoir',
+    calloutWarning: 'Attention',
+    materialsList: 'Matériaux et couleurs',
+    materialsColorCode: 'Teinte {code}',
+    materialsBuy: 'Où l\'acheter',
+    floorPlan: 'Plan',
+    floorPlanHotspot: 'Afficher le détail : {label}',
+    productHotspot: 'Voir le produit : {name}',
+    productShop: 'Acheter',
+    productShopAt: 'Acheter chez {retailer}',
+    productsInArticle: 'Les produits de cet article',
+    affiliateDisclosure: 'Cet article contient des liens affiliés. Si vous achetez par leur intermédiaire, nous pouvons percevoir une commission, sans surcoût pour vous.',
+    paletteTitle: 'Couleurs',
+    paletteCopied: '{value} copié',
+    paletteFindArticles: 'Articles liés en {color}',
+    filterByColor: 'Filtrer les articles liés par couleur',
+    allColors: 'Toutes les couleurs',
+    noRelatedInColor: 'Pas encore d\'article lié en {color}.',
+    colorWhite: 'Blanc',
+    colorBeige: 'Beige',
+    colorGrey: 'Gris',
+    colorBlack: 'Noir',
+    colorBrown: 'Marron',
+    colorRed: 'Rouge',
+    colorOrange: 'Orange',
+    colorYellow: 'Jaune',
+    colorGreen: 'Vert',
+    colorBlue: 'Bleu',
+    colorPurple: 'Violet',
+    colorPink: 'Rose',
+    colorWhiteInText: 'blanc',
+    colorBeigeInText: 'beige',
+    colorGreyInText: 'gris',
+    colorBlackInText: 'noir',
+    colorBrownInText: 'marron',
+    colorRedInText: 'rouge',
+    colorOrangeInText: 'orange',
+    colorYellowInText: 'jaune',
+    colorGreenInText: 'vert',
+    colorBlueInText: 'bleu',
+    colorPurpleInText: 'violet',
+    colorPinkInText: 'rose',
+    readerSettings: 'Paramètres de lecture',
+    textSize: 'Taille du texte',
+    textSizeSmall: 'Petite',
+    textSizeMedium: 'Moyenne',
+    textSizeLarge: 'Grande',
+    textSizeExtraLarge: 'Très grande',
+    lineSpacing: 'Interligne',
+    lineSpacingCompact: 'Serré',
+    lineSpacingNormal: 'Normal',
+    lineSpacingRelaxed: 'Aéré',
+    readerFont: 'Police',
+    fontDefault: 'Standard',
+    fontReadable: 'Adaptée à la dyslexie',
+    readerTheme: 'Thème',
+    themeAuto: 'Auto',
+    themeLight: 'Clair',
+    themeDark: 'Sombre',
+    themeSepia: 'Sépia',
+    reduceMotion: 'Réduire les animations',
+    resetReaderSettings: 'Rétablir les réglages par défaut',
+    focusMode: 'Mode lecture',
+    exitFocusMode: 'Quitter le mode lecture'
+  }
+};
+
+export default messages;
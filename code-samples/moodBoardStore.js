@@ -0,0 +1,200 @@
+import { createPersistentStore } from './persistentStore';
+import { MOOD_BOARDS_API_URL } from './config';
+import { getImageSources } from './media';
+
+/**
+ * Mood board store: named boards of article photos the reader saved for
+ * inspiration. Boards live in local storage; once the auth layer calls
+ * enableMoodBoardSync they are also kept in the reader's account.
+ *
+ * State shape:
+ *   {
+ *     boards: [{
+ *       id, name, createdAt,
+ *       items: [{ id, src, srcSet, alt, caption, credit, sectionTitle,
+ *                 articleSlug, articleTitle, locale, savedAt }]
+ *     }]
+ *   }
+ */
+
+const STORAGE_KEY = 'moodBoards';
+
+const EMPTY_STATE = { boards: [] };
+
+/**
+ * Generates a reasonably unique id for boards and saved images
+ * @returns {string} Id
+ */
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Keeps only well-formed boards
+ * @param {Object} [state] - Stored or fetched state
+ * @returns {Object} Clean state
+ */
+const normalizeState = (state) => ({
+  boards: (Array.isArray(state?.boards) ? state.boards : [])
+    .filter(board => board?.id && board.name)
+    .map(board => ({ ...board, items: Array.isArray(board.items) ? board.items : [] }))
+});
+
+/**
+ * Merges boards from this browser into the account's boards. Boards and
+ * images are matched by id; images only saved locally are appended.
+ * @param {Object} local - State from this browser
+ * @param {Object} remote - State from the reader's account
+ * @returns {Object} Merged state
+ */
+const mergeStates = (local, remote) => {
+  const boards = remote.boards.map(board => {
+    const localBoard = local.boards.find(candidate => candidate.id === board.id);
+    if (!localBoard) return board;
+
+    const itemIds = new Set(board.items.map(item => item.id));
+    return { ...board, items: [...board.items, ...localBoard.items.filter(item => !itemIds.has(item.id))] };
+  });
+
+  const boardIds = new Set(boards.map(board => board.id));
+  return { boards: [...boards, ...local.boards.filter(board => !boardIds.has(board.id))] };
+};
+
+const store = createPersistentStore({
+  storageKey: STORAGE_KEY,
+  emptyState: EMPTY_STATE,
+  normalize: normalizeState,
+  merge: mergeStates,
+  defaultEndpoint: MOOD_BOARDS_API_URL
+});
+const { setState } = store;
+
+/**
+ * Returns the current mood boards
+ * @returns {{boards: Array}} State
+ */
+export const getMoodBoardState = store.getState;
+
+/**
+ * Server snapshot: no boards until the browser takes over
+ * @returns {{boards: Array}} Empty state
+ */
+export const getServerMoodBoardState = store.getServerState;
+
+/**
+ * Subscribes to mood board changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribeToMoodBoards = store.subscribe;
+
+/**
+ * Starts keeping the boards in the signed-in reader's account
+ * @param {Object} options - `getAccessToken` (and optionally `endpoint`), or an `adapter` to use as is
+ * @returns {Promise<void>}
+ */
+export const enableMoodBoardSync = store.enableSync;
+
+/**
+ * Stops syncing, e.g. when the reader signs out
+ * @returns {Promise<void>}
+ */
+export const disableMoodBoardSync = store.disableSync;
+
+/**
+ * Applies a change to one board
+ * @param {string} boardId - Board id
+ * @param {Function} update - Returns the changed board
+ */
+const updateBoard = (boardId, update) => setState(current => ({
+  boards: current.boards.map(board => (board.id === boardId ? update(board) : board))
+}));
+
+/**
+ * Creates a board
+ * @param {string} name - Board name
+ * @returns {string} Id of the new board
+ */
+export const createBoard = (name) => {
+  const id = createId();
+  setState(current => ({
+    boards: [...current.boards, { id, name: name.trim(), createdAt: new Date().toISOString(), items: [] }]
+  }));
+  return id;
+};
+
+/**
+ * Renames a board
+ * @param {string} boardId - Board id
+ * @param {string} name - New name
+ */
+export const renameBoard = (boardId, name) => updateBoard(boardId, board => ({ ...board, name: name.trim() }));
+
+/**
+ * Deletes a board and everything saved on it
+ * @param {string} boardId - Board id
+ */
+export const deleteBoard = (boardId) => setState(current => ({
+  boards: current.boards.filter(board => board.id !== boardId)
+}));
+
+/**
+ * Finds the saved copy of a photo on a board
+ * @param {Object} board - Board
+ * @param {string} src - Image URL
+ * @returns {Object|undefined} Saved item
+ */
+export const findSavedImage = (board, src) => board.items.find(item => item.src === src);
+
+/**
+ * Saves an article photo to a board, with where it came from
+ * @param {string} boardId - Board id
+ * @param {Object} photo - Gallery item from buildGallery
+ * @param {Object} article - The article the photo belongs to
+ * @param {string} locale - Article locale
+ */
+export const saveImageToBoard = (boardId, photo, article, locale) => {
+  const image = getImageSources(photo.resource, photo.externalUrl);
+  if (!image) return;
+
+  updateBoard(boardId, board => (findSavedImage(board, image.src) ? board : {
+    ...board,
+    items: [...board.items, {
+      id: createId(),
+      src: image.src,
+      srcSet: image.srcSet,
+      alt: image.alt || photo.title || article.title,
+      caption: photo.caption,
+      credit: photo.credit,
+      sectionTitle: photo.title !== article.title ? photo.title : undefined,
+      articleSlug: article.slug,
+      articleTitle: article.title,
+      locale,
+      savedAt: new Date().toISOString()
+    }]
+  }));
+};
+
+/**
+ * Removes a saved image from a board
+ * @param {string} boardId - Board id
+ * @param {string} itemId - Saved item id
+ */
+export const removeImageFromBoard = (boardId, itemId) => updateBoard(boardId, board => ({
+  ...board,
+  items: board.items.filter(item => item.id !== itemId)
+}));
+
+/**
+ * Moves a saved image to another position on its board
+ * @param {string} boardId - Board id
+ * @param {string} itemId - Saved item id
+ * @param {number} toIndex - New position
+ */
+export const moveImageOnBoard = (boardId, itemId, toIndex) => updateBoard(boardId, board => {
+  const items = [...board.items];
+  const fromIndex = items.findIndex(item => item.id === itemId);
+  if (fromIndex === -1) return board;
+
+  const [item] = items.splice(fromIndex, 1);
+  items.splice(Math.min(Math.max(toIndex, 0), items.length), 0, item);
+  return { ...board, items };
+});
@@ -0,0 +1,100 @@
+import { API_URL, DEFAULT_LOCALE, SERVICE_WORKER_URL } from './config';
+import { getArticlePath } from './paths';
+import { getArticleDataRequests } from './articleService';
+import { getReadingListState, subscribeToReadingList } from './readingListStore';
+import { reportError } from './logger';
+
+/**
+ * Client side of offline reading: registers serviceWorker.js and tells it
+ * which articles were read and which are saved in the reading list, with
+ * the CMS requests loading them so client-rendered pages work offline too.
+ */
+
+/** @type {Promise<ServiceWorkerRegistration|null>|null} */
+let registrationPromise = null;
+
+/**
+ * Checks if the browser can keep articles offline
+ * @returns {boolean}
+ */
+export const isOfflineReadingSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * Sends a message to the active service worker and waits for its reply
+ * @param {Object} message - Message for the service worker
+ * @returns {Promise<{available: boolean, saved: boolean}|null>} Offline
+ *   status of the article named in the message, or null without a worker
+ */
+const postToWorker = async (message) => {
+  const registration = await registrationPromise;
+  const worker = registration?.active;
+  if (!worker) return null;
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data);
+    worker.postMessage(message, [channel.port2]);
+  });
+};
+
+/**
+ * Articles in the reading list, as the service worker identifies them
+ * @param {Object} state - Reading list state
+ * @returns {Array<{path: string, requests: Array}>} Article paths and CMS requests
+ */
+const getSavedArticles = (state) => state.bookmarks.map(bookmark => ({
+  path: getArticlePath(bookmark.slug, bookmark.locale),
+  requests: getArticleDataRequests(bookmark.slug, bookmark.locale)
+}));
+
+/**
+ * Registers the offline-reading service worker and keeps it informed of
+ * the reading list, so saved articles are never evicted. Only runs in
+ * production builds, where the worker is served.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration
+ */
+export const registerOfflineArticles = () => {
+  if (registrationPromise) return registrationPromise;
+  if (!isOfflineReadingSupported() || process.env.NODE_ENV !== 'production') {
+    registrationPromise = Promise.resolve(null);
+    return registrationPromise;
+  }
+
+  const scriptUrl = `${SERVICE_WORKER_URL}?api=${encodeURIComponent(API_URL || '')}&locale=${encodeURIComponent(DEFAULT_LOCALE)}`;
+  registrationPromise = navigator.serviceWorker.register(scriptUrl)
+    .then(() => navigator.serviceWorker.ready)
+    .catch((error) => {
+      reportError("Error registering service worker", error);
+      return null;
+    });
+
+  let lastSavedPaths = null;
+  const syncSavedArticles = () => {
+    const savedArticles = getSavedArticles(getReadingListState());
+    const savedPaths = savedArticles.map(saved => saved.path).join('\n');
+    if (savedPaths === lastSavedPaths) return;
+    lastSavedPaths = savedPaths;
+    postToWorker({ type: 'setSavedArticles', savedArticles });
+  };
+  subscribeToReadingList(syncSavedArticles);
+  registrationPromise.then(syncSavedArticles);
+
+  return registrationPromise;
+};
+
+/**
+ * Makes sure an article the reader is viewing is cached, including its CMS
+ * data (hydrated pages never request it) and images that haven't been
+ * scrolled into view yet
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @param {string[]} [imageUrls] - Article images to cache
+ * @returns {Promise<{available: boolean, saved: boolean}|null>} Offline status
+ */
+export const keepArticleOffline = (slug, locale, imageUrls = []) => postToWorker({
+  type: 'visitArticle',
+  path: getArticlePath(slug, locale),
+  urls: imageUrls,
+  requests: getArticleDataRequests(slug, locale)
+});
@@ -0,0 +1,69 @@
+import { LOCALES, DEFAULT_LOCALE } from './config';
+
+// Route patterns for article, reading list and mood board pages, shared by the client router and the server renderer.
+// The default locale is served without a prefix, other locales under "/<locale>".
+export const ARTICLE_ROUTE = '/articles/:slug';
+export const LOCALIZED_ARTICLE_ROUTE = '/:locale/articles/:slug';
+export const READING_LIST_ROUTE = '/reading-list';
+export const LOCALIZED_READING_LIST_ROUTE = '/:locale/reading-list';
+export const MOOD_BOARDS_ROUTE = '/boards';
+export const LOCALIZED_MOOD_BOARDS_ROUTE = '/:locale/boards';
+
+// Query parameter opening an article's gallery on the photo with that URL
+export const PHOTO_PARAM = 'photo';
+
+/**
+ * Checks whether a URL segment is a valid locale prefix: a supported locale
+ * other than the default, which is only served without a prefix
+ * @param {string} segment - First segment of the path
+ * @returns {boolean} True if the prefix names a locale
+ */
+export const isLocalePrefix = (segment) => segment !== DEFAULT_LOCALE && LOCALES.includes(segment);
+
+/**
+ * Returns the URL prefix for a locale
+ * @param {string} [locale] - Locale code
+ * @returns {string} Prefix, empty for the default locale
+ */
+const getLocalePrefix = (locale) => (locale && locale !== DEFAULT_LOCALE ? `/${locale}` : '');
+
+/**
+ * Builds the path of an article page
+ * @param {string} slug - Article slug
+ * @param {string} [locale] - Locale of the article
+ * @returns {string} Article path
+ */
+export const getArticlePath = (slug, locale) => `${getLocalePrefix(locale)}/articles/${encodeURIComponent(slug)}`;
+
+/**
+ * Links to an article opened on one of its photos. Photos are named by URL
+ * rather than gallery position, so saved and pinned links keep working when
+ * editors reorder images.
+ * @param {string} articleUrl - Article path or URL, without a query
+ * @param {string} src - Photo URL
+ * @returns {string} Link opening the article's gallery on the photo
+ */
+export const getArticlePhotoUrl = (articleUrl, src) => `${articleUrl}?${PHOTO_PARAM}=${encodeURIComponent(src)}`;
+
+/**
+ * Builds the path of a category listing page
+ * @param {Object} category - Category object from the CMS
+ * @param {string} [locale] - Locale of the listing
+ * @returns {string} Category path
+ */
+export const getCategoryPath = (category, locale) =>
+  `${getLocalePrefix(locale)}/categories/${encodeURIComponent(category.slug || category.category)}`;
+
+/**
+ * Builds the path of the reader's reading list
+ * @param {string} [locale] - Locale of the page
+ * @returns {string} Reading list path
+ */
+export const getReadingListPath = (locale) => `${getLocalePrefix(locale)}/reading-list`;
+
+/**
+ * Builds the path of the reader's mood boards
+ * @param {string} [locale] - Locale of the page
+ * @returns {string} Mood boards path
+ */
+export const getMoodBoardsPath = (locale) => `${getLocalePrefix(locale)}/boards`;
@@ -0,0 +1,160 @@
+import axios from 'axios';
+import { reportError } from './logger';
+
+// Remote saves are batched so frequent updates don't send a request each
+const SYNC_DELAY_MS = 2000;
+
+/**
+ * Creates a storage adapter that keeps state in local storage
+ * @param {string} key - Storage key
+ * @param {Function} normalize - Cleans up stored state
+ * @param {Object} emptyState - State used when nothing is stored
+ * @returns {{load: Function, save: Function}} Storage adapter
+ */
+const createLocalStorageAdapter = (key, normalize, emptyState) => ({
+  load: () => {
+    try {
+      return normalize(JSON.parse(window.localStorage.getItem(key)) || emptyState);
+    } catch (e) {
+      return emptyState;
+    }
+  },
+  save: (state) => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(state));
+    } catch (e) {
+      reportError("Unable to save to local storage", e);
+    }
+  }
+});
+
+/**
+ * Creates a storage adapter that keeps state in the signed-in reader's
+ * account. The endpoint answers GET with the saved state and accepts the
+ * full state with PUT.
+ * @param {Object} options
+ * @param {string} options.endpoint - REST endpoint
+ * @param {Function} options.getAccessToken - Returns (a promise of) the reader's access token
+ * @returns {{load: Function, save: Function}} Storage adapter
+ */
+export const createRemoteStorageAdapter = ({ endpoint, getAccessToken }) => {
+  const request = async (method, data) => {
+    const token = await getAccessToken();
+    const response = await axios({ method, url: endpoint, data, headers: { Authorization: `Bearer ${token}` } });
+    return response.data;
+  };
+
+  return {
+    load: () => request('get'),
+    save: (state) => request('put', state)
+  };
+};
+
+/**
+ * Creates a store for per-reader state that lives in local storage and can
+ * additionally be synced to the reader's account. Components read it with
+ * useSyncExternalStore; the server always sees the empty state.
+ * @param {Object} options
+ * @param {string} options.storageKey - Local storage key
+ * @param {Object} options.emptyState - Initial state
+ * @param {Function} [options.normalize] - Cleans up loaded state (local or remote)
+ * @param {Function} [options.merge] - Combines (local, remote) state when sync starts
+ * @param {string} [options.defaultEndpoint] - Endpoint for remote sync when none is given
+ * @returns {{getState: Function, getServerState: Function, subscribe: Function,
+ *   setState: Function, enableSync: Function, disableSync: Function}} The store
+ */
+export const createPersistentStore = ({
+  storageKey,
+  emptyState,
+  normalize = (state) => state,
+  merge = (local, remote) => remote,
+  defaultEndpoint
+}) => {
+  const local = createLocalStorageAdapter(storageKey, normalize, emptyState);
+  const listeners = new Set();
+  let state = emptyState;
+  let loaded = false;
+  let remote = null;
+  let syncTimer = null;
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  // Local state is read on first use, so server rendering never touches storage
+  const ensureLoaded = () => {
+    if (loaded || typeof window === 'undefined') return;
+    loaded = true;
+    state = local.load();
+
+    // Keep tabs in step with each other
+    window.addEventListener('storage', (e) => {
+      if (e.key !== storageKey) return;
+      state = local.load();
+      notify();
+    });
+  };
+
+  const flushSync = async () => {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    if (!remote) return;
+
+    try {
+      await remote.save(state);
+    } catch (error) {
+      reportError(`Error syncing ${storageKey}`, error);
+    }
+  };
+
+  const getState = () => {
+    ensureLoaded();
+    return state;
+  };
+
+  const setState = (update) => {
+    ensureLoaded();
+    state = update(state);
+    local.save(state);
+    notify();
+
+    if (remote && !syncTimer) {
+      syncTimer = setTimeout(flushSync, SYNC_DELAY_MS);
+    }
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Starts syncing with the reader's account. What was saved in this
+   * browser is merged with the account copy the first time; afterwards
+   * the account copy is kept up to date.
+   * @param {Object} options - An `adapter`, or `endpoint` and `getAccessToken` for a REST adapter
+   * @returns {Promise<void>}
+   */
+  const enableSync = async ({ adapter, endpoint = defaultEndpoint, getAccessToken }) => {
+    ensureLoaded();
+    remote = adapter || createRemoteStorageAdapter({ endpoint, getAccessToken });
+
+    try {
+      const remoteState = normalize((await remote.load()) || emptyState);
+      setState(current => merge(current, remoteState));
+      await flushSync();
+    } catch (error) {
+      reportError(`Error loading synced ${storageKey}`, error);
+    }
+  };
+
+  /**
+   * Stops syncing, e.g. when the reader signs out. Pending changes are
+   * saved to the account first; the local copy stays in this browser.
+   * @returns {Promise<void>}
+   */
+  const disableSync = async () => {
+    if (syncTimer) await flushSync();
+    remote = null;
+  };
+
+  return { getState, getServerState: () => emptyState, subscribe, setState, enableSync, disableSync };
+};
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { renderArticle, injectIntoTemplate } from './renderArticle';
+import { fetchArticleSlugs } from './articleService';
+import { writeMarkdownBundle } from './markdownDirectory';
+import { getArticlePath } from './paths';
+import { CONTENT_SOURCE, LOCALES, MARKDOWN_CONTENT_URL } from './config';
+import { reportError } from './logger';
+
+/**
+ * Pre-renders every published article to static HTML at build time, in
+ * every locale. Each page is written to the directory matching its route
+ * (e.g. `<buildDir>/fr/articles/<slug>/index.html`) so static hosts serve
+ * crawlers the full article; the client hydrates it without refetching.
+ * With the markdown source, also writes the articles file the browser loads.
+ * @param {string} [buildDir] - Directory containing the built index.html
+ * @returns {Promise<{rendered: string[], total: number}>} Paths that were
+ *   rendered and the number of published articles, for the build script to report
+ */
+const prerenderArticles = async (buildDir = path.resolve('build')) => {
+  const template = await fs.readFile(path.join(buildDir, 'index.html'), 'utf8');
+  const rendered = [];
+  let total = 0;
+
+  if (CONTENT_SOURCE === 'markdown') {
+    await writeMarkdownBundle(path.join(buildDir, MARKDOWN_CONTENT_URL));
+  }
+
+  // Render sequentially to stay within the CMS rate limits
+  for (const locale of LOCALES) {
+    const slugs = await fetchArticleSlugs(locale);
+    total += slugs.length;
+
+    for (const slug of slugs) {
+      const articlePath = getArticlePath(slug, locale);
+      try {
+        const page = await renderArticle(slug, locale);
+        if (page.status !== 200) continue;
+
+        const outputDir = path.join(buildDir, articlePath);
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(path.join(outputDir, 'index.html'), injectIntoTemplate(template, page));
+        rendered.push(articlePath);
+      } catch (error) {
+        reportError(`Error pre-rendering article "${articlePath}"`, error);
+      }
+    }
+  }
+
+  return { rendered, total };
+};
+
+export default prerenderArticles;
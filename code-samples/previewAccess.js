@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { getContentSource } from './contentSources';
+import { UnauthorizedError } from './apiErrors';
+import { PREVIEW_SECRET, PREVIEW_TTL_SECONDS } from './config';
+
+/**
+ * Draft preview on the server (Node only). CMS preview links carry a
+ * signed, short-lived secret naming one article instead of an API token:
+ * `<payload>.<signature>`, where the payload is base64url JSON of
+ * `{slug, locale, exp}` signed with HMAC-SHA256 and PREVIEW_SECRET. The
+ * browser posts it to PREVIEW_API_URL, whose handler calls
+ * fetchPreviewArticle; the draft API token never leaves the server.
+ */
+
+/**
+ * Signs a payload
+ * @param {string} payload - Encoded payload
+ * @param {string} key - Signing key
+ * @returns {string} base64url signature
+ */
+const sign = (payload, key) => crypto.createHmac('sha256', key).update(payload).digest('base64url');
+
+/**
+ * Creates the preview secret of an article, e.g. for the CMS preview button
+ * @param {{slug: string, locale: string}} article - Article to preview
+ * @param {Object} [options]
+ * @param {string} [options.key] - Signing key
+ * @param {number} [options.ttlSeconds] - How long the secret is valid
+ * @returns {string} Preview secret
+ */
+export const createPreviewSecret = ({ slug, locale }, { key = PREVIEW_SECRET, ttlSeconds = PREVIEW_TTL_SECONDS } = {}) => {
+  if (!key) throw new Error('PREVIEW_SECRET is not configured');
+
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ slug, locale, exp })).toString('base64url');
+  return `${payload}.${sign(payload, key)}`;
+};
+
+/**
+ * Checks a preview secret's signature and expiry
+ * @param {string} secret - Preview secret
+ * @param {Object} [options]
+ * @param {string} [options.key] - Signing key
+ * @returns {{slug: string, locale: string, exp: number}|null} The article it grants access to, or null if invalid or expired
+ */
+export const verifyPreviewSecret = (secret, { key = PREVIEW_SECRET } = {}) => {
+  if (!key || typeof secret !== 'string') return null;
+
+  const [payload, signature = ''] = secret.split('.');
+  const expected = Buffer.from(sign(payload, key));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Exchanges a preview secret for the draft of the article it names. The
+ * PREVIEW_API_URL endpoint answers with `{ article }`, or 401 on an
+ * UnauthorizedError.
+ * @param {Object} request - Request body
+ * @param {string} request.secret - Preview secret
+ * @param {string} request.slug - Article slug
+ * @param {string} request.locale - Article locale
+ * @returns {Promise<Object|null>} The draft article, or null if it doesn't exist
+ */
+export const fetchPreviewArticle = async ({ secret, slug, locale }) => {
+  const claims = verifyPreviewSecret(secret);
+  if (!claims || claims.slug !== slug || claims.locale !== locale) {
+    throw new UnauthorizedError('Invalid or expired preview secret', { status: 401 });
+  }
+  return getContentSource().fetchArticle(slug, { locale, preview: true });
+};
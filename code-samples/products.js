@@ -0,0 +1,55 @@
+/**
+ * Keeps product links to http(s) URLs
+ * @param {string} url - Affiliate URL from the CMS
+ * @returns {string|null} The URL, or null if it isn't a web link
+ */
+export const getProductUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) ? url : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Formats a product price in the reader's locale
+ * @param {Object} product - Product with `price` and an optional ISO `currency`
+ * @param {string} locale - Reader locale
+ * @returns {string|null} Formatted price, or null when the product has none
+ */
+export const formatPrice = (product, locale) => {
+  const price = Number(product.price);
+  if (product.price === null || product.price === undefined || product.price === '' || Number.isNaN(price)) return null;
+
+  try {
+    return new Intl.NumberFormat(locale, product.currency ? { style: 'currency', currency: product.currency } : {}).format(price);
+  } catch (e) {
+    return String(product.price);
+  }
+};
+
+/**
+ * Lists the affiliate links of an article in reading order: products tagged
+ * on the hero and section images, and the shop links of materials lists. A
+ * product linked several times is listed once.
+ * @param {Object} article - The article, with hero `products`
+ * @param {Array} sections - Article sections, with `products` on text sections
+ *   and `items` on materials sections
+ * @returns {Array<{product: Object, placement: string}>} Linkable products and where
+ *   they appear ("hero" or "section-<n>")
+ */
+export const collectArticleProducts = (article, sections = []) => {
+  const seen = new Set();
+  const collected = [];
+
+  const add = (products, placement) => (products || []).forEach(product => {
+    const url = product?.name && getProductUrl(product.url);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    collected.push({ product, placement });
+  });
+
+  add(article?.products, 'hero');
+  sections.forEach((section, index) => add(section.type === 'materials' ? section.items : section.products, `section-${index + 1}`));
+  return collected;
+};
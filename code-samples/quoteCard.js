@@ -0,0 +1,80 @@
+// Square cards suit Instagram and Pinterest as well as messaging apps
+const CARD_SIZE = 1080;
+const PADDING = 96;
+const QUOTE_FONT = "italic 56px 'Playfair Display', Georgia, serif";
+const QUOTE_LINE_HEIGHT = 76;
+const FOOTER_FONT = "600 32px 'Helvetica Neue', Arial, sans-serif";
+const MAX_QUOTE_LINES = 9;
+
+/**
+ * Splits text into lines that fit a width, ending with an ellipsis when
+ * it doesn't fit in maxLines
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {string[]} Lines
+ */
+const wrapText = (context, text, maxWidth, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (context.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s+\S*$/, '')}…`;
+  }
+  return lines;
+};
+
+/**
+ * Draws a shareable quote card: the quote, then the article title and
+ * site name
+ * @param {Object} options
+ * @param {string} options.quote - Quoted text
+ * @param {string} options.title - Article title
+ * @param {string} options.siteName - Site name
+ * @returns {Promise<Blob>} PNG image
+ */
+export const createQuoteCard = async ({ quote, title, siteName }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = CARD_SIZE;
+  canvas.height = CARD_SIZE;
+  const context = canvas.getContext('2d');
+
+  // Wait for web fonts so the card isn't drawn with a fallback face
+  if (document.fonts?.ready) await document.fonts.ready;
+
+  context.fillStyle = '#f8f5f0';
+  context.fillRect(0, 0, CARD_SIZE, CARD_SIZE);
+  context.fillStyle = '#c9a66b';
+  context.fillRect(PADDING, PADDING, 8, CARD_SIZE - PADDING * 2);
+
+  context.font = QUOTE_FONT;
+  context.fillStyle = '#2b2b2b';
+  context.textBaseline = 'top';
+  const textLeft = PADDING + 48;
+  const lines = wrapText(context, `“${quote}”`, CARD_SIZE - textLeft - PADDING, MAX_QUOTE_LINES);
+  const quoteTop = (CARD_SIZE - lines.length * QUOTE_LINE_HEIGHT) / 2 - 48;
+  lines.forEach((line, index) => context.fillText(line, textLeft, quoteTop + index * QUOTE_LINE_HEIGHT));
+
+  context.font = FOOTER_FONT;
+  context.fillStyle = '#6c757d';
+  const [footerTitle] = wrapText(context, title, CARD_SIZE - textLeft - PADDING, 1);
+  context.fillText(footerTitle, textLeft, CARD_SIZE - PADDING - 88);
+  context.fillText(siteName, textLeft, CARD_SIZE - PADDING - 40);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Unable to draw quote card'))), 'image/png');
+  });
+};
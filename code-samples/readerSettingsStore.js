@@ -0,0 +1,165 @@
+import { createPersistentStore } from './persistentStore';
+import { reportWarning } from './logger';
+import { FONTS_URL } from './config';
+
+/**
+ * Reader settings store: how the reader likes articles displayed. Settings
+ * describe the device as much as the reader (screen, lighting), so they
+ * stay in this browser's local storage and aren't synced to accounts.
+ *
+ * State shape:
+ *   { textSize, lineSpacing, font, theme, reduceMotion, focusMode }
+ */
+
+const STORAGE_KEY = 'readerSettings';
+
+// Media queries of the operating system preferences the settings can follow
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Text sizes, as a scale applied to the article's font sizes, with the
+// message key of their name
+export const TEXT_SIZES = {
+  small: { scale: 0.9, label: 'textSizeSmall' },
+  medium: { scale: 1, label: 'textSizeMedium' },
+  large: { scale: 1.15, label: 'textSizeLarge' },
+  xlarge: { scale: 1.3, label: 'textSizeExtraLarge' }
+};
+
+// Line spacings, as a scale applied to the article's line heights
+export const LINE_SPACINGS = {
+  compact: { scale: 0.9, label: 'lineSpacingCompact' },
+  normal: { scale: 1, label: 'lineSpacingNormal' },
+  relaxed: { scale: 1.25, label: 'lineSpacingRelaxed' }
+};
+
+// Font stacks, with the self-hosted faces they need (files in FONTS_URL).
+// The dyslexia-friendly one uses letter shapes that are hard to mix up;
+// Verdana keeps it readable until the web font has loaded.
+export const FONTS = {
+  default: { stack: null, label: 'fontDefault' },
+  readable: {
+    stack: "'Atkinson Hyperlegible', Verdana, Tahoma, sans-serif",
+    label: 'fontReadable',
+    faces: [
+      { family: 'Atkinson Hyperlegible', file: 'atkinson-hyperlegible-regular.woff2', weight: '400', style: 'normal' },
+      { family: 'Atkinson Hyperlegible', file: 'atkinson-hyperlegible-italic.woff2', weight: '400', style: 'italic' },
+      { family: 'Atkinson Hyperlegible', file: 'atkinson-hyperlegible-bold.woff2', weight: '700', style: 'normal' },
+      { family: 'Atkinson Hyperlegible', file: 'atkinson-hyperlegible-bold-italic.woff2', weight: '700', style: 'italic' }
+    ]
+  }
+};
+
+// Fonts whose faces were already added to the document
+const loadedFonts = new Set();
+
+/**
+ * Adds the web font faces of a font setting to the document, so they are
+ * only downloaded once a reader picks that font
+ * @param {string} font - Key of FONTS
+ */
+export const loadReaderFont = (font) => {
+  const faces = FONTS[font]?.faces;
+  if (!faces || loadedFonts.has(font) || typeof document === 'undefined' || !document.fonts || typeof FontFace === 'undefined') return;
+  loadedFonts.add(font);
+
+  faces.forEach(({ family, file, ...descriptors }) => {
+    const face = new FontFace(family, `url(${FONTS_URL}/${file}) format('woff2')`, { display: 'swap', ...descriptors });
+    document.fonts.add(face);
+    face.load().catch(error => reportWarning("Unable to load the reading font", error, { font, file }));
+  });
+};
+
+// Colour themes; "auto" follows the operating system's light or dark preference
+export const THEMES = {
+  auto: { label: 'themeAuto' },
+  light: { label: 'themeLight' },
+  dark: { label: 'themeDark' },
+  sepia: { label: 'themeSepia' }
+};
+
+export const DEFAULT_READER_SETTINGS = {
+  textSize: 'medium',
+  lineSpacing: 'normal',
+  font: 'default',
+  theme: 'auto',
+  reduceMotion: false,
+  focusMode: false
+};
+
+/**
+ * Keeps known settings with valid values; anything else gets its default
+ * @param {Object} [state] - Stored state
+ * @returns {Object} Clean settings
+ */
+const normalizeSettings = (state) => ({
+  textSize: TEXT_SIZES[state?.textSize] ? state.textSize : DEFAULT_READER_SETTINGS.textSize,
+  lineSpacing: LINE_SPACINGS[state?.lineSpacing] ? state.lineSpacing : DEFAULT_READER_SETTINGS.lineSpacing,
+  font: FONTS[state?.font] ? state.font : DEFAULT_READER_SETTINGS.font,
+  theme: THEMES[state?.theme] ? state.theme : DEFAULT_READER_SETTINGS.theme,
+  reduceMotion: state?.reduceMotion === true,
+  focusMode: state?.focusMode === true
+});
+
+const store = createPersistentStore({
+  storageKey: STORAGE_KEY,
+  emptyState: DEFAULT_READER_SETTINGS,
+  normalize: normalizeSettings
+});
+
+/**
+ * Returns the current reader settings
+ * @returns {Object} Settings
+ */
+export const getReaderSettings = store.getState;
+
+/**
+ * Server snapshot: the default settings until the browser takes over
+ * @returns {Object} Default settings
+ */
+export const getServerReaderSettings = store.getServerState;
+
+/**
+ * Subscribes to reader settings changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribeToReaderSettings = store.subscribe;
+
+/**
+ * Changes some settings
+ * @param {Object} changes - Settings to change, e.g. `{ theme: 'sepia' }`
+ */
+export const updateReaderSettings = (changes) => store.setState(current => normalizeSettings({ ...current, ...changes }));
+
+/**
+ * Restores the default settings
+ */
+export const resetReaderSettings = () => store.setState(() => DEFAULT_READER_SETTINGS);
+
+/**
+ * Checks whether animations should be avoided, because the reader asked
+ * for it here or in their operating system
+ * @returns {boolean} True to skip animations
+ */
+export const prefersReducedMotion = () => getReaderSettings().reduceMotion ||
+  (typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches);
+
+/**
+ * Scroll behavior for scrollTo and scrollIntoView: smooth, unless the
+ * reader prefers reduced motion
+ * @returns {'smooth'|'auto'} Scroll behavior
+ */
+export const getScrollBehavior = () => (prefersReducedMotion() ? 'auto' : 'smooth');
+
+/**
+ * CSS custom properties applying the text settings to an article; see the
+ * article styles for where they are used
+ * @param {Object} settings - Reader settings
+ * @returns {Object} Inline style
+ */
+export const getReaderStyle = (settings) => ({
+  '--reader-text-scale': TEXT_SIZES[settings.textSize].scale,
+  '--reader-line-scale': LINE_SPACINGS[settings.lineSpacing].scale,
+  '--reader-font': FONTS[settings.font].stack || undefined
+});
@@ -0,0 +1,208 @@
+import { createPersistentStore } from './persistentStore';
+import { READING_LIST_API_URL } from './config';
+import { getMediaUrl } from './media';
+
+/**
+ * Reading list store: bookmarked articles and how far the reader got in
+ * each article. Anonymous readers keep everything in local storage. Once
+ * the auth layer calls enableReadingListSync, changes are also saved to
+ * the reader's account so the list follows them across devices.
+ *
+ * State shape:
+ *   {
+ *     bookmarks: [{ slug, locale, title, imageUrl, savedAt }],
+ *     progress: { "<locale>:<slug>": { percent, anchor, sectionIndex, sectionTitle, updatedAt } }
+ *   }
+ */
+
+const STORAGE_KEY = 'readingList';
+
+// Progress entries older than this are forgotten
+const PROGRESS_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+const EMPTY_STATE = { bookmarks: [], progress: {} };
+
+/**
+ * Builds the key of an article in the store
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @returns {string} Store key
+ */
+const getEntryKey = (slug, locale) => `${locale}:${slug}`;
+
+/**
+ * Keeps the fields the store understands and drops expired progress
+ * @param {Object} [state] - Stored or fetched state
+ * @returns {Object} Clean state
+ */
+const normalizeState = (state) => {
+  const now = Date.now();
+  return {
+    bookmarks: Array.isArray(state?.bookmarks) ? state.bookmarks : [],
+    progress: Object.fromEntries(Object.entries(state?.progress || {})
+      .filter(([, entry]) => entry && now - new Date(entry.updatedAt).getTime() < PROGRESS_TTL_MS))
+  };
+};
+
+/**
+ * Merges two reading lists: bookmarks from both, and for each article the
+ * most recent position
+ * @param {Object} local - State from this browser
+ * @param {Object} remote - State from the reader's account
+ * @returns {Object} Merged state
+ */
+const mergeStates = (local, remote) => {
+  const bookmarks = [...remote.bookmarks];
+  local.bookmarks.forEach(bookmark => {
+    const key = getEntryKey(bookmark.slug, bookmark.locale);
+    if (!bookmarks.some(saved => getEntryKey(saved.slug, saved.locale) === key)) bookmarks.push(bookmark);
+  });
+  bookmarks.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+
+  const progress = { ...remote.progress };
+  Object.entries(local.progress).forEach(([key, entry]) => {
+    if (!progress[key] || new Date(entry.updatedAt) > new Date(progress[key].updatedAt)) {
+      progress[key] = entry;
+    }
+  });
+
+  return { bookmarks, progress };
+};
+
+const store = createPersistentStore({
+  storageKey: STORAGE_KEY,
+  emptyState: EMPTY_STATE,
+  normalize: normalizeState,
+  merge: mergeStates,
+  defaultEndpoint: READING_LIST_API_URL
+});
+const { setState } = store;
+
+/**
+ * Returns the current reading list state
+ * @returns {{bookmarks: Array, progress: Object}} State
+ */
+export const getReadingListState = store.getState;
+
+/**
+ * Server snapshot: nothing is bookmarked until the browser takes over
+ * @returns {{bookmarks: Array, progress: Object}} Empty state
+ */
+export const getServerReadingListState = store.getServerState;
+
+/**
+ * Subscribes to reading list changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribeToReadingList = store.subscribe;
+
+/**
+ * Starts syncing the reading list with the signed-in reader's account.
+ * What was saved anonymously in this browser is merged into the account
+ * the first time; afterwards the account copy is kept up to date.
+ * @param {Object} options - `getAccessToken` (and optionally `endpoint`), or an `adapter` to use as is
+ * @returns {Promise<void>}
+ */
+export const enableReadingListSync = store.enableSync;
+
+/**
+ * Stops syncing, e.g. when the reader signs out. Pending changes are
+ * saved to the account first; the local copy stays in this browser.
+ * @returns {Promise<void>}
+ */
+export const disableReadingListSync = store.disableSync;
+
+/**
+ * Checks whether an article is bookmarked
+ * @param {Object} readingList - Reading list state
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @returns {boolean} True if bookmarked
+ */
+export const isBookmarked = (readingList, slug, locale) =>
+  readingList.bookmarks.some(bookmark => bookmark.slug === slug && bookmark.locale === locale);
+
+/**
+ * Adds an article to the reading list, or removes it if already there
+ * @param {Object} article - The article object
+ * @param {string} locale - Article locale
+ */
+export const toggleBookmark = (article, locale) => setState(current => {
+  if (isBookmarked(current, article.slug, locale)) {
+    return {
+      ...current,
+      bookmarks: current.bookmarks.filter(bookmark => !(bookmark.slug === article.slug && bookmark.locale === locale))
+    };
+  }
+
+  const bookmark = {
+    slug: article.slug,
+    locale,
+    title: article.title,
+    imageUrl: getMediaUrl(article.images?.[0], article.imageUrl),
+    savedAt: new Date().toISOString()
+  };
+  return { ...current, bookmarks: [bookmark, ...current.bookmarks] };
+});
+
+/**
+ * Removes an article from the reading list
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ */
+export const removeBookmark = (slug, locale) => setState(current => ({
+  ...current,
+  bookmarks: current.bookmarks.filter(bookmark => !(bookmark.slug === slug && bookmark.locale === locale))
+}));
+
+/**
+ * Returns where the reader left an article
+ * @param {Object} readingList - Reading list state
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @returns {{percent: number, anchor: string|null, sectionIndex: number, sectionTitle: string|null,
+ *   updatedAt: string}|null} Saved position
+ */
+export const getReadingProgress = (readingList, slug, locale) =>
+  readingList.progress[getEntryKey(slug, locale)] || null;
+
+/**
+ * Remembers how far the reader got in an article
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @param {Object} position
+ * @param {number} position.percent - Scroll progress, 0-100
+ * @param {string|null} position.anchor - Id of the section being read
+ * @param {number} position.sectionIndex - Index of the section being read, -1 before the first
+ * @param {string|null} position.sectionTitle - Title of the section being read
+ */
+export const saveReadingProgress = (slug, locale, { percent, anchor, sectionIndex, sectionTitle }) => setState(current => ({
+  ...current,
+  progress: {
+    ...current.progress,
+    [getEntryKey(slug, locale)]: {
+      percent: Math.round(percent),
+      anchor,
+      sectionIndex,
+      sectionTitle,
+      updatedAt: new Date().toISOString()
+    }
+  }
+}));
+
+/**
+ * Forgets the saved position in an article, e.g. once it has been finished
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ */
+export const clearReadingProgress = (slug, locale) => {
+  const key = getEntryKey(slug, locale);
+  if (!getReadingListState().progress[key]) return;
+
+  setState(current => {
+    const progress = { ...current.progress };
+    delete progress[key];
+    return { ...current, progress };
+  });
+};
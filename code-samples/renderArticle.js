@@ -0,0 +1,68 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import { HelmetProvider } from 'react-helmet-async';
+import ArticleRoutes from './articleRoutes';
+import { getArticlePath } from './paths';
+import { LOCALES } from './config';
+import { setupMarkdownDirectorySource } from './markdownDirectory';
+import { fetchArticle, dehydrateArticleCache, getArticleCacheKey, ARTICLE_STATE_GLOBAL } from './articleService';
+
+// Markdown articles are read from disk on the server
+setupMarkdownDirectorySource();
+
+/**
+ * Serializes state for inline embedding, escaping characters that could
+ * close the script tag or break the surrounding HTML
+ * @param {Object} state - State to embed
+ * @returns {string} Safe JSON string
+ */
+const serializeState = (state) => JSON.stringify(state)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+/**
+ * Renders an article page to HTML on the server. Data is fetched before
+ * rendering, so crawlers receive the full article and Helmet metadata
+ * instead of the skeleton loader.
+ * @param {string} slug - Article slug
+ * @param {string} [locale] - Article locale; unsupported locales render the not found page
+ * @returns {Promise<{html: string, head: string, htmlAttributes: string, state: string, status: number}>}
+ *   Body markup, head tags, attributes for the html element (e.g. lang),
+ *   a script tag with serialized state, and the HTTP status
+ */
+export const renderArticle = async (slug, locale) => {
+  const supportedLocale = !locale || LOCALES.includes(locale);
+  const article = supportedLocale ? await fetchArticle(slug, { locale }) : null;
+  const helmetContext = {};
+
+  const html = renderToString(
+    <HelmetProvider context={helmetContext}>
+      <StaticRouter location={getArticlePath(slug, locale)}>
+        <ArticleRoutes />
+      </StaticRouter>
+    </HelmetProvider>
+  );
+
+  const { helmet } = helmetContext;
+  const head = helmet
+    ? [helmet.title, helmet.meta, helmet.link, helmet.script].map(tags => tags.toString()).join('')
+    : '';
+  const htmlAttributes = helmet ? helmet.htmlAttributes.toString() : '';
+  const state = `<script>window.${ARTICLE_STATE_GLOBAL}=${serializeState(dehydrateArticleCache([getArticleCacheKey(slug, locale)]))};</script>`;
+
+  return { html, head, htmlAttributes, state, status: article ? 200 : 404 };
+};
+
+/**
+ * Injects a rendered article into the app's HTML template
+ * @param {string} template - Built index.html containing `<div id="root"></div>`
+ * @param {Object} rendered - Result of renderArticle
+ * @returns {string} Complete HTML document
+ */
+export const injectIntoTemplate = (template, { html, head, htmlAttributes, state }) => template
+  // Function replacers, so "$&" and the like in article content are inserted as is
+  .replace(/<html[^>]*>/, (tag) => (htmlAttributes ? `<html ${htmlAttributes}>` : tag))
+  .replace('</head>', () => `${head}</head>`)
+  .replace('<div id="root"></div>', () => `<div id="root">${html}</div>${state}`);
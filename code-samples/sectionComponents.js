@@ -0,0 +1,57 @@
+import TextSection from './TextSection';
+import BeforeAfterSection from './BeforeAfterSection';
+import ImageGridSection from './ImageGridSection';
+import PullQuoteSection from './PullQuoteSection';
+import CalloutSection from './CalloutSection';
+import MaterialsSection from './MaterialsSection';
+import FloorPlanSection from './FloorPlanSection';
+
+/**
+ * Components rendering each section type (see SECTION_TYPES in
+ * articleModel.js). Every component receives the same props:
+ * - section: the section
+ * - index: its position in the article
+ * - title: its title, or a numbered fallback
+ * - photos: gallery items of the section's photos (see buildGallery), in
+ *   display order; photo is the first one
+ * - onOpenPhoto: opens one of them in the lightbox, by position in photos
+ * - article, pageUrl: the article and its canonical URL
+ * - getHeadingId: anchor of a rich text heading, for the table of contents
+ * - palettes: swatches of each photo, unless the article hides palettes
+ * - onFilterColor: filters related articles by a colour family
+ * @type {Map<string, React.ComponentType>}
+ */
+const sectionComponents = new Map([
+  ['text', TextSection],
+  ['before-after', BeforeAfterSection],
+  ['image-grid', ImageGridSection],
+  ['pull-quote', PullQuoteSection],
+  ['callout', CalloutSection],
+  ['materials', MaterialsSection],
+  ['floor-plan', FloorPlanSection]
+]);
+
+/**
+ * Registers the component of a section type, replacing any built-in one
+ * @param {string} type - Section type, e.g. "mood-board"
+ * @param {React.ComponentType} component - Component rendering it
+ */
+export const registerSectionComponent = (type, component) => {
+  sectionComponents.set(type, component);
+};
+
+/**
+ * Returns the component rendering a section. Unknown types fall back to the
+ * text layout, so new CMS components don't break the page before they ship.
+ * @param {Object} section - Article section
+ * @returns {React.ComponentType} Section component
+ */
+export const getSectionComponent = (section) => sectionComponents.get(section.type) || TextSection;
+
+/**
+ * Checks whether a section is rendered with the text layout: text sections
+ * and sections of unknown types
+ * @param {Object} section - Article section
+ * @returns {boolean} True if the section shows a photo beside its text
+ */
+export const usesTextLayout = (section) => getSectionComponent(section) === TextSection;
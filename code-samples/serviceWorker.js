@@ -0,0 +1,401 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker keeping articles readable offline.
+ *
+ * Every article page a reader visits is cached together with the CMS
+ * responses and images it loaded, so it opens again without a connection.
+ * Visited articles are evicted least recently used first once there are
+ * more than MAX_VISITED_ARTICLES; articles the reader saved to their
+ * reading list are kept until they are removed from it. Images not tied to
+ * an article (e.g. related article cards) are capped separately.
+ *
+ * Served from the site root (e.g. /service-worker.js) so its scope covers
+ * every page. The CMS base URL and the default locale are passed in the
+ * script URL's `api` and `locale` query parameters by offlineArticles.js.
+ */
+
+const CACHE_VERSION = 'v1';
+const PAGE_CACHE = `article-pages-${CACHE_VERSION}`;
+const DATA_CACHE = `article-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `article-images-${CACHE_VERSION}`;
+const META_CACHE = `offline-meta-${CACHE_VERSION}`;
+
+// Cache size limits
+const MAX_VISITED_ARTICLES = 30;
+const MAX_LOOSE_IMAGES = 150;
+
+// Where the article index is persisted between service worker restarts
+const INDEX_URL = '/__offline-articles__.json';
+
+const API_URL = new URL(self.location).searchParams.get('api') || '';
+const DEFAULT_LOCALE = new URL(self.location).searchParams.get('locale') || 'en';
+const ARTICLE_PATH_PATTERN = /^(\/[a-z]{2}(-[A-Za-z]{2})?)?\/articles\/[^/]+\/?$/;
+const READING_LIST_PATH_PATTERN = /^(\/[a-z]{2}(-[A-Za-z]{2})?)?\/reading-list\/?$/;
+const LOCALE_PREFIX_PATTERN = /^\/([a-z]{2}(?:-[A-Za-z]{2})?)(?=\/)/;
+
+// Text of the offline page, by locale. The worker can't load the app's
+// catalogs, so these mirror offlineTitle, offlineMessage and readingList in
+// messages.js.
+const OFFLINE_PAGE_TEXT = {
+  en: {
+    title: 'You\'re offline',
+    message: 'This article isn\'t available offline yet. Articles you\'ve read recently or saved to your reading list can still be opened, and this page will load once you\'re back online.',
+    readingList: 'Open your reading list'
+  },
+  fr: {
+    title: 'Vous êtes hors ligne',
+    message: 'Cet article n\'est pas encore disponible hors ligne. Les articles lus récemment ou ajoutés à votre liste de lecture restent accessibles, et cette page se chargera dès le retour de la connexion.',
+    readingList: 'Ouvrir votre liste de lecture'
+  }
+};
+
+/**
+ * Article index, keyed by article page path:
+ *   { [path]: { urls: string[], saved: boolean, usedAt: number } }
+ * `urls` lists every cached response belonging to the article.
+ * @type {Object|null}
+ */
+let articleIndex = null;
+
+const loadIndex = async () => {
+  if (articleIndex) return articleIndex;
+  try {
+    const response = await (await caches.open(META_CACHE)).match(INDEX_URL);
+    articleIndex = response ? await response.json() : {};
+  } catch (e) {
+    articleIndex = {};
+  }
+  return articleIndex;
+};
+
+const saveIndex = async () => {
+  const cache = await caches.open(META_CACHE);
+  await cache.put(INDEX_URL, new Response(JSON.stringify(articleIndex), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+/**
+ * Removes every cached response that belongs to an article
+ * @param {string} path - Article page path
+ */
+const deleteArticle = async (path) => {
+  const entry = articleIndex[path];
+  if (!entry) return;
+  delete articleIndex[path];
+
+  const cacheNames = [PAGE_CACHE, DATA_CACHE, IMAGE_CACHE];
+  const cachesToClean = await Promise.all(cacheNames.map(name => caches.open(name)));
+  await Promise.all(entry.urls.flatMap(url => cachesToClean.map(cache => cache.delete(url))));
+};
+
+/**
+ * Evicts the least recently read visited articles above the limit, and the
+ * oldest loose images. Saved articles are never evicted.
+ */
+const enforceLimits = async () => {
+  // The index may not be loaded yet after the worker restarted
+  await loadIndex();
+  const visited = Object.entries(articleIndex)
+    .filter(([, entry]) => !entry.saved)
+    .sort(([, a], [, b]) => b.usedAt - a.usedAt);
+
+  for (const [path] of visited.slice(MAX_VISITED_ARTICLES)) {
+    await deleteArticle(path);
+  }
+
+  // Cache keys come back in insertion order and hits are re-inserted, so the front is least recently used
+  const articleUrls = new Set(Object.values(articleIndex).flatMap(entry => entry.urls));
+  const imageCache = await caches.open(IMAGE_CACHE);
+  const looseImages = (await imageCache.keys()).filter(request => !articleUrls.has(request.url));
+  await Promise.all(
+    looseImages.slice(0, Math.max(looseImages.length - MAX_LOOSE_IMAGES, 0)).map(request => imageCache.delete(request))
+  );
+
+  await saveIndex();
+};
+
+/**
+ * Records a cached URL against the article page that requested it, and
+ * marks the article as just read
+ * @param {string} path - Article page path
+ * @param {string} url - Cached URL
+ */
+const addToArticle = async (path, url) => {
+  await loadIndex();
+  const entry = articleIndex[path] || { urls: [], saved: false, usedAt: 0 };
+  if (!entry.urls.includes(url)) entry.urls.push(url);
+  entry.usedAt = Date.now();
+  articleIndex[path] = entry;
+};
+
+/**
+ * Returns the article page path of the window that made a request
+ * (for navigations, the page being opened)
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<string|null>} Article path, or null for other pages
+ */
+const getArticlePathOfClient = async (event) => {
+  const client = event.request.mode !== 'navigate' && event.clientId && await self.clients.get(event.clientId);
+  const url = new URL(client ? client.url : event.request.url);
+  return ARTICLE_PATH_PATTERN.test(url.pathname) ? url.pathname : null;
+};
+
+/**
+ * Moves a cache hit to the end of the cache's keys, so insertion order
+ * tracks recency
+ * @param {Cache} cache - Cache holding the response
+ * @param {Request} request - Request
+ * @param {Response} response - Cached response
+ */
+const touch = async (cache, request, response) => {
+  await cache.delete(request);
+  await cache.put(request, response);
+};
+
+/**
+ * Network first, falling back to the cache. Fresh responses are cached
+ * and tied to the article being read.
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (event, cacheName) => {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    const path = await getArticlePathOfClient(event);
+    if (response.ok && path) {
+      await cache.put(request, response.clone());
+      await addToArticle(path, request.url);
+      event.waitUntil(enforceLimits());
+    }
+    return response;
+  } catch (error) {
+    // Responses cached by cacheArticleData were requested without the page's headers
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Cache first for images, which don't change once published
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  // An opaque copy saved for a plain <img> can't answer a CORS request (e.g.
+  // palette extraction); the network response replaces it and serves both
+  if (cached && !(cached.type === 'opaque' && request.mode === 'cors')) {
+    event.waitUntil(touch(cache, request, cached.clone()));
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Opaque cross-origin images (status 0) are cached too, but they count fully against storage
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    const path = await getArticlePathOfClient(event);
+    if (path) await addToArticle(path, request.url);
+    event.waitUntil(enforceLimits());
+  }
+  return response;
+};
+
+/**
+ * Page shown when an article that was never cached is opened offline, in
+ * the locale of its URL
+ * @param {string} url - URL of the page being opened
+ * @returns {Response}
+ */
+const offlineFallback = (url) => {
+  const prefix = new URL(url).pathname.match(LOCALE_PREFIX_PATTERN);
+  const locale = prefix ? prefix[1] : DEFAULT_LOCALE;
+  const text = OFFLINE_PAGE_TEXT[locale] || OFFLINE_PAGE_TEXT[locale.split('-')[0]] || OFFLINE_PAGE_TEXT.en;
+  const readingListPath = `${prefix ? `/${prefix[1]}` : ''}/reading-list`;
+
+  return new Response(
+    `<!doctype html><html lang="${locale}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${text.title}</title></head><body style="font-family:sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;text-align:center">
+<h1>${text.title}</h1><p>${text.message}</p><p><a href="${readingListPath}">${text.readingList}</a></p></body></html>`,
+    { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+  );
+};
+
+/**
+ * Handles article page navigations: the network first, then the cached
+ * page, then the app shell or the offline page
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+const handleNavigation = async (event) => {
+  try {
+    return await networkFirst(event, PAGE_CACHE);
+  } catch (error) {
+    const shell = await caches.match('/', { cacheName: PAGE_CACHE });
+    return shell || offlineFallback(event.request.url);
+  }
+};
+
+/**
+ * Handles reading list navigations, which the offline page links to: the
+ * network first (keeping the latest copy), then the cached page, then the
+ * app shell, which renders the list from local storage
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+const handleReadingListNavigation = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(PAGE_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(cache.put(request, response.clone()));
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || await cache.match('/');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Checks if a request is a published article query to the CMS. Drafts are
+ * never cached.
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+const isArticleDataRequest = (url) => Boolean(API_URL) &&
+  url.href.startsWith(`${API_URL}/articles`) &&
+  !url.searchParams.has('status') &&
+  !url.searchParams.has('publicationState');
+
+self.addEventListener('install', (event) => {
+  // The app shell lets client-side navigation work offline; the reading list is linked from the offline page
+  event.waitUntil(caches.open(PAGE_CACHE).then(cache => Promise.all(
+    ['/', '/reading-list'].map(url => cache.add(url).catch(() => {}))
+  )));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [PAGE_CACHE, DATA_CACHE, IMAGE_CACHE, META_CACHE];
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && ARTICLE_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(handleNavigation(event));
+  } else if (request.mode === 'navigate' && READING_LIST_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(handleReadingListNavigation(event));
+  } else if (isArticleDataRequest(url)) {
+    event.respondWith(networkFirst(event, DATA_CACHE));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(event));
+  }
+});
+
+/**
+ * Caches the given URLs for an article that isn't fully cached yet, e.g.
+ * the page itself when it was loaded before the service worker took over
+ * @param {string} path - Article page path
+ * @param {string[]} urls - URLs to cache
+ */
+const cacheArticleUrls = async (path, urls) => {
+  await Promise.all(urls.map(async (url) => {
+    const cacheName = url === new URL(path, self.location.origin).href ? PAGE_CACHE : IMAGE_CACHE;
+    const cache = await caches.open(cacheName);
+    if (await cache.match(url)) {
+      await addToArticle(path, url);
+      return;
+    }
+    try {
+      const response = await fetch(url, { mode: cacheName === IMAGE_CACHE ? 'no-cors' : 'same-origin' });
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(url, response);
+        await addToArticle(path, url);
+      }
+    } catch (e) {
+      // Left for the next visit
+    }
+  }));
+};
+
+/**
+ * Caches the CMS requests loading an article, which a client-rendered page
+ * makes when it opens offline
+ * @param {string} path - Article page path
+ * @param {Array<{url: string, headers: Object}>} requests - Requests to cache
+ */
+const cacheArticleData = async (path, requests) => {
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(requests.map(async ({ url, headers }) => {
+    if (!isArticleDataRequest(new URL(url))) return;
+    if (await cache.match(url, { ignoreVary: true })) {
+      await addToArticle(path, url);
+      return;
+    }
+    try {
+      const response = await fetch(url, { headers });
+      if (response.ok) {
+        await cache.put(url, response);
+        await addToArticle(path, url);
+      }
+    } catch (e) {
+      // Left for the next visit
+    }
+  }));
+};
+
+/**
+ * Messages from offlineArticles.js. Requests with a reply port are answered
+ * with the article's offline status.
+ */
+self.addEventListener('message', (event) => {
+  const { type, path, urls = [], requests = [], savedArticles = [] } = event.data || {};
+  const reply = event.ports[0];
+
+  event.waitUntil((async () => {
+    await loadIndex();
+
+    if (type === 'visitArticle') {
+      await cacheArticleUrls(path, [new URL(path, self.location.origin).href, ...urls]);
+      await cacheArticleData(path, requests);
+      await enforceLimits();
+    } else if (type === 'setSavedArticles') {
+      const saved = new Set(savedArticles.map(article => article.path));
+      Object.entries(articleIndex).forEach(([articlePath, entry]) => {
+        entry.saved = saved.has(articlePath);
+      });
+      // Saved articles that were never opened here get their page and data cached now
+      for (const { path: savedPath, requests: savedRequests = [] } of savedArticles) {
+        if (!articleIndex[savedPath]) {
+          await cacheArticleUrls(savedPath, [new URL(savedPath, self.location.origin).href]);
+          await cacheArticleData(savedPath, savedRequests);
+          if (articleIndex[savedPath]) articleIndex[savedPath].saved = true;
+        }
+      }
+      await enforceLimits();
+    }
+
+    if (reply) {
+      const entry = articleIndex[path];
+      reply.postMessage({ available: Boolean(entry), saved: Boolean(entry?.saved) });
+    }
+  })());
+});
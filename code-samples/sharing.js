@@ -0,0 +1,144 @@
+import { getMediaUrl } from './media';
+import { getArticlePhotoUrl } from './paths';
+
+/**
+ * Share link helpers. Every shared URL carries UTM parameters naming the
+ * network it was shared to, so referrals show up per channel in analytics.
+ */
+
+// Campaign name for links readers share from article pages
+const UTM_CAMPAIGN = 'article_share';
+
+// Quotes longer than this are linked with a start,end text fragment
+const MAX_FULL_FRAGMENT_LENGTH = 80;
+const FRAGMENT_EDGE_WORDS = 4;
+
+/**
+ * Adds UTM parameters to a URL, keeping its hash
+ * @param {string} url - Page URL
+ * @param {string} source - Where the link is shared, e.g. "pinterest"
+ * @param {string} [medium] - Kind of channel
+ * @returns {string} Tracked URL
+ */
+export const withUtm = (url, source, medium = 'social') => {
+  try {
+    const tracked = new URL(url);
+    tracked.searchParams.set('utm_source', source);
+    tracked.searchParams.set('utm_medium', medium);
+    tracked.searchParams.set('utm_campaign', UTM_CAMPAIGN);
+    return tracked.toString();
+  } catch (e) {
+    return url;
+  }
+};
+
+/**
+ * Builds the share link for a network
+ * @param {('facebook'|'twitter'|'pinterest'|'email')} network - Network
+ * @param {Object} options
+ * @param {string} options.url - Page URL (UTM parameters are added)
+ * @param {string} [options.text] - Title or quote to share
+ * @param {string} [options.media] - Absolute image URL (Pinterest)
+ * @param {string} [options.emailBody] - Email body, with the link already in it
+ * @returns {string} Share URL
+ */
+export const getShareUrl = (network, { url, text = '', media, emailBody }) => {
+  const encode = encodeURIComponent;
+
+  switch (network) {
+    case 'facebook':
+      return `https://www.facebook.com/sharer/sharer.php?u=${encode(withUtm(url, 'facebook'))}`;
+    case 'twitter':
+      return `https://twitter.com/intent/tweet?url=${encode(withUtm(url, 'twitter'))}&text=${encode(text)}`;
+    case 'pinterest':
+      return `https://www.pinterest.com/pin/create/button/?url=${encode(withUtm(url, 'pinterest'))}` +
+        `${media ? `&media=${encode(media)}` : ''}&description=${encode(text)}`;
+    case 'email':
+      return `mailto:?subject=${encode(text)}&body=${encode(emailBody || withUtm(url, 'email', 'email'))}`;
+    default:
+      return url;
+  }
+};
+
+/**
+ * Builds the Pinterest link for one gallery photo. The pinned page opens the
+ * article on that photo.
+ * @param {Object} photo - Gallery item from buildGallery
+ * @param {Object} options
+ * @param {string} options.pageUrl - Article URL
+ * @param {string} options.articleTitle - Fallback description
+ * @returns {string|null} Pin URL, or null when the photo has no usable URL
+ */
+export const getPinUrl = (photo, { pageUrl, articleTitle }) => {
+  const media = getMediaUrl(photo.resource, photo.externalUrl);
+  if (!media) return null;
+
+  const description = [photo.caption || photo.title || articleTitle, photo.caption ? articleTitle : null]
+    .filter(Boolean)
+    .join(' | ');
+  return getShareUrl('pinterest', { url: getArticlePhotoUrl(pageUrl, media), text: description, media });
+};
+
+/**
+ * Links to a quote within a page with a text fragment, so supporting
+ * browsers scroll to and highlight it
+ * @param {string} url - Page URL
+ * @param {string} quote - Selected text
+ * @returns {string} URL with a `#:~:text=` fragment
+ */
+export const getQuoteUrl = (url, quote) => {
+  const text = quote.replace(/\s+/g, ' ').trim();
+  const encode = (part) => encodeURIComponent(part).replace(/-/g, '%2D').replace(/,/g, '%2C');
+  const base = url.split('#')[0];
+
+  if (text.length <= MAX_FULL_FRAGMENT_LENGTH) {
+    return `${base}#:~:text=${encode(text)}`;
+  }
+  const words = text.split(' ');
+  const start = words.slice(0, FRAGMENT_EDGE_WORDS).join(' ');
+  const end = words.slice(-FRAGMENT_EDGE_WORDS).join(' ');
+  return `${base}#:~:text=${encode(start)},${encode(end)}`;
+};
+
+/**
+ * Checks if the browser has a native share sheet. Only meaningful in the
+ * browser; call it after mounting so server and client markup match.
+ * @param {Object} [data] - Data that will be shared, e.g. `{files}`
+ * @returns {boolean}
+ */
+export const canShareNatively = (data) => {
+  if (typeof navigator === 'undefined' || !navigator.share) return false;
+  return !data || !navigator.canShare || navigator.canShare(data);
+};
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the
+ * Clipboard API is unavailable (e.g. insecure origins, older browsers)
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+export const copyToClipboard = async (text) => {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (e) {
+    // Fall through to the textarea fallback
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand('copy');
+  } catch (e) {
+    return false;
+  } finally {
+    document.body.removeChild(textarea);
+  }
+};
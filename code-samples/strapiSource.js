@@ -0,0 +1,346 @@
+import axios from 'axios';
+import { toApiError, UnauthorizedError } from './apiErrors';
+import { createArticle, rankRelatedArticles, SECTION_TYPES } from './articleModel';
+
+// Retry policy for transient network failures
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Fields and relations needed to render an article card
+const CARD_PARAMS = {
+  'fields[0]': 'title',
+  'fields[1]': 'slug',
+  'fields[2]': 'publishedAt',
+  'fields[3]': 'seriesPart',
+  'populate[images]': true,
+  'populate[category]': true,
+  'populate[tags]': true,
+  'populate[palette]': true
+};
+
+// Category of the Sections dynamic-zone components ("sections.pull-quote")
+const SECTION_COMPONENT_CATEGORY = 'sections';
+
+// Populates every Sections component; text sections need their caption files too
+const SECTION_POPULATE_PARAMS = {
+  ...Object.fromEntries(SECTION_TYPES.filter(type => type !== 'text').map(type => [
+    `populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.${type}][populate]`, '*'
+  ])),
+  [`populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.text][populate][Image]`]: true,
+  [`populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.text][populate][video]`]: true,
+  [`populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.text][populate][videoCaptions][populate]`]: '*',
+  [`populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.text][populate][products][populate][image]`]: true,
+  [`populate[Sections][on][${SECTION_COMPONENT_CATEGORY}.text][populate][palette]`]: true
+};
+
+/**
+ * Checks if a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, 5xx and 429 responses
+ */
+const isTransientError = (error) => {
+  if (axios.isCancel(error)) return false;
+  if (!error.response) return true;
+
+  const { status } = error.response;
+  return status >= 500 || status === 429;
+};
+
+/**
+ * Waits before the next retry, rejecting early if the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal of the request
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new axios.Cancel('Request aborted'));
+  }, { once: true });
+});
+
+/**
+ * Unwraps Strapi v4 response envelopes (`{data: {id, attributes}}`) into
+ * plain objects like Strapi v5 returns, recursively
+ * @param {*} value - Response value
+ * @returns {*} Flat value
+ */
+export const flattenStrapiEntry = (value) => {
+  if (Array.isArray(value)) return value.map(flattenStrapiEntry);
+  if (!value || typeof value !== 'object') return value;
+
+  const keys = Object.keys(value);
+  if (keys.includes('data') && keys.every(key => key === 'data' || key === 'meta')) {
+    return flattenStrapiEntry(value.data);
+  }
+  if (value.attributes && typeof value.attributes === 'object') {
+    return { id: value.id, ...flattenStrapiEntry(value.attributes) };
+  }
+  return Object.fromEntries(keys.map(key => [key, flattenStrapiEntry(value[key])]));
+};
+
+/**
+ * Creates a content source reading articles from the Strapi REST API
+ * (v4 or v5)
+ * @param {Object} options
+ * @param {string} options.apiUrl - API base URL, e.g. "https://cms.example.com/api"
+ * @param {string} [options.token] - Read-only API token
+ * @param {string} [options.previewToken] - API token with draft read access (server only)
+ * @param {number} [options.version] - Strapi major version; draft queries differ between v4 and v5
+ * @returns {import('./contentSources').ContentSource} The source
+ */
+export const createStrapiSource = ({ apiUrl, token: apiToken, previewToken, version = 5 }) => {
+  const resolveUrl = (url) => {
+    try {
+      return new URL(url, apiUrl).toString();
+    } catch (e) {
+      return url;
+    }
+  };
+
+  /**
+   * Resolves upload URLs, which Strapi returns relative to its own host
+   * @param {Object|null} media - Flattened media
+   * @returns {import('./articleModel').Media|null} Media with absolute URLs
+   */
+  const toMedia = (media) => {
+    if (!media?.url) return null;
+    const formats = media.formats && Object.fromEntries(
+      Object.entries(media.formats).map(([name, format]) => [name, toMedia(format)])
+    );
+    const previewUrl = media.previewUrl ? resolveUrl(media.previewUrl) : undefined;
+    return { ...media, url: resolveUrl(media.url), formats: formats || undefined, previewUrl };
+  };
+
+  const toCaptions = (captions) => (captions || []).map(caption => ({ ...caption, file: toMedia(caption.file) }));
+
+  const toProducts = (products) => (products || []).map(product => ({ ...product, image: toMedia(product.image) }));
+
+  /**
+   * Resolves the media nested anywhere in a typed section's fields
+   * @param {*} value - Field value
+   * @returns {*} Value with absolute media URLs
+   */
+  const resolveMedia = (value) => {
+    if (Array.isArray(value)) return value.map(resolveMedia);
+    if (!value || typeof value !== 'object') return value;
+    if (value.url && value.mime) return toMedia(value);
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, resolveMedia(field)]));
+  };
+
+  /**
+   * Maps a Sections entry to the model. Text sections still use the
+   * capitalized field names of the original repeatable component.
+   * @param {Object} section - Dynamic-zone component
+   * @returns {import('./articleModel').Section} Section
+   */
+  const toSection = ({ __component: component, ...section }) => {
+    const type = component ? component.split('.').pop() : 'text';
+    if (type !== 'text') return { ...resolveMedia(section), type };
+
+    return {
+      type,
+      title: section.Title,
+      text: section.Text,
+      anchor: section.anchor,
+      image: toMedia(section.Image),
+      imageUrl: section.imageUrl,
+      imageCaption: section.ImageCaption,
+      imageCredit: section.ImageCredit,
+      products: toProducts(section.products),
+      palette: section.palette || [],
+      video: toMedia(section.video),
+      videoUrl: section.videoUrl,
+      videoCaptions: toCaptions(section.videoCaptions)
+    };
+  };
+
+  /**
+   * Maps a Strapi article entry to the article model
+   * @param {Object} entry - Article entry (v4 or v5)
+   * @returns {import('./articleModel').Article} Article
+   */
+  const toArticle = (entry) => {
+    const article = flattenStrapiEntry(entry);
+    const seo = article.seo && {
+      ...article.seo,
+      metaImage: toMedia(article.seo.metaImage),
+      metaSocial: (article.seo.metaSocial || []).map(social => ({ ...social, image: toMedia(social.image) }))
+    };
+
+    return createArticle({
+      ...article,
+      id: article.documentId || article.id,
+      sections: (article.Sections || []).map(toSection),
+      images: (article.images || []).map(toMedia).filter(Boolean),
+      video: [].concat(article.video || []).map(toMedia).filter(Boolean),
+      videoCaptions: toCaptions(article.videoCaptions),
+      products: toProducts(article.products),
+      category: article.category || null,
+      tags: article.tags || [],
+      series: article.series || null,
+      seo: seo || null,
+      localizations: article.localizations || [],
+      Sections: undefined
+    });
+  };
+
+  /**
+   * Sends a GET request to the CMS, retrying transient failures with
+   * exponential backoff. Failures are thrown as typed errors (see apiErrors.js).
+   * @param {string} path - API path, e.g. "/articles"
+   * @param {Object} options
+   * @param {Object} options.params - Query parameters
+   * @param {AbortSignal} [options.signal] - Cancels the request and pending retries
+   * @param {string} [options.token] - API token, defaults to the public read token
+   * @returns {Promise<Object>} Response body
+   */
+  const getWithRetry = async (path, { params, signal, token = apiToken }) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(`${apiUrl}${path}`, {
+          params,
+          headers: { Authorization: `Bearer ${token}` },
+          signal
+        });
+        return response.data;
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || signal?.aborted || !isTransientError(error)) {
+          throw toApiError(error);
+        }
+        await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+      }
+    }
+  };
+
+  /**
+   * Query parameters loading an article with all of its relations
+   * @param {string} slug - Article slug
+   * @param {string} locale - Article locale
+   * @param {boolean} [preview] - Selects the draft
+   * @returns {Object} Query parameters
+   */
+  const getArticleParams = (slug, locale, preview) => ({
+    'populate[images]': true,
+    'populate[video]': true,
+    'populate[videoCaptions][populate]': '*',
+    ...SECTION_POPULATE_PARAMS,
+    'populate[category]': true,
+    'populate[tags]': true,
+    'populate[series]': true,
+    'populate[products][populate][image]': true,
+    'populate[palette]': true,
+    'populate[seo][populate]': '*',
+    'populate[localizations][fields][0]': 'slug',
+    'populate[localizations][fields][1]': 'locale',
+    'filters[slug][$eq]': slug,
+    locale,
+    // Strapi v5 selects drafts with `status`, v4 with `publicationState`
+    ...(preview ? (version >= 5 ? { status: 'draft' } : { publicationState: 'preview' }) : {})
+  });
+
+  /**
+   * Fetches article cards matching a query
+   * @param {Object} query - Filter, sort and pagination parameters
+   * @param {Object} options
+   * @param {string} options.locale - Locale to list
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array<Object>>} Matching articles with card fields only
+   */
+  const fetchArticleCards = async (query, { locale, signal }) => {
+    const body = await getWithRetry('/articles', {
+      params: { ...CARD_PARAMS, ...query, locale },
+      signal
+    });
+    return body.data.map(toArticle);
+  };
+
+  return {
+    name: 'strapi',
+
+    // Fetches an article with all of its relations in a single request
+    fetchArticle: async (slug, { signal, preview, locale }) => {
+      if (preview && !previewToken) throw new UnauthorizedError('No API token with draft access is configured');
+
+      const body = await getWithRetry('/articles', {
+        params: getArticleParams(slug, locale, preview),
+        signal,
+        token: preview ? previewToken : apiToken
+      });
+
+      return body.data[0] ? toArticle(body.data[0]) : null;
+    },
+
+    // The published article request, for the service worker to cache it
+    getArticleRequests: (slug, { locale }) => [{
+      url: axios.getUri({ url: `${apiUrl}/articles`, params: getArticleParams(slug, locale) }),
+      headers: { Authorization: `Bearer ${apiToken}` }
+    }],
+
+    // Related articles are narrowed down by the CMS, then ranked here
+    fetchRelatedArticles: async (article, { locale, limit, signal }) => {
+      const tagIds = (article.tags || []).map(tag => tag.id);
+      const categoryId = article.category?.id;
+      if (tagIds.length === 0 && !categoryId) return [];
+
+      const query = {
+        'filters[slug][$ne]': article.slug,
+        'sort[0]': 'publishedAt:desc',
+        'pagination[pageSize]': limit * 4
+      };
+      if (categoryId) query['filters[$or][0][category][id][$eq]'] = categoryId;
+      tagIds.forEach((id, index) => {
+        query[`filters[$or][1][tags][id][$in][${index}]`] = id;
+      });
+
+      return rankRelatedArticles(article, await fetchArticleCards(query, { locale, signal })).slice(0, limit);
+    },
+
+    fetchRecentArticles: ({ locale, limit, excludeSlug, signal }) => fetchArticleCards({
+      ...(excludeSlug ? { 'filters[slug][$ne]': excludeSlug } : {}),
+      'sort[0]': 'publishedAt:desc',
+      'pagination[pageSize]': limit
+    }, { locale, signal }),
+
+    fetchAdjacentArticles: async (article, { locale, signal }) => {
+      const adjacent = (operator, direction) => fetchArticleCards({
+        'filters[category][id][$eq]': article.category.id,
+        [`filters[publishedAt][${operator}]`]: article.publishedAt,
+        'sort[0]': `publishedAt:${direction}`,
+        'pagination[pageSize]': 1
+      }, { locale, signal }).then(articles => articles[0] || null);
+
+      const [previous, next] = await Promise.all([adjacent('$lt', 'desc'), adjacent('$gt', 'asc')]);
+      return { previous, next };
+    },
+
+    fetchSeriesArticles: (series, { locale, signal }) => fetchArticleCards({
+      'filters[series][id][$eq]': series.id,
+      'sort[0]': 'seriesPart:asc',
+      'sort[1]': 'publishedAt:asc',
+      'pagination[pageSize]': 100
+    }, { locale, signal }),
+
+    // Follows pagination through every published article
+    fetchArticleSlugs: async (locale) => {
+      const slugs = [];
+
+      for (let page = 1, pageCount = 1; page <= pageCount; page++) {
+        const body = await getWithRetry('/articles', {
+          params: {
+            'fields[0]': 'slug',
+            'pagination[page]': page,
+            'pagination[pageSize]': 100,
+            locale
+          }
+        });
+
+        body.data.forEach(entry => slugs.push(flattenStrapiEntry(entry).slug));
+        pageCount = body.meta?.pagination?.pageCount || 1;
+      }
+
+      return slugs;
+    }
+  };
+};
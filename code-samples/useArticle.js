@@ -0,0 +1,107 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import axios from 'axios';
+import { fetchArticle, getCachedArticle, isStale } from './articleService';
+import { NotFoundError, toApiError } from './apiErrors';
+import { reportError } from './logger';
+
+/**
+ * Creates the error for an article that doesn't exist
+ * @param {string} [slug] - Article slug
+ * @returns {NotFoundError}
+ */
+const createNotFoundError = (slug) => new NotFoundError(slug ? `Article "${slug}" not found` : 'No article slug');
+
+/**
+ * useArticle Hook
+ *
+ * Loads an article by slug with stale-while-revalidate caching. Cached
+ * articles render immediately and are refreshed in the background once
+ * stale; requests superseded by a slug change are aborted. In preview mode
+ * the cache is bypassed so drafts and published content never mix.
+ * Failures are reported as typed errors (see apiErrors.js); loads that
+ * failed while offline are retried once the connection is back.
+ *
+ * @param {string} slug - Article slug
+ * @param {Object} [options]
+ * @param {string} [options.previewSecret] - Fetches the draft version with this preview secret
+ * @param {string} [options.locale] - Locale of the version to load
+ * @returns {{article: Object|null, sections: Array, loading: boolean, error: ApiError|null, retry: Function}}
+ */
+const useArticle = (slug, { previewSecret, locale } = {}) => {
+  // Cached articles (and cached misses, so server-rendered 404s hydrate as such) render without loading
+  const getInitialEntry = () => (slug && !previewSecret ? getCachedArticle(slug, locale) : null);
+  const [article, setArticle] = useState(() => getInitialEntry()?.data || null);
+  const [loading, setLoading] = useState(() => Boolean(slug) && !getInitialEntry());
+  const [error, setError] = useState(() => (
+    !slug || (getInitialEntry() && !getInitialEntry().data) ? createNotFoundError(slug) : null
+  ));
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!slug) {
+      setArticle(null);
+      setError(createNotFoundError(slug));
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const cached = previewSecret ? null : getCachedArticle(slug, locale);
+
+    if (cached) {
+      setArticle(cached.data);
+      setError(cached.data ? null : createNotFoundError(slug));
+      setLoading(false);
+      if (!isStale(cached)) return;
+    } else {
+      setArticle(null);
+      setError(null);
+      setLoading(true);
+    }
+
+    const loadArticle = async () => {
+      try {
+        const articleData = await fetchArticle(slug, { signal: controller.signal, previewSecret, locale });
+        if (controller.signal.aborted) return;
+
+        if (articleData) {
+          setArticle(articleData);
+        } else {
+          setArticle(null);
+          setError(createNotFoundError(slug));
+        }
+      } catch (error) {
+        if (controller.signal.aborted || axios.isCancel(error)) return;
+        const apiError = toApiError(error);
+        reportError("Error loading article", apiError, { slug, locale, kind: apiError.kind, status: apiError.status });
+
+        // Keep showing the cached copy if a background refresh fails
+        if (!cached) {
+          setError(apiError);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadArticle();
+    return () => controller.abort();
+  }, [slug, previewSecret, locale, attempt]);
+
+  const retry = useCallback(() => setAttempt(current => current + 1), []);
+
+  // Try again as soon as the connection comes back
+  useEffect(() => {
+    if (error?.kind !== 'offline') return;
+    window.addEventListener('online', retry);
+    return () => window.removeEventListener('online', retry);
+  }, [error, retry]);
+
+  const sections = useMemo(() => article?.sections || [], [article]);
+
+  return { article, sections, loading, error, retry };
+};
+
+export default useArticle;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { fetchRelatedArticles, fetchAdjacentArticles, fetchSeriesArticles } from './articleService';
+import { reportError } from './logger';
+
+// Related articles loaded, so readers filtering them by colour have more to
+// choose from than the three shown by default
+const RELATED_CANDIDATES = 9;
+
+const EMPTY_NAVIGATION = { related: [], previous: null, next: null, series: [] };
+
+/**
+ * useArticleNavigation Hook
+ *
+ * Loads what readers can go to after an article: related articles, the
+ * previous and next articles in its category, and the other parts of its
+ * series. The lists load independently, so one failing request doesn't
+ * hide the others. They are reloaded when the slug or locale changes, not
+ * when a background refresh replaces the article object.
+ *
+ * @param {Object|null} article - The loaded article
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale of the lists
+ * @returns {{related: Array, previous: Object|null, next: Object|null, series: Array, loading: boolean}}
+ */
+const useArticleNavigation = (article, { locale } = {}) => {
+  const [navigation, setNavigation] = useState(EMPTY_NAVIGATION);
+  const [loading, setLoading] = useState(false);
+  const articleRef = useRef(article);
+  articleRef.current = article;
+  const slug = article?.slug;
+
+  useEffect(() => {
+    const current = articleRef.current;
+    setNavigation(EMPTY_NAVIGATION);
+    if (!slug || !current) {
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const options = { locale, signal: controller.signal };
+
+    const loadNavigation = async () => {
+      setLoading(true);
+      const [related, adjacent, series] = await Promise.allSettled([
+        fetchRelatedArticles(current, { ...options, limit: RELATED_CANDIDATES }),
+        fetchAdjacentArticles(current, options),
+        fetchSeriesArticles(current.series, options)
+      ]);
+      if (controller.signal.aborted) return;
+
+      [related, adjacent, series]
+        .filter(result => result.status === 'rejected' && !axios.isCancel(result.reason))
+        .forEach(result => reportError("Error loading article navigation", result.reason));
+
+      setNavigation({
+        related: related.value || [],
+        previous: adjacent.value?.previous || null,
+        next: adjacent.value?.next || null,
+        series: series.value || []
+      });
+      setLoading(false);
+    };
+
+    loadNavigation();
+    return () => controller.abort();
+  }, [slug, locale]);
+
+  return { ...navigation, loading };
+};
+
+export default useArticleNavigation;
@@ -0,0 +1,233 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { fetchComments, postComment, updateComment, deleteComment } from './commentsService';
+import { reportError } from './logger';
+
+// Thread key of an article's top-level comments
+const ROOT = 'root';
+
+const PAGE_SIZE = 10;
+
+const EMPTY_THREAD = { comments: [], page: 0, hasMore: true, loading: false, error: false };
+
+/**
+ * Applies a change to one comment wherever it is loaded
+ * @param {Object} threads - Threads keyed by parent id
+ * @param {string} id - Comment id
+ * @param {Function} update - Returns the changed comment, or null to remove it
+ * @returns {Object} New threads
+ */
+const mapComment = (threads, id, update) => Object.fromEntries(
+  Object.entries(threads).map(([key, thread]) => [key, {
+    ...thread,
+    comments: thread.comments.flatMap(comment => {
+      if (comment.id !== id) return [comment];
+      const updated = update(comment);
+      return updated ? [updated] : [];
+    })
+  }])
+);
+
+/**
+ * Finds a loaded comment by id
+ * @param {Object} threads - Threads keyed by parent id
+ * @param {string} id - Comment id
+ * @returns {Object|undefined} The comment
+ */
+const findComment = (threads, id) => Object.values(threads)
+  .flatMap(thread => thread.comments)
+  .find(comment => comment.id === id);
+
+/**
+ * useComments Hook
+ *
+ * Loads an article's comments page by page, with replies loaded on demand
+ * per comment, and posts, edits and deletes comments optimistically: the
+ * change shows immediately and is rolled back if the service rejects it.
+ * Nothing is fetched until `enabled` is true, so comments below the fold
+ * don't cost a request for readers who never get there.
+ *
+ * @param {string} article - Article slug
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Whether to start loading
+ * @returns {{threads: Object, total: number, loadMore: Function, post: Function,
+ *   edit: Function, remove: Function}} Loaded threads keyed by parent id
+ *   ("root" for top-level comments), the comment count and actions
+ */
+const useComments = (article, { enabled = true } = {}) => {
+  const [threads, setThreads] = useState({});
+  const [total, setTotal] = useState(0);
+  const threadsRef = useRef(threads);
+  // Threads with a page request in flight; state only updates on render, too late for quick clicks
+  const loadingRef = useRef(new Set());
+  const controllerRef = useRef(null);
+  threadsRef.current = threads;
+
+  const setThread = useCallback((key, update) => {
+    setThreads(current => ({ ...current, [key]: update(current[key] || EMPTY_THREAD) }));
+  }, []);
+
+  /**
+   * Loads the next page of a thread
+   * @param {string|null} [parentId] - Comment whose replies to load, null for top-level comments
+   */
+  const loadMore = useCallback(async (parentId = null) => {
+    const key = parentId || ROOT;
+    const thread = threadsRef.current[key] || EMPTY_THREAD;
+    if (loadingRef.current.has(key) || !thread.hasMore) return;
+
+    const controller = controllerRef.current;
+    loadingRef.current.add(key);
+    const page = thread.page + 1;
+    setThread(key, current => ({ ...current, loading: true, error: false }));
+
+    try {
+      const result = await fetchComments(article, {
+        parentId,
+        page,
+        pageSize: PAGE_SIZE,
+        signal: controller?.signal
+      });
+
+      setThread(key, current => {
+        // Comments the reader just posted may already be in the list
+        const loadedIds = new Set(current.comments.map(comment => comment.id));
+        return {
+          comments: [...current.comments, ...result.comments.filter(comment => !loadedIds.has(comment.id))],
+          page,
+          hasMore: result.hasMore,
+          loading: false,
+          error: false
+        };
+      });
+      if (!parentId) setTotal(result.total);
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      reportError("Error loading comments", error);
+      setThread(key, current => ({ ...current, loading: false, error: true }));
+    } finally {
+      // A request of an article left behind must not unlock the new one's thread
+      if (controller === controllerRef.current) loadingRef.current.delete(key);
+    }
+  }, [article, setThread]);
+
+  // Start over whenever the article changes
+  useEffect(() => {
+    setThreads({});
+    setTotal(0);
+    threadsRef.current = {};
+    loadingRef.current = new Set();
+    if (!enabled || !article) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadMore();
+    return () => controller.abort();
+  }, [article, enabled, loadMore]);
+
+  /**
+   * Posts a comment or reply, showing it before the service confirms it
+   * @param {Object} comment
+   * @param {string|null} comment.parentId - Parent comment id for replies
+   * @param {string} comment.author - Author name
+   * @param {string} comment.body - Comment text
+   * @returns {Promise<Object>} The stored comment; rejects if posting failed
+   */
+  const post = useCallback(async ({ parentId = null, author, body }) => {
+    const key = parentId || ROOT;
+    const pending = {
+      id: `pending-${Date.now()}`,
+      parentId,
+      author: author.trim(),
+      body: body.trim(),
+      status: 'sending',
+      replyCount: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    // Newest top-level comments come first, replies read in order
+    setThread(key, current => ({
+      ...current,
+      comments: parentId ? [...current.comments, pending] : [pending, ...current.comments]
+    }));
+
+    try {
+      const saved = await postComment({ article, parentId, author, body });
+      setThreads(current => {
+        const next = mapComment(current, pending.id, () => saved);
+        return parentId
+          ? mapComment(next, parentId, parent => ({ ...parent, replyCount: (parent.replyCount || 0) + 1 }))
+          : next;
+      });
+      if (!parentId) setTotal(count => count + 1);
+      return saved;
+    } catch (error) {
+      setThreads(current => mapComment(current, pending.id, () => null));
+      throw error;
+    }
+  }, [article, setThread]);
+
+  /**
+   * Changes the text of one of the reader's comments
+   * @param {string} id - Comment id
+   * @param {string} body - New text
+   * @returns {Promise<void>} Rejects, restoring the old text, if the update failed
+   */
+  const edit = useCallback(async (id, body) => {
+    const original = findComment(threadsRef.current, id);
+    setThreads(current => mapComment(current, id, comment => ({ ...comment, body: body.trim() })));
+
+    try {
+      const saved = await updateComment(id, body);
+      setThreads(current => mapComment(current, id, () => saved));
+    } catch (error) {
+      setThreads(current => mapComment(current, id, () => original));
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Deletes one of the reader's comments. Comments with replies stay in
+   * place as a "deleted" marker so the replies keep their context.
+   * @param {string} id - Comment id
+   * @returns {Promise<void>} Rejects, restoring the comment, if the delete failed
+   */
+  const remove = useCallback(async (id) => {
+    const original = findComment(threadsRef.current, id);
+    if (!original) return;
+
+    const key = original.parentId || ROOT;
+    const index = threadsRef.current[key].comments.findIndex(comment => comment.id === id);
+    setThreads(current => mapComment(current, id, comment => (
+      comment.replyCount > 0 ? { ...comment, body: '', deleted: true } : null
+    )));
+
+    try {
+      await deleteComment(id);
+      if (original.parentId) {
+        setThreads(current => mapComment(current, original.parentId, parent => ({
+          ...parent,
+          replyCount: Math.max((parent.replyCount || 0) - 1, 0)
+        })));
+      } else {
+        setTotal(count => Math.max(count - 1, 0));
+      }
+    } catch (error) {
+      // Put the comment back where it was
+      setThreads(current => {
+        const thread = current[key] || EMPTY_THREAD;
+        if (thread.comments.some(comment => comment.id === id)) {
+          return mapComment(current, id, () => original);
+        }
+        const comments = [...thread.comments];
+        comments.splice(index, 0, original);
+        return { ...current, [key]: { ...thread, comments } };
+      });
+      throw error;
+    }
+  }, []);
+
+  return { threads, total, loadMore, post, edit, remove };
+};
+
+export default useComments;
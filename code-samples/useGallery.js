@@ -0,0 +1,61 @@
+import { useRef, useCallback, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { getPhotoIndexFromHash, findPhotoIndex } from './gallery';
+import { PHOTO_PARAM } from './paths';
+
+/**
+ * useGallery Hook
+ *
+ * Keeps the open gallery photo in the URL hash ("#photo-3") so a specific
+ * photo can be shared and the browser's back button closes the gallery.
+ * Opening adds a history entry; stepping between photos replaces it.
+ * Links naming a photo by URL (`?photo=`, from mood boards and pins) open
+ * the gallery on that photo once the article has loaded.
+ *
+ * @param {Array} items - Gallery items from buildGallery
+ * @returns {{activeIndex: number, isOpen: boolean, open: Function, goTo: Function, close: Function}}
+ *   The open photo's position (-1 when closed) and navigation helpers
+ */
+const useGallery = (items) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const pushedEntryRef = useRef(false);
+  const { pathname, search, hash } = location;
+  const count = items.length;
+  const activeIndex = getPhotoIndexFromHash(hash, count);
+
+  useEffect(() => {
+    const params = new URLSearchParams(search);
+    const src = params.get(PHOTO_PARAM);
+    if (!src || count === 0) return;
+
+    const index = findPhotoIndex(items, src);
+    params.delete(PHOTO_PARAM);
+    const rest = params.toString();
+    navigate({ pathname, search: rest ? `?${rest}` : '', hash: index !== -1 ? `#photo-${index + 1}` : hash }, { replace: true });
+  }, [items, count, navigate, pathname, search, hash]);
+
+  const open = useCallback((index) => {
+    pushedEntryRef.current = true;
+    navigate({ pathname, search, hash: `#photo-${index + 1}` });
+  }, [navigate, pathname, search]);
+
+  const goTo = useCallback((index) => {
+    const wrapped = (index + count) % count;
+    navigate({ pathname, search, hash: `#photo-${wrapped + 1}` }, { replace: true });
+  }, [navigate, pathname, search, count]);
+
+  const close = useCallback(() => {
+    // Galleries opened from a shared link have no entry of ours to go back to
+    if (pushedEntryRef.current) {
+      pushedEntryRef.current = false;
+      navigate(-1);
+    } else {
+      navigate({ pathname, search }, { replace: true });
+    }
+  }, [navigate, pathname, search]);
+
+  return { activeIndex, isOpen: activeIndex !== -1, open, goTo, close };
+};
+
+export default useGallery;
@@ -0,0 +1,27 @@
+import { useSyncExternalStore, useCallback } from 'react';
+
+/**
+ * useMediaQuery Hook
+ *
+ * Tracks whether a media query matches, e.g. the operating system's colour
+ * scheme. Server renders and browsers without matchMedia see no match.
+ *
+ * @param {string} query - Media query, e.g. "(prefers-color-scheme: dark)"
+ * @returns {boolean} True while the query matches
+ */
+const useMediaQuery = (query) => {
+  const subscribe = useCallback((onChange) => {
+    if (typeof window.matchMedia !== 'function') return () => {};
+    const list = window.matchMedia(query);
+    list.addEventListener('change', onChange);
+    return () => list.removeEventListener('change', onChange);
+  }, [query]);
+
+  return useSyncExternalStore(
+    subscribe,
+    () => typeof window.matchMedia === 'function' && window.matchMedia(query).matches,
+    () => false
+  );
+};
+
+export default useMediaQuery;
@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeToMoodBoards, getMoodBoardState, getServerMoodBoardState } from './moodBoardStore';
+
+/**
+ * useMoodBoards Hook
+ *
+ * Subscribes to the reader's mood boards. Server renders see no boards.
+ *
+ * @returns {{boards: Array}} Mood board state
+ */
+const useMoodBoards = () => useSyncExternalStore(
+  subscribeToMoodBoards,
+  getMoodBoardState,
+  getServerMoodBoardState
+);
+
+export default useMoodBoards;
@@ -0,0 +1,53 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { keepArticleOffline } from './offlineArticles';
+import { getArticlePath } from './paths';
+
+/**
+ * Subscribes to the browser going on- or offline
+ * @param {Function} listener - Called on every change
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribeToConnection = (listener) => {
+  window.addEventListener('online', listener);
+  window.addEventListener('offline', listener);
+  return () => {
+    window.removeEventListener('online', listener);
+    window.removeEventListener('offline', listener);
+  };
+};
+
+/**
+ * useOfflineArticle Hook
+ *
+ * Keeps the article being read available offline and reports whether it
+ * is, along with the connection state. Server renders assume a connection.
+ *
+ * @param {string|null} slug - Article slug, or null to skip (e.g. for drafts)
+ * @param {string} locale - Article locale
+ * @param {string[]} imageUrls - Article images to cache ahead of scrolling
+ * @returns {{isOnline: boolean, availableOffline: boolean}}
+ */
+const useOfflineArticle = (slug, locale, imageUrls) => {
+  const isOnline = useSyncExternalStore(subscribeToConnection, () => navigator.onLine, () => true);
+  const [status, setStatus] = useState(null);
+
+  // Compared as a string so a new array with the same images doesn't re-run the effect
+  const imageKey = imageUrls.join('\n');
+  const path = slug ? getArticlePath(slug, locale) : null;
+
+  useEffect(() => {
+    if (!path) return;
+    let active = true;
+
+    keepArticleOffline(slug, locale, imageKey ? imageKey.split('\n') : []).then((result) => {
+      if (active) setStatus(result ? { ...result, path } : null);
+    });
+    return () => {
+      active = false;
+    };
+  }, [slug, locale, path, imageKey]);
+
+  return { isOnline, availableOffline: Boolean(status?.path === path && status.available) };
+};
+
+export default useOfflineArticle;
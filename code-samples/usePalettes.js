@@ -0,0 +1,44 @@
+import { useState, useEffect, useMemo } from 'react';
+import { extractPalette, getPaletteImageUrl, normalizeSwatches } from './colorPalette';
+
+/**
+ * usePalettes Hook
+ *
+ * Returns the colour palette of several images. Swatches entered by
+ * editors win; other images are sampled in the browser after mounting, so
+ * server markup and the first client render show editor palettes only.
+ *
+ * @param {Array<{key: string, resource: (Object|undefined), externalUrl: (string|undefined),
+ *   palette: (Array|undefined)}>} images - Images to describe, keyed for lookup.
+ *   Memoize the array: palettes are recomputed whenever it changes.
+ * @returns {Object<string, Array<Object>>} Swatches by key; images without a palette are missing
+ */
+const usePalettes = (images) => {
+  const [extracted, setExtracted] = useState({});
+
+  const editorPalettes = useMemo(() => Object.fromEntries(images
+    .map(image => [image.key, normalizeSwatches(image.palette)])
+    .filter(([, swatches]) => swatches.length > 0)
+  ), [images]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const pending = images
+      .filter(image => !editorPalettes[image.key])
+      .map(image => [image.key, getPaletteImageUrl(image.resource, image.externalUrl)])
+      .filter(([, url]) => url);
+
+    Promise.all(pending.map(([key, url]) => extractPalette(url).then(swatches => [key, swatches])))
+      .then(results => {
+        if (!cancelled) setExtracted(Object.fromEntries(results.filter(([, swatches]) => swatches?.length > 0)));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [images, editorPalettes]);
+
+  return useMemo(() => ({ ...extracted, ...editorPalettes }), [extracted, editorPalettes]);
+};
+
+export default usePalettes;
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { reportError } from './logger';
+
+// Query parameter carrying the preview secret in links generated by the CMS
+const PREVIEW_PARAM = 'preview';
+
+// Session storage key, so preview mode survives in-app navigation but not the browser session
+const PREVIEW_STORAGE_KEY = 'articlePreviewSecrets';
+
+/**
+ * Key of the article a preview secret belongs to
+ * @param {string} slug - Article slug
+ * @param {string} locale - Article locale
+ * @returns {string} Storage key
+ */
+const getPreviewKey = (slug, locale) => `${locale}/${slug}`;
+
+/**
+ * Reads the article a preview secret was issued for. The signature is only
+ * checked by the server; this just decides which route the secret applies to.
+ * @param {string} secret - Preview secret (see previewAccess.js)
+ * @returns {{slug: string, locale: string}|null} Its claims, or null if malformed
+ */
+const readSecretClaims = (secret) => {
+  try {
+    const payload = secret.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(window.atob(payload), char => char.charCodeAt(0));
+    const { slug, locale } = JSON.parse(new TextDecoder().decode(bytes));
+    return slug && locale ? { slug, locale } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Reads the stored preview secrets, tolerating disabled storage
+ * @returns {Object<string, string>} Preview secrets keyed by article
+ */
+const readStoredSecrets = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(PREVIEW_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * usePreviewMode Hook
+ *
+ * Activates draft preview when the page is opened through a CMS preview
+ * link (`?preview=<secret>`). The secret is signed, expires shortly and only
+ * grants access to one article; the server exchanges it for the draft (see
+ * previewAccess.js), so no CMS token reaches the browser. It is moved to
+ * session storage, keyed by the article it names, and removed from the
+ * address bar so it isn't bookmarked, shared or logged by analytics. Other
+ * articles and translations keep loading their published version. Secrets
+ * are read after hydration, so the first render matches the server's.
+ *
+ * @param {string} slug - Slug of the current article
+ * @param {string} locale - Locale of the current article
+ * @returns {{previewSecret: string|null, isPreview: boolean, exitPreview: Function}}
+ *   The secret of the current article, if it is being previewed
+ */
+const usePreviewMode = (slug, locale) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [secrets, setSecrets] = useState({});
+  const previewKey = getPreviewKey(slug, locale);
+
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const secret = params.get(PREVIEW_PARAM);
+    const stored = readStoredSecrets();
+    if (!secret) {
+      setSecrets(stored);
+      return;
+    }
+
+    const claims = readSecretClaims(secret);
+    const next = claims ? { ...stored, [getPreviewKey(claims.slug, claims.locale)]: secret } : stored;
+    try {
+      window.sessionStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(next));
+    } catch (e) {
+      reportError("Unable to persist preview mode", e);
+    }
+    setSecrets(next);
+
+    params.delete(PREVIEW_PARAM);
+    const search = params.toString();
+    navigate({ pathname: location.pathname, search: search ? `?${search}` : '', hash: location.hash }, { replace: true });
+  }, [location, navigate]);
+
+  const exitPreview = useCallback(() => {
+    const rest = readStoredSecrets();
+    delete rest[previewKey];
+    try {
+      window.sessionStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(rest));
+    } catch (e) {
+      // Storage unavailable; clearing state is enough
+    }
+    setSecrets(rest);
+  }, [previewKey]);
+
+  const previewSecret = secrets[previewKey] || null;
+  return { previewSecret, isPreview: Boolean(previewSecret), exitPreview };
+};
+
+export default usePreviewMode;
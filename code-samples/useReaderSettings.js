@@ -0,0 +1,39 @@
+import { useSyncExternalStore, useEffect } from 'react';
+import useMediaQuery from './useMediaQuery';
+import {
+  subscribeToReaderSettings,
+  getReaderSettings,
+  getServerReaderSettings,
+  loadReaderFont,
+  DARK_SCHEME_QUERY,
+  REDUCED_MOTION_QUERY
+} from './readerSettingsStore';
+
+/**
+ * useReaderSettings Hook
+ *
+ * Subscribes to the reader's display settings and resolves them against
+ * the operating system preferences: the "auto" theme becomes light or dark,
+ * and motion is reduced when either the settings or the system ask for it.
+ * The chosen font's web font is loaded once it is selected. Server renders
+ * see the defaults with the light theme.
+ *
+ * @returns {{settings: Object, theme: ('light'|'dark'|'sepia'), reduceMotion: boolean}}
+ */
+const useReaderSettings = () => {
+  const settings = useSyncExternalStore(subscribeToReaderSettings, getReaderSettings, getServerReaderSettings);
+  const prefersDark = useMediaQuery(DARK_SCHEME_QUERY);
+  const prefersReducedMotion = useMediaQuery(REDUCED_MOTION_QUERY);
+
+  useEffect(() => {
+    loadReaderFont(settings.font);
+  }, [settings.font]);
+
+  return {
+    settings,
+    theme: settings.theme === 'auto' ? (prefersDark ? 'dark' : 'light') : settings.theme,
+    reduceMotion: settings.reduceMotion || prefersReducedMotion
+  };
+};
+
+export default useReaderSettings;
@@ -0,0 +1,78 @@
+import { useEffect } from 'react';
+import { trackEvent, flushAnalytics } from './analytics';
+
+// Share of the article scrolled through that is reported, once each per view
+const READ_DEPTH_MILESTONES = [25, 50, 75, 100];
+
+// Sections scrolled past faster than this aren't reported
+const MIN_SECTION_SECONDS = 2;
+
+/**
+ * useReadingAnalytics Hook
+ *
+ * Reports how an article is read: read-depth milestones while scrolling,
+ * and the time spent in each section (only while the tab is visible).
+ *
+ * @param {Object} options
+ * @param {string} options.slug - Article slug
+ * @param {string} options.locale - Article locale
+ * @param {string|null} options.activeSection - Anchor of the section being read, from useScrollSpy
+ * @param {boolean} options.enabled - False to record nothing, e.g. for draft previews
+ */
+const useReadingAnalytics = ({ slug, locale, activeSection, enabled }) => {
+  // Read-depth milestones
+  useEffect(() => {
+    if (!enabled || !slug) return;
+    const reached = new Set();
+
+    const handleScroll = () => {
+      const { scrollTop, scrollHeight, clientHeight } = document.documentElement;
+      const height = scrollHeight - clientHeight;
+      const percent = height > 0 ? (scrollTop / height) * 100 : 100;
+
+      READ_DEPTH_MILESTONES
+        .filter(milestone => percent >= milestone - 1 && !reached.has(milestone))
+        .forEach(milestone => {
+          reached.add(milestone);
+          trackEvent('read_depth', { article: slug, locale, percent: milestone });
+        });
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, [slug, locale, enabled]);
+
+  // Time spent in the current section, reported when the reader moves on or leaves
+  useEffect(() => {
+    if (!enabled || !slug || !activeSection) return;
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+    let seconds = 0;
+
+    const report = () => {
+      if (visibleSince) seconds += (Date.now() - visibleSince) / 1000;
+      visibleSince = null;
+      if (seconds >= MIN_SECTION_SECONDS) {
+        trackEvent('section_time', { article: slug, locale, section: activeSection, seconds: Math.round(seconds) });
+      }
+      seconds = 0;
+    };
+
+    // Hiding the tab may be the last chance to report before the page is closed
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        report();
+        flushAnalytics();
+      } else {
+        visibleSince = Date.now();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      report();
+    };
+  }, [slug, locale, activeSection, enabled]);
+};
+
+export default useReadingAnalytics;
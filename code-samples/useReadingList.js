@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeToReadingList, getReadingListState, getServerReadingListState } from './readingListStore';
+
+/**
+ * useReadingList Hook
+ *
+ * Subscribes to the reader's bookmarks and saved reading positions, so
+ * every component showing them updates together (including across tabs).
+ * Server renders see an empty list.
+ *
+ * @returns {{bookmarks: Array, progress: Object}} Reading list state
+ */
+const useReadingList = () => useSyncExternalStore(
+  subscribeToReadingList,
+  getReadingListState,
+  getServerReadingListState
+);
+
+export default useReadingList;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useScrollSpy Hook
+ *
+ * Tracks which of the given anchors the reader is currently at, using an
+ * IntersectionObserver instead of measuring elements on every scroll event.
+ * The active anchor is the last one whose element has passed the top
+ * offset line.
+ *
+ * @param {string[]} ids - Element ids in document order
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Height of fixed content at the top of the viewport
+ * @returns {string|null} Id of the active element
+ */
+const useScrollSpy = (ids, { offset = 0 } = {}) => {
+  const [activeId, setActiveId] = useState(null);
+  const idsKey = ids.join('|');
+
+  useEffect(() => {
+    if (typeof IntersectionObserver === 'undefined' || !idsKey) return;
+
+    const elements = idsKey.split('|')
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    if (elements.length === 0) return;
+
+    // Recomputed on each intersection change rather than every scroll event
+    const updateActive = () => {
+      let current = null;
+      for (const element of elements) {
+        if (element.getBoundingClientRect().top - offset <= 1) {
+          current = element.id;
+        } else {
+          break;
+        }
+      }
+      setActiveId(current || elements[0].id);
+    };
+
+    // The band just below the navbar; elements entering or leaving it move the active anchor
+    const observer = new IntersectionObserver(updateActive, {
+      rootMargin: `-${offset}px 0px -50% 0px`,
+      threshold: [0, 1]
+    });
+    elements.forEach(element => observer.observe(element));
+    updateActive();
+
+    return () => observer.disconnect();
+  }, [idsKey, offset]);
+
+  return activeId;
+};
+
+export default useScrollSpy;
@@ -0,0 +1,88 @@
+import { getMediaUrl } from './media';
+
+/**
+ * Normalizes caption entries attached to a video in the CMS. Each entry has
+ * a WebVTT `file` upload (or an external `url`), a `language` code, an
+ * optional `label`, a `kind` of "captions" or "subtitles" and an optional
+ * `default` flag.
+ * @param {Array} [captions] - Caption entries from the CMS
+ * @param {Object} options
+ * @param {string} options.locale - Article locale, for entries without a language
+ * @param {string} options.label - Translated label for entries without a label or language
+ * @returns {Array<{src: string, srcLang: string, label: string, kind: string, isDefault: boolean}>}
+ *   Track descriptors, with exactly one default when any exist: the flagged
+ *   track, else the one in the article's language, else the first
+ */
+export const getCaptionTracks = (captions, { locale, label }) => {
+  if (!Array.isArray(captions)) return [];
+
+  const tracks = captions
+    .map(caption => ({
+      src: getMediaUrl(caption.file, caption.url),
+      srcLang: caption.language || locale,
+      label: caption.label || caption.language || label,
+      kind: caption.kind === 'subtitles' ? 'subtitles' : 'captions',
+      isDefault: Boolean(caption.default)
+    }))
+    .filter(track => track.src);
+
+  // Fall back to the article's language, then the first track, so captions are always offered
+  const language = locale.split('-')[0];
+  let defaultIndex = tracks.findIndex(track => track.isDefault);
+  if (defaultIndex === -1) defaultIndex = tracks.findIndex(track => track.srcLang === locale);
+  if (defaultIndex === -1) defaultIndex = tracks.findIndex(track => track.srcLang.split('-')[0] === language);
+  return tracks.map((track, index) => ({ ...track, isDefault: index === Math.max(defaultIndex, 0) }));
+};
+
+/**
+ * Converts a WebVTT timestamp ("01:02:03.456" or "02:03.456") to seconds
+ * @param {string} timestamp - WebVTT timestamp
+ * @returns {number} Time in seconds
+ */
+const parseVttTimestamp = (timestamp) => timestamp
+  .split(':')
+  .reduce((total, part) => total * 60 + parseFloat(part.replace(',', '.')), 0);
+
+/**
+ * Parses WebVTT content into cues
+ * @param {string} vtt - WebVTT file content
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in file order
+ */
+export const parseVtt = (vtt) => {
+  if (!vtt) return [];
+
+  return vtt
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return null;
+
+      const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const text = lines
+        .slice(timingIndex + 1)
+        .join(' ')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+
+      return text ? { start: parseVttTimestamp(start), end: parseVttTimestamp(end), text } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Formats seconds as m:ss or h:mm:ss for transcript timestamps
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export const formatCueTime = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
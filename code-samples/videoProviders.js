@@ -0,0 +1,253 @@
+import { getMediaUrl, isCloudinaryUrl, cloudinaryTransform } from './media';
+
+/**
+ * A video provider turns a URL it recognizes into everything needed to play it.
+ *
+ * @typedef {Object} VideoProvider
+ * @property {string} name - Provider identifier
+ * @property {'iframe'|'video'} kind - Third-party iframe embed or native video element
+ * @property {Function} parse - Returns provider-specific data for a URL, or null if not recognized
+ * @property {Function} [getEmbedUrl] - Builds the iframe src (iframe providers)
+ * @property {Function} [getSourceUrl] - Builds the video src (native providers)
+ * @property {Function} [getThumbnailUrl] - Builds a poster/thumbnail URL
+ * @property {Function} [getMimeType] - Returns the MIME type of the source (native providers)
+ * @property {Function} [onEnded] - Calls back when the embedded player finishes:
+ *   (iframe, callback) => unsubscribe (iframe providers)
+ */
+
+/**
+ * Parses a URL without throwing
+ * @param {string} url - URL to parse
+ * @returns {URL|null} Parsed URL
+ */
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Converts a YouTube timestamp ("90", "90s", "1m30s", "1h2m3s") to seconds
+ * @param {string} value - Timestamp from the `t` or `start` parameter
+ * @returns {number|null} Start time in seconds
+ */
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Listens to postMessage events from an embedded player
+ * @param {HTMLIFrameElement} iframe - Player iframe
+ * @param {Function} onMessage - Receives each message, parsed from JSON where needed
+ * @param {Function} onLoad - Called once the player has loaded, to subscribe to events
+ * @returns {Function} Stops listening
+ */
+const listenToPlayer = (iframe, onMessage, onLoad) => {
+  const handleMessage = (event) => {
+    if (event.source !== iframe.contentWindow) return;
+    try {
+      onMessage(typeof event.data === 'string' ? JSON.parse(event.data) : event.data);
+    } catch (e) {
+      // Not a player event
+    }
+  };
+
+  window.addEventListener('message', handleMessage);
+  iframe.addEventListener('load', onLoad);
+  return () => {
+    window.removeEventListener('message', handleMessage);
+    iframe.removeEventListener('load', onLoad);
+  };
+};
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com',
+  'youtube-nocookie.com', 'www.youtube-nocookie.com', 'youtu.be'];
+
+/**
+ * YouTube provider. Understands watch, youtu.be, Shorts, embed and live
+ * URLs, start timestamps and playlists, and embeds through
+ * youtube-nocookie.com so no cookies are set until the reader plays.
+ * @type {VideoProvider}
+ */
+const youTubeProvider = {
+  name: 'youtube',
+  kind: 'iframe',
+  parse: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed || !YOUTUBE_HOSTS.includes(parsed.hostname)) return null;
+
+    const params = parsed.searchParams;
+    const [first, second] = parsed.pathname.split('/').filter(Boolean);
+    let id = null;
+
+    if (parsed.hostname === 'youtu.be') {
+      id = first;
+    } else if (first === 'watch') {
+      id = params.get('v');
+    } else if (['shorts', 'embed', 'live', 'v'].includes(first) && second !== 'videoseries') {
+      id = second;
+    }
+
+    const list = params.get('list');
+    if (!id && !list) return null;
+
+    return { id, list, start: parseTimestamp(params.get('t') || params.get('start')) };
+  },
+  getEmbedUrl: ({ id, list, start }, { autoplay } = {}) => {
+    const params = new URLSearchParams();
+    if (list) params.set('list', list);
+    if (start) params.set('start', start);
+    if (autoplay) params.set('autoplay', '1');
+    params.set('rel', '0');
+    // Lets the page follow playback (see onEnded)
+    params.set('enablejsapi', '1');
+
+    const path = id ? id : 'videoseries';
+    return `https://www.youtube-nocookie.com/embed/${path}?${params.toString()}`;
+  },
+  getThumbnailUrl: ({ id }) => (id ? `https://i.ytimg.com/vi/${id}/hqdefault.jpg` : null),
+  // The IFrame API reports player state 0 when playback ends
+  onEnded: (iframe, callback) => listenToPlayer(
+    iframe,
+    (message) => {
+      const state = message.event === 'onStateChange' ? message.info : message.info?.playerState;
+      if (state === 0) callback();
+    },
+    () => iframe.contentWindow.postMessage(JSON.stringify({ event: 'listening', id: 1, channel: 'widget' }), '*')
+  )
+};
+
+/**
+ * Vimeo provider. Understands public, unlisted (with hash) and player URLs
+ * and embeds with Do Not Track enabled.
+ * @type {VideoProvider}
+ */
+const vimeoProvider = {
+  name: 'vimeo',
+  kind: 'iframe',
+  parse: (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed || !['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'].includes(parsed.hostname)) return null;
+
+    const match = parsed.pathname.match(/^\/(?:video\/)?(\d+)(?:\/([a-z0-9]+))?/i);
+    if (!match) return null;
+
+    return {
+      id: match[1],
+      hash: match[2] || parsed.searchParams.get('h'),
+      start: parseTimestamp((parsed.hash.match(/t=([\dhms]+)/) || [])[1])
+    };
+  },
+  getEmbedUrl: ({ id, hash, start }, { autoplay } = {}) => {
+    const params = new URLSearchParams({ dnt: '1' });
+    if (hash) params.set('h', hash);
+    if (autoplay) params.set('autoplay', '1');
+
+    const timestamp = start ? `#t=${start}s` : '';
+    return `https://player.vimeo.com/video/${id}?${params.toString()}${timestamp}`;
+  },
+  // Vimeo thumbnails require an API call, so the facade uses the CMS poster instead
+  getThumbnailUrl: () => null,
+  onEnded: (iframe, callback) => {
+    const subscribe = () => iframe.contentWindow.postMessage({ method: 'addEventListener', value: 'ended' }, 'https://player.vimeo.com');
+    return listenToPlayer(
+      iframe,
+      (message) => {
+        if (message.event === 'ready') subscribe();
+        if (message.event === 'ended') callback();
+      },
+      subscribe
+    );
+  }
+};
+
+/**
+ * Cloudinary video provider. Serves an automatically chosen format and
+ * quality, and uses the first frame as the poster.
+ * @type {VideoProvider}
+ */
+const cloudinaryProvider = {
+  name: 'cloudinary',
+  kind: 'video',
+  parse: (url) => (isCloudinaryUrl(url) && url.includes('/video/upload/') ? { url } : null),
+  getSourceUrl: ({ url }) => cloudinaryTransform(url, 'f_auto,q_auto'),
+  getThumbnailUrl: ({ url }) => cloudinaryTransform(url, 'so_0').replace(/\.[a-z0-9]+$/i, '.jpg')
+};
+
+/**
+ * HLS stream provider (.m3u8). Played natively where supported, otherwise
+ * through hls.js loaded on demand.
+ * @type {VideoProvider}
+ */
+const hlsProvider = {
+  name: 'hls',
+  kind: 'video',
+  parse: (url) => (parseUrl(url)?.pathname.endsWith('.m3u8') ? { url, hls: true } : null),
+  getSourceUrl: ({ url }) => url,
+  getMimeType: () => 'application/vnd.apple.mpegurl'
+};
+
+const FILE_MIME_TYPES = { mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', ogv: 'video/ogg', mov: 'video/quicktime' };
+
+/**
+ * Direct file provider. Matches any remaining URL, which covers CMS uploads
+ * and self-hosted MP4/WebM files.
+ * @type {VideoProvider}
+ */
+const fileProvider = {
+  name: 'file',
+  kind: 'video',
+  parse: (url) => (parseUrl(url) ? { url } : null),
+  getSourceUrl: ({ url }) => url,
+  getMimeType: ({ url }) => {
+    const extension = (parseUrl(url)?.pathname.split('.').pop() || '').toLowerCase();
+    return FILE_MIME_TYPES[extension];
+  }
+};
+
+/**
+ * Registered providers, checked in order. The file provider is the catch-all.
+ * @type {VideoProvider[]}
+ */
+const videoProviders = [youTubeProvider, vimeoProvider, cloudinaryProvider, hlsProvider, fileProvider];
+
+/**
+ * Registers an additional provider ahead of the built-in ones
+ * @param {VideoProvider} provider - Provider to register
+ */
+export const registerVideoProvider = (provider) => {
+  videoProviders.unshift(provider);
+};
+
+/**
+ * Resolves a CMS video resource or external URL through the provider registry
+ * @param {Object} [video] - Video resource from the CMS
+ * @param {string} [videoUrl] - External video URL, takes precedence over the resource
+ * @returns {{provider: VideoProvider, data: Object, url: string, poster: string|null}|null}
+ *   The matching provider and its parsed data, or null if there is no video
+ */
+export const resolveVideo = (video, videoUrl) => {
+  const url = getMediaUrl(video, videoUrl);
+  if (!url) return null;
+
+  for (const provider of videoProviders) {
+    const data = provider.parse(url);
+    if (data) {
+      const cmsPoster = videoUrl ? null : video?.previewUrl;
+      const poster = (cmsPoster && getMediaUrl({ url: cmsPoster })) ||
+        (provider.getThumbnailUrl ? provider.getThumbnailUrl(data) : null);
+      return { provider, data, url, poster };
+    }
+  }
+
+  return null;
+};